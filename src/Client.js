@@ -2,38 +2,260 @@
  * @file Wrapper around the basic functions offered by the Public API
  * @see https://app.picterra.ch/public/apidocs/v2/
  */
-const {createReadStream, createWriteStream} = require('fs')
-const util = require('util')
-const streamPipeline = util.promisify(require('stream').pipeline)
+import {createRetryPolicy, isRetryableError, parseRetryAfter, computeRetryDelay} from './retry'
+import {loadFs, openSource, trackProgress, readJSON, isParsedJSON} from './io'
+import {
+  APIError,
+  NotFoundError,
+  ValidationError,
+  OperationFailedError,
+  OperationTimeoutError,
+  OperationCancelledError,
+  errorFromResponse,
+  redactUrl
+} from './errors'
+import Operation from './Operation'
+import {parseFeatures} from './results'
+import {summarizeResults} from './summary'
+import {validateGeoJSON} from './geojson'
+import {runWithConcurrency, linkedAbortController} from './batch'
+import {checkMiddleware, runRequestHooks, runResponseHooks, runErrorHooks} from './middleware'
+import {resolveConfig} from './config'
+import {detectorBody} from './detectors'
+import {normalizeMetrics} from './metrics'
+import {EXPORT_FORMATS, checkExportFormat, convertResults} from './formats'
+import {tileGrid, checkMergeOptions, mergeTiledResults} from './tiling'
+import {runPipeline as runPipelineWith} from './pipeline'
+import {WebhookReceiver} from './webhooks'
+import {UploadManifest, hashSource} from './manifest'
+
+/**
+ * Seconds between two polls of an operation whose poll interval is unknown
+ */
+const DEFAULT_POLL_INTERVAL = 5
+const DEFAULT_BATCH_CONCURRENCY = 4
+/**
+ * Type of the operations that run a detector on a raster
+ */
+const DETECTION_OPERATION_TYPE = 'detector_prediction'
 
 /**
  * Sleep for a given amount of seconds
  * @param {Number} s Seconds to wait
+ * @param {AbortSignal} [signal] Signal that wakes the sleeper up early when aborted
  */
-const sleep = s => new Promise(resolve => setTimeout(resolve, s * 1000))
+const sleep = (s, signal) => new Promise(resolve => {
+  if (signal && signal.aborted) {
+    return resolve()
+  }
+  const onAbort = () => {
+    clearTimeout(timer)
+    resolve()
+  }
+  const timer = setTimeout(() => {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort)
+    }
+    resolve()
+  }, s * 1000)
+  if (signal) {
+    signal.addEventListener('abort', onAbort)
+  }
+})
+/**
+ * Resolves or rejects like the given promise, unless the deadline (a timestamp
+ * in milliseconds) passes first, in which case it resolves to `onTimeout`
+ */
+const withDeadline = (promise, deadline, onTimeout) => {
+  let timer
+  const expiry = new Promise(resolve => {
+    timer = setTimeout(() => resolve(onTimeout), Math.max(deadline - Date.now(), 0))
+  })
+  return Promise.race([promise, expiry]).finally(() => clearTimeout(timer))
+}
 /**
- * Errors returned by the API server
+ * Method and redacted URL of the request that produced each response, for errors
  */
-export class APIError extends Error {
-  constructor (message, body = '') {
-    super(message)
-    this.name = 'ApiError'
-    this.body = body
+const responseRequests = new WeakMap()
+/**
+ * Check the response returned a successful HTTP code, otherwise raise the
+ * APIError subclass matching the status code
+ */
+async function checkResponse (response) {
+  if (!response.ok) {
+    throw await errorFromResponse(response, responseRequests.get(response))
   }
 }
-class ValidationError extends Error {
-  constructor (message) {
-    super(message)
-    this.name = 'Validation Error'
+/**
+ * Returns a function that, given the number of bytes sent so far, reports the
+ * upload progress and transfer rate (in bytes per second) to a callback
+ * @param {Number} totalBytes Size of the whole upload
+ * @param {Function} onProgress Callback receiving `{bytesSent, totalBytes, rate}`
+ * @param {Number} initialBytes Bytes already sent before, not counted in the rate
+ */
+function progressReporter (totalBytes, onProgress, initialBytes = 0) {
+  const startTime = Date.now()
+  return bytesSent => {
+    if (!onProgress) {
+      return
+    }
+    const elapsed = (Date.now() - startTime) / 1000
+    const rate = elapsed > 0 ? (bytesSent - initialBytes) / elapsed : 0
+    onProgress({bytesSent, totalBytes, rate})
   }
 }
 /**
- * Check the response returned a successful HTTP code, otherwise raise APIError
+ * Parses the `Range` header of an incomplete resumable upload response
+ * @param {String} range e.g. "bytes=0-1048575"
+ * @returns {Number} Number of bytes persisted by the blobstore
  */
-async function checkResponse (response) {
-  if (!response.ok) {
-    const text = await response.text()
-    throw new APIError(`Error from API: status code ${response.status}`, text)
+function parseUploadedRange (range) {
+  const match = /^bytes=(\d+)-(\d+)$/.exec(range || '')
+  return match ? parseInt(match[2], 10) + 1 : 0
+}
+/**
+ * Validates GeoJSON before an upload, according to the `validate` option of
+ * the upload methods
+ * @param {Object|String|Buffer|Uint8Array|Blob|Readable} input The GeoJSON
+ *   object, or any input accepted by `openSource`
+ * @param {Boolean|Object} validate false to skip validation, true or the
+ *   options of `validateGeoJSON` otherwise
+ * @returns {Promise<Object>} The upload source, normalized GeoJSON when validated
+ * @throws {ValidationError} If the GeoJSON is invalid
+ */
+async function geoJSONSource (input, validate = true) {
+  if (validate === false) {
+    return openSource(isParsedJSON(input) ? new TextEncoder().encode(JSON.stringify(input)) : input)
+  }
+  let geojson
+  try {
+    geojson = await readJSON(input)
+  } catch (err) {
+    if (err instanceof SyntaxError) {
+      throw new ValidationError(`Invalid GeoJSON: ${err.message}`)
+    }
+    throw err
+  }
+  const normalized = validateGeoJSON(geojson, validate === true ? {} : validate)
+  return openSource(new TextEncoder().encode(JSON.stringify(normalized)))
+}
+/**
+ * Query string parameters accepted by the list endpoints, by filter name
+ */
+const RASTER_FILTERS = {
+  folderId: 'folder',
+  search: 'search',
+  status: 'status',
+  pageSize: 'page_size'
+}
+const DETECTOR_FILTERS = {
+  search: 'search',
+  pageSize: 'page_size'
+}
+const FOLDER_FILTERS = DETECTOR_FILTERS
+const TRAINING_RASTER_FILTERS = {
+  pageSize: 'page_size'
+}
+const TRAINING_HISTORY_FILTERS = TRAINING_RASTER_FILTERS
+/**
+ * Kinds of annotations of a training raster
+ */
+const ANNOTATION_TYPES = ['outline', 'training_area', 'testing_area', 'validation_area']
+/**
+ * Normalizes an annotation type, rejecting unknown ones
+ * @throws {ValidationError} If the type is unknown
+ */
+function checkAnnotationType (annotationType) {
+  annotationType = annotationType.toLowerCase()
+  if (!ANNOTATION_TYPES.includes(annotationType)) {
+    const validTypes = ANNOTATION_TYPES.join(', ')
+    throw new ValidationError(`Invalid annotation type ${annotationType}; allowed values: ${validTypes}.`)
+  }
+  return annotationType
+}
+/**
+ * Editable raster fields: API field names, by option name
+ */
+const RASTER_FIELDS = {
+  name: 'name',
+  folderId: 'folder_id',
+  capturedAt: 'captured_at',
+  identityKey: 'identity_key',
+  cloudCoverage: 'cloud_coverage',
+  userTag: 'user_tag'
+}
+/**
+ * Translates filters into query string parameters, rejecting unknown ones
+ * @param {Object} filters Filter values, by filter name
+ * @param {Object} allowed Query parameter names, by filter name
+ * @param {String} kind What the filters are, for the error message
+ */
+function filtersToParams (filters, allowed, kind = 'filter') {
+  const params = {}
+  for (let [key, value] of Object.entries(filters)) {
+    if (!allowed.hasOwnProperty(key)) {
+      const validFilters = Object.keys(allowed).join(', ')
+      throw new ValidationError(`Invalid ${kind} ${key}; allowed values: ${validFilters}.`)
+    }
+    if (value !== undefined && value !== null && value !== '') {
+      params[allowed[key]] = value
+    }
+  }
+  return params
+}
+/**
+ * Async iterator over the results of a paginated endpoint, which fetches
+ * the pages only as the items are consumed
+ */
+class PaginatedIterator {
+  /**
+   * @param {APIClient} client The client used to fetch the pages
+   * @param {String} path Endpoint path, relative to the root API one
+   * @param {Object} params Query string parameters added to every page request
+   */
+  constructor (client, path, params = {}) {
+    this._client = client
+    this._path = path
+    this._params = params
+    this._items = []
+    this._pageNum = 1
+    this._done = false
+    // Total number of items, known once the first page has been fetched
+    this.count = null
+  }
+  [Symbol.asyncIterator] () {
+    return this
+  }
+  async next () {
+    while (this._items.length === 0) {
+      if (this._done) {
+        return {done: true, value: undefined}
+      }
+      await this._fetchPage()
+    }
+    return {done: false, value: this._items.shift()}
+  }
+  /**
+   * @returns {Promise<Number>} The total number of items, fetching the first page if needed
+   */
+  async getCount () {
+    if (this.count === null && !this._done) {
+      await this._fetchPage()
+    }
+    return this.count
+  }
+  async _fetchPage () {
+    const query = [`page_number=${this._pageNum}`]
+    for (let [key, value] of Object.entries(this._params)) {
+      query.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    }
+    const response = await this._client._request(`${this._path}?${query.join('&')}`)
+    await checkResponse(response)
+    const data = await response.json()
+    this.count = data['count']
+    this._items = this._items.concat(data['results'])
+    this._pageNum += 1
+    this._done = !data['next']
   }
 }
 /**
@@ -42,22 +264,36 @@ async function checkResponse (response) {
 export default class APIClient {
   /**
      * @constructor
-     * @param {String} apiKey API key for the account to use for accessing the Picterra server
-     * @param {String} baseUrl URL of the Picterra Public API endpoint
-     * @param {Number} timeoutSeconds Max number of seconds after which an operation times out
+     * @description Takes an options object, or the positional arguments
+     * `(apiKey, baseUrl, timeout, options)` of earlier versions. Settings
+     * missing from the options come from the selected profile of the config
+     * file, the PICTERRA_API_KEY and PICTERRA_BASE_URL environment variables,
+     * the "default" profile, then the built-in defaults, in that order; see
+     * `resolveConfig` for the details.
+     * @param {Object} options
+     * @param {String} options.apiKey API key for the account to use for accessing the Picterra server
+     * @param {String} options.baseUrl URL of the Picterra Public API endpoint
+     * @param {Number} options.timeout Max number of seconds after which an operation times out,
+     * defaults to 5 hours; each long-running method also accepts a `timeout` option overriding it
+     * @param {String} options.profile Name of the profile of the config file to use,
+     * defaults to the PICTERRA_PROFILE environment variable
+     * @param {String} options.configFile Path of the config file, defaults to the
+     * PICTERRA_CONFIG_FILE environment variable or `~/.picterra/config.json`
+     * @param {Object|Boolean} options.retry Retry policy for the API requests,
+     * see `createRetryPolicy`; `false` disables retries
+     * @param {Object|Boolean} options.storageRetry Retry policy for the blobstore requests
+     * @param {[Object]} options.middleware Middlewares to register, see `use`
+     * @throws {ValidationError} If an option, the config file or a setting is invalid
+     * @throws {APIError} If there is no API key
      */
-  constructor (apiKey, baseUrl, timeoutSeconds = 300) {
-    // Setup API key
-    if (!apiKey) {
-      if (!process.env.PICTERRA_API_KEY) {
-        throw new APIError(
-          'apiKey is undefined and PICTERRA_API_KEY environment variable is not defined'
-        )
-      } else {
-        apiKey = process.env.PICTERRA_API_KEY
-      }
+  constructor (options, baseUrl, timeoutSeconds, legacyOptions = {}) {
+    if (options === undefined || options === null || typeof options !== 'object') {
+      // Positional arguments
+      options = Object.assign({}, legacyOptions, {apiKey: options, baseUrl, timeout: timeoutSeconds})
     }
-    this.apiKey = apiKey
+    const config = resolveConfig(options)
+    this.apiKey = config.apiKey
+    this.profile = config.profile
     let fetch, Headers
     if (typeof window === 'undefined') {
       fetch = require('node-fetch') // https://www.npmjs.com/package/node-fetch
@@ -68,12 +304,113 @@ export default class APIClient {
     }
     this._fetch = fetch
     this._headers = Headers
-    this._timeout = timeoutSeconds * 60 * 1000
-    // Setup endpoint
-    if (!baseUrl) {
-      baseUrl = process.env.PICTERRA_BASE_URL || 'https://app.picterra.ch/public/api/v2/'
+    this._timeout = config.timeout * 1000
+    this.baseUrl = config.baseUrl
+    // Setup retries
+    this._retryPolicy = createRetryPolicy(options.retry)
+    this._storageRetryPolicy = createRetryPolicy(options.storageRetry)
+    // Setup hooks
+    this._middlewares = []
+    for (const middleware of options.middleware || []) {
+      this.use(middleware)
+    }
+    this._webhooks = null
+    this._manifest = null
+  }
+  /**
+     * @function use
+     * @summary Registers a middleware, whose hooks are called around every
+     * HTTP request, to the API as well as to the blobstore
+     * @description Hooks may be async and are called in registration order,
+     * once per attempt when a request is retried. `onRequest` receives
+     * `{method, url, headers, internal, attempt}` and may change the URL or
+     * the headers, by modifying it or returning a new object. `onResponse`
+     * receives `{request, response, status, duration, attempt}`, whatever the
+     * status, and `onError` receives `{request, error, duration, attempt}` when
+     * there is no response (network error, cancellation). Durations are in
+     * milliseconds, and the API key is replaced by "REDACTED" in the headers
+     * hooks see.
+     * @param {Object} middleware `{onRequest, onResponse, onError}`, all optional
+     * @returns {Function} A function unregistering the middleware
+     * @throws {TypeError} If the middleware has no valid hook
+     */
+  use (middleware) {
+    checkMiddleware(middleware)
+    this._middlewares.push(middleware)
+    return () => {
+      this._middlewares = this._middlewares.filter(m => m !== middleware)
+    }
+  }
+  /**
+     * @function useWebhooks
+     * @summary Makes the client wait for operations through callbacks rather
+     * than by polling them
+     * @description Returns the receiver of the operation-completion callbacks,
+     * whose `handler` must be served at the URL of the webhook configured for
+     * the account, e.g. `app.post('/picterra/callbacks', receiver.handler)`.
+     * Operations are then only polled when their callback does not arrive
+     * within `fallbackAfter` seconds. Several clients may share a receiver.
+     * @param {Object|WebhookReceiver} options A receiver, or the options to create one
+     * @param {String} options.secret Secret shared with Picterra to sign the callbacks
+     * @param {Number} options.fallbackAfter Seconds to wait for a callback before
+     *   polling, defaults to 60
+     * @returns {WebhookReceiver} The receiver; pass `null` to go back to polling
+     * @throws {ValidationError} If the options are invalid
+     */
+  useWebhooks (options) {
+    if (options === null) {
+      this._webhooks = null
+    } else {
+      this._webhooks = options instanceof WebhookReceiver ? options : new WebhookReceiver(options)
+    }
+    return this._webhooks
+  }
+  /**
+     * @function useUploadManifest
+     * @summary Skips the uploads of data already uploaded, as recorded in a
+     * local manifest (Node only)
+     * @description The manifest maps the SHA-256 of the uploaded rasters to
+     * their ids, and records the hash of the last detection area and
+     * annotations uploaded for each raster and detector. `uploadRaster` then
+     * returns the id of a raster already uploaded with the same data, as long
+     * as it still exists and is ready, and `setRasterDetectionAreaFromFile`
+     * and `setAnnotations` return without uploading the GeoJSON already set.
+     * Streams are always uploaded, their data being only readable once; the
+     * `dedupe: false` option of the upload methods forces an upload.
+     * @param {String} fileName Path of the manifest, created on the first
+     *   upload; `null` stops deduplicating
+     * @returns {UploadManifest} The manifest
+     * @throws {ValidationError} If the file exists but is not a manifest
+     */
+  useUploadManifest (fileName) {
+    this._manifest = fileName === null ? null : new UploadManifest(fileName)
+    return this._manifest
+  }
+  /**
+   * Entry of the manifest for a previous upload, if it is still valid
+   * @param {String} kind Kind of upload, see `UploadManifest`
+   * @param {String} key Key of the entry
+   * @param {Function} isValid Async function checking the entry; a
+   *   `NotFoundError` makes it invalid too
+   * @returns {Promise<Object>} The entry, null if there is none or if it is
+   *   invalid, in which case it is removed
+   */
+  async _findUpload (kind, key, isValid) {
+    const entry = this._manifest.get(kind, key)
+    if (!entry) {
+      return null
+    }
+    try {
+      if (await isValid(entry)) {
+        return entry
+      }
+    } catch (err) {
+      if (!(err instanceof NotFoundError)) {
+        throw err
+      }
     }
-    this.baseUrl = baseUrl
+    this._manifest.delete(kind, key)
+    return null
   }
   /**
      * @function _request
@@ -86,95 +423,409 @@ export default class APIClient {
      * @param {String} path Relative of absolute URI
      * @param {String} method One of 'GET', 'POST', 'PUT', 'DELETE'
      * @param {Object} headers HTTP headers to set as key-value pairs
-     * @param {*} body
+     * @param {*} body Request body, or a function returning it (or a promise
+     * for it) which is called at every attempt, needed for streams to be retried
      * @param {Boolean} internal Whether or not the path URI refers to an endpoint
      * relative to the root API one
+     * @param {Object} options
+     * @param {AbortSignal} options.signal Signal that aborts the request
+     * @param {Boolean} options.idempotent Whether the request can be safely
+     * retried, overriding the retry policy methods; non-idempotent requests,
+     * like commits, are never retried
+     * @throws {OperationCancelledError} If the signal is aborted
      */
-  async _request (path, method = 'GET', headers = {}, body = null, internal = true) {
-    const fetchHeaders = new this._headers({})
-    let response
-    if (internal) {
-      fetchHeaders.set('X-Api-Key', this.apiKey)
-    }
-    for (let [key, value] of Object.entries(headers)) {
-      fetchHeaders.set(key, value)
-    }
-    const fetchOptions = {
-      method: method,
-      headers: fetchHeaders,
-      body: body
-    }
-    response = await this._fetch(
-      internal ? (this.baseUrl + path) : path,
-      fetchOptions
-    )
-    return response
+  async _request (path, method = 'GET', headers = {}, body = null, internal = true, options = {}) {
+    const {signal} = options
+    const policy = internal ? this._retryPolicy : this._storageRetryPolicy
+    // A stream can be consumed only once, thus it needs a factory to be resent
+    const replayable = typeof body === 'function' || !(body && typeof body.pipe === 'function')
+    let retryable
+    if (options.idempotent !== undefined) {
+      retryable = options.idempotent && replayable
+    } else {
+      retryable = replayable && policy.methods.includes(method.toUpperCase())
+    }
+    const maxAttempts = retryable ? policy.maxAttempts : 1
+    for (let attempt = 1; ; attempt++) {
+      if (signal && signal.aborted) {
+        throw new OperationCancelledError()
+      }
+      let request = {
+        method,
+        url: internal ? (this.baseUrl + path) : path,
+        headers: Object.assign(internal ? {'X-Api-Key': this.apiKey} : {}, headers),
+        internal,
+        attempt
+      }
+      if (this._middlewares.length) {
+        request = await runRequestHooks(this._middlewares, request)
+      }
+      const url = request.url
+      const fetchHeaders = new this._headers({})
+      let response
+      for (let [key, value] of Object.entries(request.headers)) {
+        fetchHeaders.set(key, value)
+      }
+      const fetchOptions = {
+        method: method,
+        headers: fetchHeaders,
+        body: typeof body === 'function' ? await body() : body
+      }
+      if (signal) {
+        fetchOptions.signal = signal
+      }
+      const start = Date.now()
+      try {
+        response = await this._fetch(url, fetchOptions)
+      } catch (err) {
+        if (this._middlewares.length) {
+          await runErrorHooks(this._middlewares, request, err, Date.now() - start)
+        }
+        if (signal && signal.aborted) {
+          throw new OperationCancelledError()
+        }
+        if (attempt >= maxAttempts || !isRetryableError(policy, err)) {
+          throw err
+        }
+        await sleep(computeRetryDelay(policy, attempt), signal)
+        continue
+      }
+      if (this._middlewares.length) {
+        await runResponseHooks(this._middlewares, request, response, Date.now() - start)
+      }
+      if (attempt >= maxAttempts || !policy.statusCodes.includes(response.status)) {
+        responseRequests.set(response, {method, url: redactUrl(url, this.apiKey)})
+        return response
+      }
+      // Drain the discarded response so that its connection can be reused
+      await response.text().catch(() => null)
+      const retryAfter = parseRetryAfter(response.headers.get('Retry-After'))
+      await sleep(computeRetryDelay(policy, attempt, retryAfter), signal)
+    }
   }
   /**
-   * Polls an operation for its status until it finishes (success or error)
+   * Polls an operation for its status until it finishes (success or error);
+   * with webhooks (see `useWebhooks`), waits for its callback first, only
+   * polling when none arrives in time
    * @param {String} operationId
    * @param {Number} pollInterval
+   * @param {Object} options
+   * @param {Number} options.timeout Max number of seconds to wait, defaults to the client one
+   * @param {AbortSignal} options.signal Signal that stops the polling
+   * @param {Function} options.onPoll Called with the `/operations/` payload after every poll
+   * @param {Number} options.fallbackAfter Seconds to wait for the callback before
+   *   polling, defaults to the one of the webhook receiver
+   * @returns {Promise<Object>} The `/operations/` payload of the succeeded operation
+   * @throws {OperationFailedError} If the operation fails, with the reason given by the server
+   * @throws {OperationTimeoutError} If the operation is still running after the timeout
+   * @throws {OperationCancelledError} If the signal is aborted
    */
-  async _waitUntilOperationCompletes (operationId, pollInterval) {
+  async _waitUntilOperationCompletes (operationId, pollInterval, options = {}) {
+    const {signal} = options
+    const timeout = options.timeout !== undefined ? options.timeout * 1000 : this._timeout
+    const deadline = Date.now() + timeout
+    const timedOut = {}
+    let status = null
+    const giveUpIfNeeded = () => {
+      if (signal && signal.aborted) {
+        throw new OperationCancelledError(operationId, status)
+      }
+      if (Date.now() >= deadline) {
+        throw new OperationTimeoutError(operationId, status)
+      }
+    }
+    const remaining = () => Math.max(deadline - Date.now(), 0) / 1000
+    if (this._webhooks) {
+      const fallbackAfter = options.fallbackAfter !== undefined ? options.fallbackAfter : this._webhooks.fallbackAfter
+      const data = await this._webhooks._waitFor(operationId, Math.min(fallbackAfter, remaining()) * 1000, signal)
+      if (data) {
+        if (options.onPoll) {
+          options.onPoll(data)
+        }
+        if (data.status === 'success') {
+          return data
+        }
+        throw new OperationFailedError(operationId, data)
+      }
+      giveUpIfNeeded()
+    }
     // Wait a bit before starting
-    await sleep(pollInterval * 0.1)
+    await sleep(Math.min(pollInterval * 0.1, remaining()), signal)
     // Start polling
     while (true) {
-      const response = await this._request(`/operations/${operationId}/`)
-      await checkResponse(response)
-      const data = await response.json()
-      const status = data['status']
+      giveUpIfNeeded()
+      let data
+      try {
+        data = await withDeadline((async () => {
+          const response = await this._request(`/operations/${operationId}/`, 'GET', {}, null, true, {signal})
+          await checkResponse(response)
+          return response.json()
+        })(), deadline, timedOut)
+      } catch (err) {
+        if (err instanceof OperationCancelledError) {
+          throw new OperationCancelledError(operationId, status)
+        }
+        if (err instanceof APIError && !err.operationId) {
+          err.operationId = operationId
+        }
+        throw err
+      }
+      if (data === timedOut) {
+        throw new OperationTimeoutError(operationId, status)
+      }
+      status = data['status']
+      if (options.onPoll) {
+        options.onPoll(data)
+      }
       if (status === 'success') {
-        break
+        return data
       } else if (status === 'failed') {
-        throw new APIError(`Operation ${operationId} failed.`)
+        throw new OperationFailedError(operationId, data)
+      }
+      await sleep(Math.min(pollInterval, remaining()), signal)
+    }
+  }
+  /**
+   * Fetches the `/operations/` payload of an operation
+   * @param {String} operationId
+   */
+  async _getOperationData (operationId) {
+    const response = await this._request(`/operations/${operationId}/`)
+    await checkResponse(response)
+    return response.json()
+  }
+  /**
+   * @async
+   * @function getOperation
+   * @summary Get a handle on an existing operation
+   * @description Rebuilds an operation started earlier, possibly by another
+   * process, either from its id or from what its `toJSON` returned
+   * @param {String|Object} operation Id of the operation, or its JSON representation
+   * @param {Object} options
+   * @param {Number} options.pollInterval Seconds between two polls, when not in the JSON
+   * @returns {Promise<Operation>}
+   * @throws {APIError} Containing error code and text
+   */
+  async getOperation (operation, options = {}) {
+    if (typeof operation === 'object') {
+      return new Operation(this, Object.assign({pollInterval: options.pollInterval || DEFAULT_POLL_INTERVAL}, operation))
+    }
+    const data = await this._getOperationData(operation)
+    const handle = new Operation(this, {
+      id: operation,
+      pollInterval: options.pollInterval || data['poll_interval'] || DEFAULT_POLL_INTERVAL
+    })
+    handle._update(data)
+    return handle
+  }
+  /**
+   * Sends a file to the blobstore in consecutive chunks, using the resumable
+   * upload protocol: each chunk is a PUT with a `Content-Range` header, to
+   * which the blobstore answers 308 until the last one
+   * @param {Object} source Data to upload, see `openSource`
+   * @param {Object} state Upload state, updated as chunks are sent
+   * @param {Object} options Same as the `uploadRaster` ones
+   */
+  async _uploadChunks (source, state, options) {
+    const {signal, onUploadState} = options
+    const {uploadUrl, totalBytes, chunkSize} = state
+    const saveState = () => onUploadState && onUploadState(Object.assign({}, state))
+    if (state.bytesSent > 0 || totalBytes === 0) {
+      // Ask the blobstore how much it actually persisted before resuming
+      const response = await this._request(
+        uploadUrl,
+        'PUT',
+        {'Content-Range': `bytes */${totalBytes}`},
+        null,
+        false,
+        {signal, idempotent: true}
+      )
+      if (response.status === 308) {
+        state.bytesSent = parseUploadedRange(response.headers.get('Range'))
+      } else {
+        await checkResponse(response)
+        state.bytesSent = totalBytes
       }
-      await sleep(pollInterval)
+    }
+    saveState()
+    const reportProgress = progressReporter(totalBytes, options.onProgress, state.bytesSent)
+    reportProgress(state.bytesSent)
+    while (state.bytesSent < totalBytes) {
+      const start = state.bytesSent
+      const end = Math.min(start + chunkSize, totalBytes) - 1
+      const response = await this._request(
+        uploadUrl,
+        'PUT',
+        {
+          'Content-Range': `bytes ${start}-${end}/${totalBytes}`,
+          'Content-Length': String(end - start + 1)
+        },
+        async () => trackProgress(await source.read(start, end), bytes => reportProgress(start + bytes)),
+        false,
+        {signal, idempotent: true}
+      )
+      if (response.status === 308) {
+        state.bytesSent = parseUploadedRange(response.headers.get('Range'))
+      } else {
+        await checkResponse(response)
+        state.bytesSent = totalBytes
+      }
+      reportProgress(state.bytesSent)
+      saveState()
     }
   }
   /**
      * @async
      * @function uploadRaster
-     * @summary Uploads a local file as a new raster on Picterra
-     * @param {Number} fileName name of the local file to upload
+     * @summary Uploads a new raster on Picterra
+     * @description By default the data is sent in a single request; setting
+     * `chunkSize` sends it in chunks instead, which allows resuming an
+     * interrupted upload from the last state passed to `onUploadState`
+     * @param {String|Buffer|Uint8Array|Blob|Readable} fileName name of the local
+     * file to upload (Node only), or the raster data itself
      * @param {String} rasterName Name of the uploaded raster
      * @param {String} folderId Id of the folder/project the raster will be uploaded to
+     * @param {Object} options
+     * @param {Number} options.timeout Max number of seconds to wait for the operation,
+     *   defaults to the client one
+     * @param {AbortSignal} options.signal Signal that aborts the requests and the polling
+     * @param {Function} options.onPoll Called with the `/operations/` payload after every poll
+     * @param {Function} options.onProgress Called as data is sent with an object
+     *   `{bytesSent, totalBytes, rate}`, rate being in bytes per second
+     * @param {Number} options.chunkSize Size in bytes of the chunks to send the file in;
+     *   blobstores usually require a multiple of 256 KiB
+     * @param {Function} options.onUploadState Called in chunked mode after every chunk with
+     *   a serializable upload state, that can be saved to resume the upload later
+     * @param {Object} options.uploadState A state previously passed to `onUploadState`,
+     *   to resume an interrupted chunked upload instead of starting a new one
+     * @param {Boolean} options.dedupe With an upload manifest (see `useUploadManifest`),
+     *   whether to reuse a raster already uploaded with the same data, defaults to true
      * @returns {Promise} A promise that resolves to the rasterId (String)
      *   once the raster is ready on Picterra
      * @throws {APIError} Containing error code and text
+     * @throws {ValidationError} If the upload state does not match the data, or
+     * if a chunked upload is requested for a stream
+     * @throws {OperationTimeoutError} If the raster is not ready within the timeout
+     * @throws {OperationCancelledError} If the signal is aborted
      */
-  async uploadRaster (fileName, rasterName = '', folderId = '') {
-    // Compute file size
-    const stream = createReadStream(fileName)
-    let response, data
-    const body = {}
-    if (rasterName !== '') {
-      body['name'] = rasterName
+  async uploadRaster (fileName, rasterName = '', folderId = '', options = {}) {
+    const hash = this._manifest && !options.uploadState ? await hashSource(await openSource(fileName)) : null
+    if (hash && options.dedupe !== false) {
+      const entry = await this._findUpload('rasters', hash, async ({rasterId}) => {
+        return (await this.getRasterById(rasterId)).status === 'ready'
+      })
+      if (entry) {
+        return entry.rasterId
+      }
     }
-    if (folderId !== '') {
-      body['folder_id'] = folderId
+    const operation = await this.startUploadRaster(fileName, rasterName, folderId, options)
+    await operation.wait(options)
+    const {rasterId} = operation.meta
+    if (hash) {
+      this._manifest.set('rasters', hash, {rasterId, name: rasterName})
+    }
+    return rasterId
+  }
+  /**
+     * @async
+     * @function startUploadRaster
+     * @summary Uploads a new raster on Picterra, without waiting for it to be processed
+     * @description Same as `uploadRaster`, but resolves as soon as the data is
+     * sent, to an operation whose `meta.rasterId` is the id of the new raster
+     * @returns {Promise<Operation>} The processing operation of the raster
+     */
+  async startUploadRaster (fileName, rasterName = '', folderId = '', options = {}) {
+    const {signal, uploadState} = options
+    const chunkSize = options.chunkSize || (uploadState && uploadState.chunkSize)
+    const source = await openSource(fileName)
+    const totalBytes = source.size
+    if (chunkSize && totalBytes === null) {
+      throw new ValidationError('Chunked uploads need data of known size, not a stream.')
+    }
+    let response, data, uploadUrl, rasterId
+    if (uploadState) {
+      if (uploadState.totalBytes !== totalBytes) {
+        throw new ValidationError(
+          `Raster data has ${totalBytes} bytes, the upload state expects ${uploadState.totalBytes}.`
+        )
+      }
+      ({uploadUrl, rasterId} = uploadState)
+    } else {
+      const body = {}
+      if (rasterName !== '') {
+        body['name'] = rasterName
+      }
+      if (folderId !== '') {
+        body['folder_id'] = folderId
+      }
+      // Get upload URL
+      response = await this._request(
+        '/rasters/upload/file/',
+        'POST',
+        {'content-type': 'application/json'},
+        JSON.stringify(body),
+        true,
+        {signal}
+      )
+      await checkResponse(response)
+      // Get parameters for blobstore upload
+      data = await response.json()
+      uploadUrl = data.upload_url // e.g. "https://storage.picterra.ch?id=AEnB2UmSEvVl"
+      rasterId = data.raster_id // e.g. "123e4567-e89b-12d3-a456-426655440000"
     }
-    // Get upload URL
-    response = await this._request(
-      '/rasters/upload/file/',
-      'POST',
-      {'content-type': 'application/json'},
-      JSON.stringify(body)
-    )
-    // Get parameters for blobstore upload
-    data = await response.json()
-    const uploadUrl = data.upload_url // e.g. "https://storage.picterra.ch?id=AEnB2UmSEvVl"
-    const rasterId = data.raster_id // e.g. "123e4567-e89b-12d3-a456-426655440000"
     // Send raster data to blobstore
-    response = await this._request(uploadUrl, 'PUT', {}, stream, false)
-    await checkResponse(response)
+    if (chunkSize) {
+      const state = {
+        rasterId,
+        uploadUrl,
+        totalBytes,
+        chunkSize,
+        bytesSent: uploadState ? uploadState.bytesSent : 0
+      }
+      await this._uploadChunks(source, state, options)
+    } else {
+      const reportProgress = progressReporter(totalBytes, options.onProgress)
+      const read = async () => trackProgress(await source.read(), reportProgress)
+      response = await this._request(
+        uploadUrl,
+        'PUT',
+        totalBytes !== null ? {'Content-Length': String(totalBytes)} : {},
+        source.replayable ? read : await read(),
+        false,
+        {signal}
+      )
+      await checkResponse(response)
+      if (totalBytes !== null) {
+        reportProgress(totalBytes)
+      }
+    }
     // Commit uploaded raster
-    response = await this._request(`/rasters/${rasterId}/commit/`, 'POST')
+    response = await this._request(`/rasters/${rasterId}/commit/`, 'POST', {}, null, true, {signal})
     await checkResponse(response)
     data = await response.json()
-    // Prepare for polling
-    await this._waitUntilOperationCompletes(data['operation_id'], data['poll_interval'])
-    return rasterId
+    return new Operation(this, {
+      id: data['operation_id'],
+      pollInterval: data['poll_interval'],
+      meta: {rasterId}
+    })
+  }
+  /**
+     * @function iterRasters
+     * @summary Lazily iterate over the available remote rasters
+     * @description Iterates over the metadata of the rasters owned by the API
+     * user, fetching a new page from the server only when the previous one
+     * has been consumed; use it with `for await`
+     * @param {Object} filters
+     * @param {String} filters.folderId Only rasters in this folder/project
+     * @param {String} filters.search Only rasters whose name matches this string
+     * @param {String} filters.status Only rasters with this status, e.g. "ready"
+     * @param {Number} filters.pageSize Number of rasters fetched per request
+     * @returns {AsyncIterator<Object>} An iterator whose `count` property holds
+     *   the total number of rasters once the first page has been fetched
+     * @throws {ValidationError} If an unknown filter is passed
+     */
+  iterRasters (filters = {}) {
+    return new PaginatedIterator(this, '/rasters/', filtersToParams(filters, RASTER_FILTERS))
   }
   /**
      * @async
@@ -182,19 +833,15 @@ export default class APIClient {
      * @summary Get the list of available remote rasters
      * @description Lists the metadata of all the rasters owned by the API
      * user uploaded to the platform, thus targetable by a detection
+     * @param {Object} filters Same as the ones of `iterRasters`
      * @returns {Promise<[Object]>} A JSON list of the available rasters
      * @throws {APIError} Containing error code and text
      */
-  async listRasters () {
-    let list = []
-    let pageNum = 1
-    do {
-      const response = await this._request(`/rasters/?page_number=${pageNum}`)
-      await checkResponse(response)
-      const data = await response.json()
-      list = list.concat(data['results'])
-      pageNum = data['next'] ? (pageNum + 1) : 0
-    } while (pageNum > 0)
+  async listRasters (filters = {}) {
+    const list = []
+    for await (const raster of this.iterRasters(filters)) {
+      list.push(raster)
+    }
     return list
   }
   /**
@@ -214,36 +861,116 @@ export default class APIClient {
     const data = await response.json()
     return data
   }
+  /**
+     * @async
+     * @function editRaster
+     * @summary Edit the metadata of a raster, identified by an UUID
+     * @description Renames a raster and/or moves it to another folder; only
+     * the given fields are changed
+     * @param {String} rasterId UUID of the raster
+     * @param {Object} fields
+     * @param {String} fields.name New name of the raster
+     * @param {String} fields.folderId Id of the folder/project to move the raster to
+     * @param {String} fields.capturedAt ISO 8601 date the imagery was captured at
+     * @param {String} fields.identityKey Custom identifier of the raster
+     * @param {Number} fields.cloudCoverage Percentage of the raster covered by clouds
+     * @param {String} fields.userTag Free-form tag
+     * @returns {Promise<Boolean>} Whether or not the edit was successful
+     * @throws {ValidationError} If no field or an unknown one is passed
+     * @throws {APIError} Containing error code and text
+     */
+  async editRaster (rasterId, fields = {}) {
+    const bodyData = filtersToParams(fields, RASTER_FIELDS, 'field')
+    if (!Object.keys(bodyData).length) {
+      throw new ValidationError('Nothing to edit; pass at least one field.')
+    }
+    const response = await this._request(
+      `/rasters/${rasterId}/`,
+      'PUT',
+      {'content-type': 'application/json'},
+      JSON.stringify(bodyData)
+    )
+    await checkResponse(response)
+    return true
+  }
   /**
      * @async
      * @summary Set the detection area of an available raster
      * @description Given a raster, sets the detection area geometries for it, overriding
      * any previous one
      * @param {String} rasterId The Id of the raster whose detection area we want to set
-     * @param {String} fileName The GeoJSON with the Detection Areas geometries
+     * @param {Object|String|Buffer|Uint8Array|Blob|Readable} fileName The GeoJSON
+     * FeatureCollection with the Detection Areas geometries, as an object, a
+     * file (Node only) or the file content
+     * @param {Object} options
+     * @param {Number} options.timeout Max number of seconds to wait for the operation,
+     *   defaults to the client one
+     * @param {AbortSignal} options.signal Signal that aborts the requests and the polling
+     * @param {Function} options.onPoll Called with the `/operations/` payload after every poll
+     * @param {Boolean|Object} options.validate Whether to validate the GeoJSON
+     *   before uploading it (default), or the options of `validateGeoJSON`
+     *   to fix some problems on the way
+     * @param {Boolean} options.dedupe With an upload manifest (see `useUploadManifest`),
+     *   whether to skip the upload when the raster already has this detection
+     *   area, defaults to true
      * @returns {Promise<Boolean>} Whether or not the operation succeeded
+     * @throws {ValidationError} If the GeoJSON is invalid
      * @throws {APIError} Containing error code and text
+     * @throws {OperationTimeoutError} If the operation does not complete within the timeout
+     * @throws {OperationCancelledError} If the signal is aborted
      */
-  async setRasterDetectionAreaFromFile (fileName, rasterId) {
-    const stream = createReadStream(fileName)
+  async setRasterDetectionAreaFromFile (fileName, rasterId, options = {}) {
+    const {signal} = options
+    const source = await geoJSONSource(fileName, options.validate)
+    const hash = this._manifest ? await hashSource(source) : null
+    if (hash && options.dedupe !== false) {
+      const entry = await this._findUpload('detectionAreas', rasterId, async entry => {
+        return entry.hash === hash && Boolean(await this.getRasterById(rasterId))
+      })
+      if (entry) {
+        return true
+      }
+    }
     let response, data
     // Get upload URL
-    response = await this._request(`/rasters/${rasterId}/detection_areas/upload/file/`, 'POST')
+    response = await this._request(`/rasters/${rasterId}/detection_areas/upload/file/`, 'POST', {}, null, true, {signal})
     await checkResponse(response)
     data = await response.json()
     const uploadUrl = data.upload_url
     const uploadId = data.upload_id
     // Send geojson data to blobstore
-    response = await this._request(uploadUrl, 'PUT', {}, stream, false)
+    response = await this._request(uploadUrl, 'PUT', {}, source.replayable ? source.read : await source.read(), false, {signal})
     await checkResponse(response)
     // Commit the upload
-    response = await this._request(`/rasters/${rasterId}/detection_areas/upload/${uploadId}/commit/`, 'POST')
+    response = await this._request(
+      `/rasters/${rasterId}/detection_areas/upload/${uploadId}/commit/`,
+      'POST',
+      {},
+      null,
+      true,
+      {signal}
+    )
     await checkResponse(response)
     // Prepare for polling
     data = await response.json()
-    await this._waitUntilOperationCompletes(data['operation_id'], data['poll_interval'])
+    await this._waitUntilOperationCompletes(data['operation_id'], data['poll_interval'], options)
+    if (hash) {
+      this._manifest.set('detectionAreas', rasterId, {hash})
+    }
     return true
   }
+  /**
+     * @async
+     * @function getRasterDetectionArea
+     * @summary Get the detection area of a raster
+     * @param {String} rasterId UUID of the raster
+     * @returns {Promise<Object>} The GeoJSON FeatureCollection of the detection
+     *   area, null if the raster has none
+     * @throws {APIError} Containing error code and text
+     */
+  async getRasterDetectionArea (rasterId) {
+    return this._downloadGeoJSON(`/rasters/${rasterId}/detection_areas/download/`)
+  }
   /**
     * @summary Delete a raster, identified by an UUID
     * @description Delete a given raster, identified by an UUID and
@@ -260,47 +987,91 @@ export default class APIClient {
     // Return all went good
     return true
   }
+  /**
+     * @summary Iterate over the folders (projects) of the user
+     * @description Lazily lists the folders rasters can be organized in,
+     * fetching a new page from the server only when the previous one has
+     * been consumed; use it with `for await`
+     * @param {Object} filters
+     * @param {String} filters.search Only folders whose name matches this string
+     * @param {Number} filters.pageSize Number of folders fetched per request
+     * @returns {AsyncIterator<Object>} An iterator whose `count` property holds
+     *   the total number of folders once the first page has been fetched
+     * @throws {ValidationError} If an unknown filter is passed
+     */
+  iterFolders (filters = {}) {
+    return new PaginatedIterator(this, '/folders/', filtersToParams(filters, FOLDER_FILTERS))
+  }
+  /**
+     * @async
+     * @function listFolders
+     * @summary Get the list of folders (projects)
+     * @param {Object} filters Same as the ones of `iterFolders`
+     * @returns {Promise<[Object]>} A JSON list of the folders, each with its `id` and `name`
+     * @throws {APIError} Containing error code and text
+     */
+  async listFolders (filters = {}) {
+    const list = []
+    for await (const folder of this.iterFolders(filters)) {
+      list.push(folder)
+    }
+    return list
+  }
+  /**
+   * @async
+   * @function createFolder
+   * @summary Creates a folder (project) to organize rasters in
+   * @param {String} name Name of the folder
+   * @returns {Promise<String>} Id of the folder that has been created, to be
+   *   passed as `folderId` to `uploadRaster`, `editRaster` or `listRasters`
+   * @throws {ValidationError} If the name is empty
+   * @throws {APIError} Containing error code and text
+   */
+  async createFolder (name) {
+    if (!name) {
+      throw new ValidationError('A folder needs a name.')
+    }
+    const response = await this._request(
+      '/folders/',
+      'POST',
+      {'content-type': 'application/json'},
+      JSON.stringify({'name': name})
+    )
+    await checkResponse(response)
+    const data = await response.json()
+    return data['id']
+  }
   /**
    * @async
    * @function createDetector
    * @summary Creates a detector
-   * @description Creates a detector setting its name and type
-   * @param {String} name Name of the detector
-   * @param {String} detectionType Type of detection; one of "count", "segmentation"
-   * @param {String} outputType Type of results output; one of "bbox", "polygon"
-   * @param {String} trainingSteps Number of training steps, between 500 and 40000
+   * @description Creates a detector setting its name, type and training
+   * options; the settings not given take their default value. The former
+   * `createDetector(name, detectionType, outputType, trainingSteps)` signature
+   * is still supported.
+   * @param {Object} settings
+   * @param {String} settings.name Name of the detector
+   * @param {String} settings.detectionType Type of detection; one of "count" (default), "segmentation"
+   * @param {String} settings.outputType Type of results output; one of "polygon" (default), "bbox"
+   * @param {Number} settings.trainingSteps Number of training steps, between 500 (default) and 40000
+   * @param {String} settings.backbone Neural network backbone, e.g. "resnet50", checked by the server
+   * @param {Number} settings.tileSize Size in pixels of the training tiles, e.g. 512, checked by the server
+   * @param {Number} settings.backgroundSampleRatio Ratio of background tiles used for training, between 0 and 1
+   * @param {[Object|String]} settings.classes Classes of a multi-class detector, as `{name}` objects or names
    * @returns {Promise<String>} Id of the detector that has been created
+   * @throws {ValidationError} If a setting is unknown or invalid
    * @throws {APIError} Containing error code and text
    */
-  async createDetector (name = '', detectionType = 'count', outputType = 'polygon', trainingSteps = 500) {
-    detectionType = detectionType.toLowerCase()
-    outputType = outputType.toLowerCase()
-    const detectionTypes = ['count', 'segmentation']
-    if (!detectionTypes.includes(detectionType)) {
-      const validTypes = detectionTypes.join(', ')
-      throw new ValidationError(`Invalid detector type ${detectionType}; allowed values: ${validTypes}.`)
-    }
-    const outputTypes = ['polygon', 'bbox']
-    if (!outputTypes.includes(outputType)) {
-      const validTypes = outputTypes.join(', ')
-      throw new ValidationError(`Invalid output type ${outputType}; allowed values: ${validTypes}.`)
-    }
-    const range = [500, 40 * 1000]
-    if ((trainingSteps < range[0]) || (trainingSteps > range[1])) {
-      throw new ValidationError(`Training steps value ${trainingSteps} is outside range [${range[0]}, ${range[1]}].`)
+  async createDetector (settings, ...positional) {
+    if (typeof settings !== 'object' || settings === null) {
+      const [detectionType, outputType, trainingSteps] = positional
+      settings = {name: settings === undefined ? '' : settings, detectionType, outputType, trainingSteps}
     }
     const response = await this._request(
       '/detectors/',
       'POST',
       {'content-type': 'application/json'},
-      JSON.stringify({
-        'name': name,
-        'configuration': {
-          'detection_type': detectionType,
-          'output_type': outputType,
-          'training_steps': trainingSteps
-        }
-      })
+      JSON.stringify(detectorBody(settings, false))
     )
     await checkResponse(response)
     const data = await response.json()
@@ -310,53 +1081,25 @@ export default class APIClient {
    * @async
    * @function editDetector
    * @summary Edit a detector's metadata
-   * @description Edit a detector settings and/or its name
+   * @description Edit a detector settings and/or its name; only the given
+   * settings are changed. The former `editDetector(detectorId, name,
+   * detectionType, outputType, trainingSteps)` signature is still supported.
    * @param {String} detectorId Identifier for the detector
-   * @param {String} name Name of the detector
-   * @param {String} detectionType Type of detection; oen of "count", "segmentation"
-   * @param {String} outputType Type of results output; one of "bbox", "polygon"
-   * @param {String} trainingSteps Number of training steps, between 500 and 40000
+   * @param {Object} settings Same as the `createDetector` ones
+   * @returns {Promise<Boolean>} Whether or not the edit was successful
+   * @throws {ValidationError} If no setting or an unknown or invalid one is passed
    * @throws {APIError} Containing error code and text
    */
-  async editDetector (detectorId, name, detectionType, outputType, trainingSteps) {
-    const bodyData = {}
-    if (name) {
-      bodyData.name = name
-      bodyData.configuration = {}
-    }
-    if (detectionType) {
-      detectionType = detectionType.toLowerCase()
-      const detectionTypes = ['count', 'segmentation']
-      if (!detectionTypes.includes(detectionType)) {
-        const validTypes = detectionTypes.join(', ')
-        throw new ValidationError(`Invalid detector type ${detectionType}; allowed values: ${validTypes}.`)
-      } else {
-        bodyData.configuration.detection_type = detectionType
-      }
-    }
-    if (outputType) {
-      outputType = outputType.toLowerCase()
-      const outputTypes = ['polygon', 'bbox']
-      if (!outputTypes.includes(outputType)) {
-        const validTypes = outputTypes.join(', ')
-        throw new ValidationError(`Invalid output type ${outputType}; allowed values: ${validTypes}.`)
-      } else {
-        bodyData.configuration.output_type = outputType
-      }
-    }
-    if (trainingSteps) {
-      const range = [500, 40 * 1000]
-      if ((trainingSteps < range[0]) || (trainingSteps > range[1])) {
-        throw new ValidationError(`Training steps value ${trainingSteps} is outside range [${range[0]}, ${range[1]}].`)
-      } else {
-        bodyData.configuration.training_steps = trainingSteps
-      }
+  async editDetector (detectorId, settings, ...positional) {
+    if (typeof settings !== 'object' || settings === null) {
+      const [detectionType, outputType, trainingSteps] = positional
+      settings = {name: settings, detectionType, outputType, trainingSteps}
     }
     const response = await this._request(
       `/detectors/${detectorId}/`,
       'PUT',
       {'content-type': 'application/json'},
-      JSON.stringify(bodyData)
+      JSON.stringify(detectorBody(settings, true))
     )
     await checkResponse(response)
     return true
@@ -380,6 +1123,87 @@ export default class APIClient {
     await checkResponse(response)
     return true
   }
+  /**
+   * @async
+   * @function removeRasterFromDetector
+   * @summary Remove a raster from the detector training set
+   * @description Remove a raster, along with its annotations, from the
+   * detector training set; the raster itself is not deleted
+   * @param {String} rasterId Id of the raster to remove
+   * @param {String} detectorId Id of the detector involved
+   * @returns {Promise<Boolean>} Whether or not removal was successful
+   * @throws {APIError} Containing error code and text
+   */
+  async removeRasterFromDetector (rasterId, detectorId) {
+    const response = await this._request(`/detectors/${detectorId}/training_rasters/${rasterId}/`, 'DELETE')
+    await checkResponse(response)
+    return true
+  }
+  /**
+     * @summary Iterate over the rasters of a detector training set
+     * @description Lazily lists the training rasters, fetching a new page
+     * from the server only when the previous one has been consumed; use it with `for await`
+     * @param {String} detectorId Id of the detector
+     * @param {Object} filters
+     * @param {Number} filters.pageSize Number of rasters fetched per request
+     * @returns {AsyncIterator<Object>} An iterator whose `count` property holds
+     *   the total number of rasters once the first page has been fetched
+     * @throws {ValidationError} If an unknown filter is passed
+     */
+  iterTrainingRasters (detectorId, filters = {}) {
+    return new PaginatedIterator(
+      this,
+      `/detectors/${detectorId}/training_rasters/`,
+      filtersToParams(filters, TRAINING_RASTER_FILTERS)
+    )
+  }
+  /**
+     * @async
+     * @function listTrainingRasters
+     * @summary Get the list of rasters of a detector training set
+     * @param {String} detectorId Id of the detector
+     * @param {Object} filters Same as the ones of `iterTrainingRasters`
+     * @returns {Promise<[Object]>} A JSON list of the training rasters
+     * @throws {APIError} Containing error code and text
+     */
+  async listTrainingRasters (detectorId, filters = {}) {
+    const list = []
+    for await (const raster of this.iterTrainingRasters(detectorId, filters)) {
+      list.push(raster)
+    }
+    return list
+  }
+  /**
+   * @async
+   * @function getAnnotations
+   * @summary Downloads a given annotation type of a raster belonging to a detector training set
+   * @param {String} detectorId Id of the detector
+   * @param {String} rasterId Id of the raster
+   * @param {String} annotationType Type of annotation; one of 'outline', 'training_area', 'testing_area', 'validation_area'
+   * @returns {Promise<Object>} The GeoJSON FeatureCollection of the annotations,
+   *   null if there are none of this type
+   * @throws {ValidationError} If the annotation type is invalid
+   * @throws {APIError} Containing error code and text
+   */
+  async getAnnotations (detectorId, rasterId, annotationType) {
+    annotationType = checkAnnotationType(annotationType)
+    return this._downloadGeoJSON(`/detectors/${detectorId}/training_rasters/${rasterId}/${annotationType}/download/`)
+  }
+  /**
+   * @async
+   * @function clearAnnotations
+   * @summary Removes a given annotation type of a raster belonging to a detector training set
+   * @description Overwrites the annotations with an empty FeatureCollection
+   * @param {String} detectorId Id of the detector
+   * @param {String} rasterId Id of the raster
+   * @param {String} annotationType Type of annotation; one of 'outline', 'training_area', 'testing_area', 'validation_area'
+   * @param {Object} options Same as the ones of `setAnnotations`
+   * @throws {ValidationError} If the annotation type is invalid
+   * @throws {APIError} Containing error code and text
+   */
+  async clearAnnotations (detectorId, rasterId, annotationType, options = {}) {
+    return this.setAnnotations(detectorId, rasterId, annotationType, {type: 'FeatureCollection', features: []}, options)
+  }
   /**
    * @async
    * @function setAnnotations
@@ -389,33 +1213,71 @@ export default class APIClient {
    * @param {String} rasterId Id of the raster
    * @param {String} annotationType Type of annotation; one of 'outline', 'training_area', 'testing_area', 'validation_area'
    * @param {Object} annotationsGeoJSon GeoJSON representation of the annotation geometry(ies)"
+   * @param {Object} options
+   * @param {Number} options.timeout Max number of seconds to wait for the operation,
+   *   defaults to the client one
+   * @param {AbortSignal} options.signal Signal that aborts the requests and the polling
+   * @param {Function} options.onPoll Called with the `/operations/` payload after every poll
+   * @param {Boolean|Object} options.validate Whether to validate the GeoJSON
+   *   before uploading it (default), or the options of `validateGeoJSON`
+   *   to fix some problems on the way
+   * @param {Boolean} options.dedupe With an upload manifest (see `useUploadManifest`),
+   *   whether to skip the upload when these annotations are already set, defaults to true
+   * @throws {ValidationError} If the annotation type or the GeoJSON is invalid
    * @throws {APIError} Containing error code and text
+   * @throws {OperationTimeoutError} If the operation does not complete within the timeout
+   * @throws {OperationCancelledError} If the signal is aborted
    */
-  async setAnnotations (detectorId, rasterId, annotationType, annotationsGeoJSon) {
+  async setAnnotations (detectorId, rasterId, annotationType, annotationsGeoJSon, options = {}) {
+    const {signal} = options
     let resp, data
-    const annotationTypes = ['outline', 'training_area', 'testing_area', 'validation_area']
-    annotationType = annotationType.toLowerCase()
-    if (!annotationTypes.includes(annotationType)) {
-      const validTypes = annotationTypes.join(', ')
-      throw new ValidationError(`Invalid annotation type ${annotationType}; allowed values: ${validTypes}.`)
+    annotationType = checkAnnotationType(annotationType)
+    const source = await geoJSONSource(annotationsGeoJSon, options.validate)
+    const target = `${detectorId}/${rasterId}/${annotationType}`
+    const hash = this._manifest ? await hashSource(source) : null
+    if (hash && options.dedupe !== false) {
+      const entry = await this._findUpload('annotations', target, async entry => {
+        return entry.hash === hash && Boolean(await this.getDetectorById(detectorId))
+      })
+      if (entry) {
+        return true
+      }
     }
     resp = await this._request(
       `/detectors/${detectorId}/training_rasters/${rasterId}/${annotationType}/upload/bulk/`,
-      'POST'
+      'POST',
+      {},
+      null,
+      true,
+      {signal}
     )
     await checkResponse(resp)
     data = await resp.json()
     const uploadUrl = data['upload_url']
     const uploadId = data['upload_id']
-    resp = await this._request(uploadUrl, 'PUT', {'Content-Type': 'application/json'}, JSON.stringify(annotationsGeoJSon), false)
+    resp = await this._request(
+      uploadUrl,
+      'PUT',
+      {'Content-Type': 'application/json'},
+      source.replayable ? source.read : await source.read(),
+      false,
+      {signal}
+    )
     await checkResponse(resp)
     resp = await this._request(
       `/detectors/${detectorId}/training_rasters/${rasterId}/${annotationType}/upload/bulk/${uploadId}/commit/`,
-      'POST'
+      'POST',
+      {},
+      null,
+      true,
+      {signal}
     )
     await checkResponse(resp)
     data = await resp.json()
-    await this._waitUntilOperationCompletes(data['operation_id'], data['poll_interval'])
+    await this._waitUntilOperationCompletes(data['operation_id'], data['poll_interval'], options)
+    if (hash) {
+      this._manifest.set('annotations', target, {hash})
+    }
     return true
   }
   /**
@@ -424,14 +1286,115 @@ export default class APIClient {
    * @summary Trains a detector
    * @description Launches a training on a detector and waits until it finishes
    * @param {String} detectorId Identifier for the detector
+   * @param {Object} options
+   * @param {Number} options.timeout Max number of seconds to wait for the operation,
+   *   defaults to the client one
+   * @param {AbortSignal} options.signal Signal that aborts the requests and the polling
+   * @param {Function} options.onPoll Called with the `/operations/` payload after every poll
+   * @returns {Promise<Object>} The results of the training operation, whose
+   *   `metrics` hold the accuracy, precision, recall and F-score computed on
+   *   the validation areas, if any
+   * @throws {APIError} Containing error code and text
+   * @throws {OperationFailedError} If the training fails
+   * @throws {OperationTimeoutError} If the training does not complete within the timeout
+   * @throws {OperationCancelledError} If the signal is aborted
+   */
+  async trainDetector (detectorId, options = {}) {
+    const operation = await this.startTrainDetector(detectorId, options)
+    return operation.wait(options)
+  }
+  /**
+   * @async
+   * @function startTrainDetector
+   * @summary Launches the training of a detector, without waiting for it to finish
+   * @param {String} detectorId Identifier for the detector
+   * @param {Object} options
+   * @param {AbortSignal} options.signal Signal that aborts the request
+   * @returns {Promise<Operation>} The training operation
    * @throws {APIError} Containing error code and text
    */
-  async trainDetector (detectorId) {
-    const response = await this._request(`/detectors/${detectorId}/train/`, 'POST')
+  async startTrainDetector (detectorId, options = {}) {
+    const {signal} = options
+    const response = await this._request(`/detectors/${detectorId}/train/`, 'POST', {}, null, true, {signal})
     await checkResponse(response)
     const data = await response.json()
-    await this._waitUntilOperationCompletes(data['operation_id'], data['poll_interval'])
-    return true
+    return new Operation(this, {
+      id: data['operation_id'],
+      pollInterval: data['poll_interval'],
+      meta: {detectorId}
+    })
+  }
+  /**
+     * @summary Iterate over the trainings of a detector, latest first
+     * @description Lazily lists the trainings, fetching a new page from the
+     * server only when the previous one has been consumed; use it with `for await`
+     * @param {String} detectorId Identifier for the detector
+     * @param {Object} filters
+     * @param {Number} filters.pageSize Number of trainings fetched per request
+     * @returns {AsyncIterator<Object>} An iterator whose `count` property holds
+     *   the total number of trainings once the first page has been fetched
+     * @throws {ValidationError} If an unknown filter is passed
+     */
+  iterDetectorTrainingHistory (detectorId, filters = {}) {
+    return new PaginatedIterator(
+      this,
+      `/detectors/${detectorId}/training_history/`,
+      filtersToParams(filters, TRAINING_HISTORY_FILTERS)
+    )
+  }
+  /**
+     * @async
+     * @function getDetectorTrainingHistory
+     * @summary Get the trainings of a detector, latest first
+     * @param {String} detectorId Identifier for the detector
+     * @param {Object} filters Same as the ones of `iterDetectorTrainingHistory`
+     * @returns {Promise<[Object]>} A JSON list of the trainings, each with its
+     *   `operation_id`, `created_at`, `status` and `metrics` (null until it
+     *   succeeds, or when there are no validation areas)
+     * @throws {APIError} Containing error code and text
+     */
+  async getDetectorTrainingHistory (detectorId, filters = {}) {
+    const list = []
+    for await (const training of this.iterDetectorTrainingHistory(detectorId, filters)) {
+      list.push(training)
+    }
+    return list
+  }
+  /**
+   * @async
+   * @function getTrainingMetrics
+   * @summary Get the metrics of the latest training of a detector
+   * @description Metrics are computed on the validation areas set with
+   * `setAnnotations`; compare them between trainings with `compareTrainingMetrics`
+   * @param {String} detectorId Identifier for the detector
+   * @returns {Promise<Object>} `{accuracy, precision, recall, fScore}` of the
+   *   latest successful training with metrics, null if there is none
+   * @throws {APIError} Containing error code and text
+   */
+  async getTrainingMetrics (detectorId) {
+    for await (const training of this.iterDetectorTrainingHistory(detectorId)) {
+      const metrics = training.status === 'success' ? normalizeMetrics(training) : null
+      if (metrics) {
+        return metrics
+      }
+    }
+    return null
+  }
+  /**
+   * @function iterDetectors
+   * @summary Lazily iterate over the available custom detectors
+   * @description Iterates over the metadata of the custom detectors owned by
+   * the API user, fetching a new page from the server only when the previous
+   * one has been consumed; use it with `for await`
+   * @param {Object} filters
+   * @param {String} filters.search Only detectors whose name matches this string
+   * @param {Number} filters.pageSize Number of detectors fetched per request
+   * @returns {AsyncIterator<Object>} An iterator whose `count` property holds
+   *   the total number of detectors once the first page has been fetched
+   * @throws {ValidationError} If an unknown filter is passed
+   */
+  iterDetectors (filters = {}) {
+    return new PaginatedIterator(this, '/detectors/', filtersToParams(filters, DETECTOR_FILTERS))
   }
   /**
    * @async
@@ -439,19 +1402,15 @@ export default class APIClient {
    * @summary Get the list of available custom detectors
    * @description Lists the metadata of all the custom detectors
    * owned by the API user, thus ready to preditc with on rasters
+   * @param {Object} filters Same as the ones of `iterDetectors`
    * @returns {Promise<[Object]>} A JSON list of the available detectors
    * @throws {APIError} Containing error code and text
    */
-  async listDetectors () {
-    let list = []
-    let pageNum = 1
-    do {
-      const response = await this._request(`/detectors/?page_number=${pageNum}`)
-      await checkResponse(response)
-      const data = await response.json()
-      list = list.concat(data['results'])
-      pageNum = data['next'] ? (pageNum + 1) : 0
-    } while (pageNum > 0)
+  async listDetectors (filters = {}) {
+    const list = []
+    for await (const detector of this.iterDetectors(filters)) {
+      list.push(detector)
+    }
     return list
   }
   /**
@@ -480,10 +1439,220 @@ export default class APIClient {
      * to end, returning the URL where the result GeoJSON is stored
      * @param {String} detectorId UUID of the custom detector to use for prediction
      * @param {String} rasterId UUID of the raster to predict on
+     * @param {Object} options
+     * @param {Number} options.timeout Max number of seconds to wait for the operation,
+     *   defaults to the client one
+     * @param {AbortSignal} options.signal Signal that aborts the requests and the polling
+     * @param {Function} options.onPoll Called with the `/operations/` payload after every poll
      * @returns {Promise<String>} Promise for the URL where the detection results are stored
      * @throws {APIError} Containing error code and text
+     * @throws {OperationTimeoutError} If the detection does not complete within the timeout
+     * @throws {OperationCancelledError} If the signal is aborted
+     */
+  async runDetector (detectorId, rasterId, options = {}) {
+    const operation = await this.startRunDetector(detectorId, rasterId, options)
+    await operation.wait(options)
+    return operation.id
+  }
+  /**
+     * @async
+     * @function runDetectorOnRasters
+     * @summary Runs a given detector on many rasters
+     * @description Launches the detections with at most `concurrency` of them
+     * running at once, waiting for all of them to end. By default a failed
+     * detection does not stop the others: its error is reported along with
+     * the outcome of every raster.
+     * @param {String} detectorId UUID of the custom detector to use for prediction
+     * @param {[String]} rasterIds UUIDs of the rasters to predict on
+     * @param {Object} options
+     * @param {Number} options.concurrency Max number of detections running at once, defaults to 4
+     * @param {Function} options.onProgress Called with `{rasterId, status,
+     *   operationId, error, completed, total}` each time a detection starts
+     *   ("running") or ends ("success", "failed")
+     * @param {Boolean} options.continueOnError Whether to go on after a failure
+     *   (default), or to cancel the pending detections and reject
+     * @param {String} options.format Format of the downloaded results, see
+     *   `downloadResultToFile`; defaults to "geojson"
+     * @param {String} options.outputDir Directory where to download the results
+     *   of each raster, as `<rasterId>.geojson` (Node only)
+     * @param {Boolean} options.merge Whether to download the results and merge
+     *   them into one FeatureCollection, each feature being tagged with its `raster_id` property
+     * @param {Number} options.timeout Max number of seconds to wait for each detection,
+     *   defaults to the client one
+     * @param {AbortSignal} options.signal Signal that aborts all the detections
+     * @param {Function} options.onPoll Called with the `/operations/` payload after every poll
+     * @returns {Promise<Object>} `{runs, succeeded, failed, featureCollection}`
+     *   where `runs` lists `{rasterId, status, operationId, error, file}` in the
+     *   order of `rasterIds`, status being one of "success", "failed", "skipped"
+     *   (not started because of a cancellation), and `featureCollection` is
+     *   only set with the `merge` option
+     * @throws {ValidationError} If the options are invalid
+     * @throws {APIError} The first error, when `continueOnError` is false
+     * @throws {OperationCancelledError} If the signal is aborted
+     */
+  async runDetectorOnRasters (detectorId, rasterIds, options = {}) {
+    const {onProgress, continueOnError = true, outputDir, merge = false} = options
+    const format = checkExportFormat(options.format || 'geojson')
+    const concurrency = options.concurrency === undefined ? DEFAULT_BATCH_CONCURRENCY : options.concurrency
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new ValidationError(`Invalid concurrency ${concurrency}; expected a positive integer.`)
+    }
+    const controller = linkedAbortController(options.signal)
+    const callOptions = Object.assign({}, options, {signal: controller.signal})
+    const runs = rasterIds.map(rasterId => ({rasterId, status: 'skipped', operationId: null, error: null, file: null}))
+    const features = rasterIds.map(() => [])
+    let completed = 0
+    let firstError = null
+    const report = run => {
+      if (onProgress) {
+        onProgress(Object.assign({}, run, {completed, total: rasterIds.length}))
+      }
+    }
+    await runWithConcurrency(rasterIds, concurrency, async (rasterId, index) => {
+      const run = runs[index]
+      try {
+        const operation = await this.startRunDetector(detectorId, rasterId, callOptions)
+        run.operationId = operation.id
+        run.status = 'running'
+        report(run)
+        await operation.wait(callOptions)
+        if (outputDir) {
+          run.file = require('path').join(outputDir, `${rasterId}${EXPORT_FORMATS[format]}`)
+          await this.downloadResultToFile(operation.id, run.file, {format})
+        }
+        if (merge) {
+          const results = await this.getResults(operation.id)
+          features[index] = results.features.map(feature => Object.assign({}, feature, {
+            properties: Object.assign({}, feature.properties, {raster_id: rasterId})
+          }))
+        }
+        run.status = 'success'
+      } catch (err) {
+        if (err instanceof OperationCancelledError && firstError) {
+          // Cancelled because of the failure of another raster
+          run.status = 'skipped'
+          return
+        }
+        run.status = 'failed'
+        run.error = err
+        if (!continueOnError && !firstError) {
+          firstError = err
+          controller.abort()
+        }
+      }
+      completed++
+      report(run)
+    }, controller.signal)
+    if (firstError) {
+      throw firstError
+    }
+    if (options.signal && options.signal.aborted) {
+      throw new OperationCancelledError()
+    }
+    const summary = {
+      runs,
+      succeeded: runs.filter(r => r.status === 'success').length,
+      failed: runs.filter(r => r.status === 'failed').length
+    }
+    if (merge) {
+      summary.featureCollection = {type: 'FeatureCollection', features: [].concat(...features)}
+    }
+    return summary
+  }
+  /**
+     * @async
+     * @function runDetectorOnTiles
+     * @summary Runs a given detector on a large area of a raster, tile by tile
+     * @description Splits the area into a grid of overlapping tiles (see
+     * `tileGrid`), and for each of them in turn sets it as the detection area
+     * of the raster, runs the detector and gets the results; these are then
+     * merged so that the objects on the edges of tiles are neither duplicated
+     * nor cut (see `mergeTiledResults`). The previous detection area of the
+     * raster is set back at the end, or removed if it had none.
+     * @param {String} detectorId UUID of the custom detector to use for prediction
+     * @param {String} rasterId UUID of the raster to predict on
+     * @param {Object} area GeoJSON Polygon or MultiPolygon to detect on, as a
+     *   geometry, a Feature or a FeatureCollection
+     * @param {Object} options
+     * @param {Number} options.tileSize Width and height of the tiles, in meters
+     * @param {Number} options.overlap Overlap between neighbouring tiles, in meters, defaults to 0
+     * @param {Number} options.maxTiles Max number of tiles, defaults to 1000
+     * @param {String} options.strategy How to merge the objects found on
+     *   several tiles, "dedupe" (default) or "union"
+     * @param {Number} options.iouThreshold Min IoU of the objects found on
+     *   several tiles to merge them, defaults to 0.5
+     * @param {Function} options.onProgress Called with `{tile, operationId,
+     *   completed, total}` each time the detection of a tile ends
+     * @param {Number} options.timeout Max number of seconds to wait for each operation,
+     *   defaults to the client one
+     * @param {AbortSignal} options.signal Signal that aborts the requests and the polling
+     * @param {Function} options.onPoll Called with the `/operations/` payload after every poll
+     * @returns {Promise<Object>} `{tiles, runs, featureCollection}` where
+     *   `tiles` is the FeatureCollection of the tiles, `runs` lists `{tile,
+     *   operationId}` and `featureCollection` holds the merged results
+     * @throws {ValidationError} If the area or the options are invalid
+     * @throws {APIError} Containing error code and text
+     * @throws {OperationTimeoutError} If an operation does not complete within the timeout
+     * @throws {OperationCancelledError} If the signal is aborted
+     * @throws {Error} The error of a tile, with the error of the restore of the
+     *   detection area as `restoreError` if it failed too
+     */
+  async runDetectorOnTiles (detectorId, rasterId, area, options = {}) {
+    const {onProgress} = options
+    const tiles = tileGrid(area, options)
+    checkMergeOptions(options)
+    const previousArea = await this.getRasterDetectionArea(rasterId)
+    const runs = []
+    const results = []
+    let tileError = null
+    try {
+      for (const tile of tiles.features) {
+        const detectionArea = {type: 'FeatureCollection', features: [{type: 'Feature', properties: {}, geometry: tile.geometry}]}
+        await this.setRasterDetectionAreaFromFile(detectionArea, rasterId, options)
+        const operationId = await this.runDetector(detectorId, rasterId, options)
+        results.push(await this.getResults(operationId))
+        runs.push({tile: tile.properties.tile, operationId})
+        if (onProgress) {
+          onProgress({tile: tile.properties.tile, operationId, completed: runs.length, total: tiles.features.length})
+        }
+      }
+    } catch (err) {
+      tileError = err
+    }
+    // Not aborted along with the tiles, to leave the raster as it was; an
+    // empty detection area removes the one of the last tile
+    try {
+      await this.setRasterDetectionAreaFromFile(previousArea || {type: 'FeatureCollection', features: []}, rasterId, {
+        timeout: options.timeout,
+        validate: false
+      })
+    } catch (err) {
+      // The error of the tile matters more, the failed restore goes along with it
+      if (!tileError) {
+        throw err
+      }
+      tileError.restoreError = err
+    }
+    if (tileError) {
+      throw tileError
+    }
+    return {tiles, runs, featureCollection: mergeTiledResults(results, options)}
+  }
+  /**
+     * @async
+     * @function startRunDetector
+     * @summary Launches a detection, without waiting for it to finish
+     * @description Same as `runDetector`, but resolves as soon as the
+     * detection is started; the operation id is the one `runDetector` returns
+     * @param {String} detectorId UUID of the custom detector to use for prediction
+     * @param {String} rasterId UUID of the raster to predict on
+     * @param {Object} options
+     * @param {AbortSignal} options.signal Signal that aborts the request
+     * @returns {Promise<Operation>} The detection operation
+     * @throws {APIError} Containing error code and text
      */
-  async runDetector (detectorId, rasterId) {
+  async startRunDetector (detectorId, rasterId, options = {}) {
+    const {signal} = options
     let response, data
     response = await this._request(
       `/detectors/${detectorId}/run/`,
@@ -491,23 +1660,188 @@ export default class APIClient {
       {'content-type': 'application/json'},
       JSON.stringify({
         'raster_id': rasterId
-      })
+      }),
+      true,
+      {signal}
     )
     await checkResponse(response)
     data = await response.json()
-    await this._waitUntilOperationCompletes(data['operation_id'], data['poll_interval'])
-    return data['operation_id']
+    return new Operation(this, {
+      id: data['operation_id'],
+      pollInterval: data['poll_interval'],
+      meta: {detectorId, rasterId}
+    })
   }
-
-  async downloadResultToFile (operationId, fileName) {
-    let response = await this._request(`/operations/${operationId}/`)
+  /**
+   * Downloads a GeoJSON file whose URL is given by an endpoint
+   * @param {String} path Path of the endpoint, which replies with `{download_url}`
+   * @returns {Promise<Object>} The parsed GeoJSON, null if there is no file to download
+   */
+  async _downloadGeoJSON (path) {
+    let response = await this._request(path)
     await checkResponse(response)
     const data = await response.json()
-    if (data.status !== 'success') {
-      throw new APIError('Operation not finished')
+    if (!data['download_url']) {
+      return null
+    }
+    response = await this._request(data['download_url'], 'GET', {}, null, false)
+    await checkResponse(response)
+    return response.json()
+  }
+  /**
+   * Fetches the results of a finished detection from the blobstore
+   * @param {String} operationId
+   * @returns {Promise<Response>} The response whose body holds the results
+   * @throws {ValidationError} If the operation is not a detection
+   * @throws {OperationFailedError} If the detection failed
+   * @throws {APIError} If the detection has not finished or has no results
+   */
+  async _fetchResult (operationId) {
+    const data = await this._getOperationData(operationId)
+    if (data.type && data.type !== DETECTION_OPERATION_TYPE) {
+      throw new ValidationError(
+        `Operation ${operationId} is a ${data.type}, not a detection; only detections have results.`,
+        '',
+        {operationId}
+      )
+    }
+    if (data.status === 'failed') {
+      throw new OperationFailedError(operationId, data)
+    } else if (data.status !== 'success') {
+      throw new APIError(`Operation ${operationId} not finished (status: ${data.status}).`, '', {operationId})
     }
-    response = await this._request(data.results.url, 'GET', {}, null, false)
+    if (!data.results || !data.results.url) {
+      throw new APIError(`Operation ${operationId} has no results.`, '', {operationId})
+    }
+    const response = await this._request(data.results.url, 'GET', {}, null, false)
     await checkResponse(response)
+    return response
+  }
+  /**
+   * @async
+   * @function getResults
+   * @summary Gets the results of a detection in memory
+   * @param {String} operationId Id of the detection operation
+   * @returns {Promise<Object>} The GeoJSON FeatureCollection of the detected objects
+   * @throws {APIError} Containing error code and text, or if the detection has not finished
+   * @throws {ValidationError} If the operation is not a detection
+   */
+  async getResults (operationId) {
+    const response = await this._fetchResult(operationId)
+    return response.json()
+  }
+  /**
+   * @function iterResultFeatures
+   * @summary Iterates over the detected objects one at a time
+   * @description Parses the results of a detection as they are downloaded,
+   * so that huge results never need to fit in memory; use it with `for await`
+   * @param {String} operationId Id of the detection operation
+   * @returns {AsyncGenerator<Object>} The GeoJSON features of the detected objects
+   * @throws {APIError} Containing error code and text, or if the detection has not finished
+   * @throws {ValidationError} If the operation is not a detection
+   */
+  async * iterResultFeatures (operationId) {
+    const response = await this._fetchResult(operationId)
+    yield * parseFeatures(response.body)
+  }
+  /**
+   * @async
+   * @function summarizeResults
+   * @summary Computes summary statistics of detection results
+   * @description Counts the detected objects and computes their total and
+   * mean geodesic area, their extent and, given the detection area, the
+   * number of objects in each of its polygons
+   * @param {String|Object} results Id of the detection operation, or its
+   *   results as a GeoJSON FeatureCollection
+   * @param {Object} options
+   * @param {Object} options.detectionArea GeoJSON of the detection area
+   * @returns {Promise<Object>} The statistics, see the `summarizeResults` export
+   * @throws {APIError} Containing error code and text
+   * @throws {ValidationError} If the results are not a FeatureCollection
+   */
+  async summarizeResults (results, options = {}) {
+    const featureCollection = typeof results === 'string' ? await this.getResults(results) : results
+    return summarizeResults(featureCollection, options)
+  }
+  /**
+   * @async
+   * @function downloadResult
+   * @summary Downloads the results of a detection in memory
+   * @param {String} operationId Id of the detection operation
+   * @param {Object} options
+   * @param {String} options.as One of "stream" (a Readable on Node, a
+   *   ReadableStream in browsers), "arrayBuffer" or "blob"
+   * @returns {Promise<ReadableStream|ArrayBuffer|Blob>} The GeoJSON results
+   * @throws {APIError} Containing error code and text
+   * @throws {ValidationError} If the `as` option is invalid
+   */
+  async downloadResult (operationId, options = {}) {
+    const as = options.as || 'stream'
+    const types = ['stream', 'arrayBuffer', 'blob']
+    if (!types.includes(as)) {
+      const validTypes = types.join(', ')
+      throw new ValidationError(`Invalid result type ${as}; allowed values: ${validTypes}.`)
+    }
+    const response = await this._fetchResult(operationId)
+    return as === 'stream' ? response.body : response[as]()
+  }
+  /**
+   * @async
+   * @function downloadResultToFile
+   * @summary Downloads the results of a detection to a local file (Node only)
+   * @description GeoJSON results are written as the server produced them,
+   * other formats are converted client-side, see `convertResults`
+   * @param {String} operationId Id of the detection operation
+   * @param {String} fileName Path of the file to write
+   * @param {Object} options
+   * @param {String} options.format One of "geojson" (default), "geojsonseq",
+   *   "csv", "kml", "wkt", "flatgeobuf"; the other options are passed to the
+   *   converter of the format
+   * @throws {ValidationError} If the format is unknown
+   * @throws {APIError} Containing error code and text
+   */
+  async downloadResultToFile (operationId, fileName, options = {}) {
+    const {createWriteStream, promises} = loadFs()
+    const format = checkExportFormat(options.format || 'geojson')
+    if (format !== 'geojson') {
+      const converterOptions = Object.assign({}, options)
+      delete converterOptions.format
+      const content = convertResults(await this.getResults(operationId), format, converterOptions)
+      return promises.writeFile(fileName, content)
+    }
+    const streamPipeline = require('util').promisify(require('stream').pipeline)
+    const response = await this._fetchResult(operationId)
     return streamPipeline(response.body, createWriteStream(fileName))
   }
+  /**
+   * @async
+   * @function runPipeline
+   * @summary Runs a declarative pipeline of steps (Node only)
+   * @description Runs the steps of a JSON or YAML spec in order, e.g. upload
+   * a raster, train a detector, run it and download the results, passing the
+   * ids between the steps; with a state file, a rerun resumes from the first
+   * step which failed or changed. See `loadPipeline` for the spec and `PIPELINE_ACTIONS` for the steps.
+   * @param {Object|String} spec The spec, or the path of its file
+   * @param {Object} options
+   * @param {String} options.stateFile Path of the state file checkpointing the
+   *   completed steps, defaults to the `stateFile` of the spec
+   * @param {Boolean} options.force Whether to run every step, ignoring the state
+   * @param {Object} options.env Values of the `${env.<NAME>}` references,
+   *   defaults to the environment variables
+   * @param {Function} options.onStep Called with the report of each step when it
+   *   starts ("running") and ends ("success", "skipped", "failed")
+   * @param {Number} options.timeout Max number of seconds to wait for each operation,
+   *   defaults to the client one
+   * @param {AbortSignal} options.signal Signal that aborts the requests and the polling
+   * @param {Function} options.onPoll Called with the `/operations/` payload after every poll
+   * @returns {Promise<Object>} The run report, `{name, status, startedAt,
+   *   finishedAt, duration, stateFile, steps, error}`, status being "success"
+   *   or "failed"; `steps` lists `{id, action, status, outputs, error, duration}`
+   *   in order, status being one of "success", "skipped" (completed by a previous
+   *   run), "failed", "pending" (not run because of a failure)
+   * @throws {ValidationError} If the spec or the state file is invalid
+   */
+  async runPipeline (spec, options = {}) {
+    return runPipelineWith(this, spec, options)
+  }
 }
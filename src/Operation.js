@@ -0,0 +1,98 @@
+/**
+ * @file Handle on a long-running server-side operation
+ */
+import {ValidationError, OperationFailedError} from './errors'
+
+/**
+ * An operation started on Picterra (upload processing, training, detection...),
+ * that can be polled, awaited, and saved to be resumed in another process
+ * through `toJSON` and `APIClient.getOperation`
+ */
+export default class Operation {
+  /**
+   * @constructor
+   * @param {APIClient} client The client used to poll the operation
+   * @param {Object} properties
+   * @param {String} properties.id Id of the operation
+   * @param {Number} properties.pollInterval Seconds between two polls
+   * @param {String} properties.type Type of the operation, as reported by the server
+   * @param {Object} properties.meta Ids of the objects the operation is about,
+   *   e.g. `{detectorId, rasterId}`
+   */
+  constructor (client, {id, pollInterval, type = null, meta = {}}) {
+    if (!id) {
+      throw new ValidationError('An operation needs an id.')
+    }
+    this._client = client
+    this.id = id
+    this.pollInterval = pollInterval
+    this.type = type
+    this.meta = meta
+    // Last `/operations/` payload fetched, null until the first poll
+    this.data = null
+  }
+  /**
+   * @async
+   * @summary Fetches the current status of the operation
+   * @returns {Promise<String>} One of "running", "success", "failed"
+   * @throws {APIError} Containing error code and text
+   */
+  async status () {
+    this._update(await this._client._getOperationData(this.id))
+    return this.data.status
+  }
+  /**
+   * @async
+   * @summary Waits until the operation ends
+   * @param {Object} options
+   * @param {Number} options.timeout Max number of seconds to wait, defaults to the client one
+   * @param {AbortSignal} options.signal Signal that stops the polling
+   * @param {Function} options.onPoll Called with the `/operations/` payload after every poll
+   * @param {Number} options.fallbackAfter With webhooks, seconds to wait for the
+   *   callback before polling, see `APIClient.useWebhooks`
+   * @returns {Promise<*>} The results of the operation, see `result`
+   * @throws {OperationFailedError} If the operation fails
+   * @throws {OperationTimeoutError} If the operation does not end within the timeout
+   * @throws {OperationCancelledError} If the signal is aborted
+   */
+  async wait (options = {}) {
+    this._update(await this._client._waitUntilOperationCompletes(this.id, this.pollInterval, options))
+    return this.result()
+  }
+  /**
+   * @async
+   * @summary Gets the results of the operation, which must have succeeded
+   * @returns {Promise<*>} The `results` of the `/operations/` payload, null if there are none
+   * @throws {OperationFailedError} If the operation failed
+   * @throws {ValidationError} If the operation is still running
+   */
+  async result () {
+    if (!this.data || this.data.status !== 'success') {
+      await this.status()
+    }
+    if (this.data.status === 'failed') {
+      throw new OperationFailedError(this.id, this.data)
+    } else if (this.data.status !== 'success') {
+      throw new ValidationError(`Operation ${this.id} is not finished (status: ${this.data.status}).`)
+    }
+    return this.data.results === undefined ? null : this.data.results
+  }
+  /**
+   * @returns {Object} A JSON-serializable representation, which
+   *   `APIClient.getOperation` accepts to rebuild the operation
+   */
+  toJSON () {
+    return {
+      id: this.id,
+      pollInterval: this.pollInterval,
+      type: this.type,
+      meta: this.meta
+    }
+  }
+  _update (data) {
+    this.data = data
+    if (data.type) {
+      this.type = data.type
+    }
+  }
+}
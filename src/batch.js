@@ -0,0 +1,51 @@
+/**
+ * @file Helpers to run many calls in parallel within a concurrency limit
+ */
+
+/**
+ * Calls a worker on every item, with at most `concurrency` calls pending at
+ * any time; items are picked in order
+ * @param {Array} items
+ * @param {Number} concurrency Max number of pending calls
+ * @param {Function} worker Async function called with `(item, index)`
+ * @param {AbortSignal} signal Signal that stops starting new calls when aborted
+ * @returns {Promise<Boolean[]>} Whether each item was handled, false for the
+ *   ones not started because of the signal
+ */
+export async function runWithConcurrency (items, concurrency, worker, signal) {
+  const started = items.map(() => false)
+  let next = 0
+  const stopped = () => Boolean(signal && signal.aborted)
+  const lane = async () => {
+    while (next < items.length && !stopped()) {
+      const index = next++
+      started[index] = true
+      await worker(items[index], index)
+    }
+  }
+  const lanes = []
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    lanes.push(lane())
+  }
+  await Promise.all(lanes)
+  return started
+}
+
+/**
+ * Creates an AbortController which is also aborted when a parent signal is
+ * @param {AbortSignal} parent
+ * @returns {AbortController}
+ */
+export function linkedAbortController (parent) {
+  // Node only has AbortController since version 15
+  const Controller = typeof AbortController !== 'undefined' ? AbortController : require('abort-controller')
+  const controller = new Controller()
+  if (parent) {
+    if (parent.aborted) {
+      controller.abort()
+    } else {
+      parent.addEventListener('abort', () => controller.abort(), {once: true})
+    }
+  }
+  return controller
+}
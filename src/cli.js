@@ -0,0 +1,506 @@
+/**
+ * @file The `picterra` command-line tool, exposing the APIClient methods as subcommands
+ */
+import APIClient from './Client'
+import {
+  APIError,
+  AuthenticationError,
+  NotFoundError,
+  ValidationError,
+  OperationFailedError,
+  OperationTimeoutError,
+  OperationCancelledError
+} from './errors'
+import {normalizeMetrics, compareTrainingMetrics} from './metrics'
+import {checkExportFormat, convertResults, formatOfFile} from './formats'
+import {loadPipeline} from './pipeline'
+
+/**
+ * Exit codes of the tool
+ */
+export const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  usage: 2,
+  validation: 3,
+  authentication: 4,
+  notFound: 5,
+  api: 6,
+  operationFailed: 7,
+  operationTimeout: 8
+}
+
+const USAGE = `Usage: picterra <command> [arguments] [options]
+
+Commands:
+  rasters upload <file> [--name NAME] [--folder ID] [--chunk-size BYTES]
+  rasters list [--folder ID] [--search TEXT] [--status STATUS]
+  rasters get <rasterId>
+  rasters edit <rasterId> [--name NAME] [--folder ID]
+  rasters delete <rasterId>
+  rasters set-detection-area <rasterId> <file>
+  folders list [--search TEXT]
+  folders create <name>
+  detectors create [--name NAME] [DETECTOR SETTINGS]
+  detectors edit <detectorId> [--name NAME] [DETECTOR SETTINGS]
+  detectors list [--search TEXT]
+  detectors get <detectorId>
+  detectors train <detectorId>
+  detectors history <detectorId>
+  detectors metrics <detectorId> [--baseline FILE] [--tolerance X]
+  detectors run <detectorId> <rasterId> [--output FILE] [--export-format FORMAT]
+  detectors run-batch <detectorId> <rasterId>... [--concurrency N] [--output-dir DIR] [--output FILE]
+    [--export-format FORMAT]
+  detectors run-tiled <detectorId> <rasterId> <areaFile> --tile-meters M [--overlap M]
+    [--strategy dedupe|union] [--iou X] [--output FILE] [--export-format FORMAT]
+  annotations set <detectorId> <rasterId> <type> <file>
+  annotations get <detectorId> <rasterId> <type>
+  annotations clear <detectorId> <rasterId> <type>
+  results download <operationId> <file> [--export-format FORMAT]
+  pipeline run <specFile> [--state FILE] [--report FILE] [--force]
+  pipeline validate <specFile>
+
+Options:
+  --api-key KEY      API key, defaults to the PICTERRA_API_KEY environment variable
+  --base-url URL     API endpoint, defaults to the PICTERRA_BASE_URL environment variable
+  --profile NAME     Profile of ~/.picterra/config.json to use, defaults to the
+                     PICTERRA_PROFILE environment variable
+  --timeout SECONDS  Max number of seconds to wait for an operation
+  --format FORMAT    Output format, one of "json" (default), "table"
+  --export-format FORMAT  Format of the downloaded results, one of "geojson",
+                     "geojsonseq", "csv", "kml", "wkt", "flatgeobuf"; defaults to
+                     the one of the file extension, or else GeoJSON
+  --manifest FILE    Upload manifest, to skip uploading the same data again
+  --quiet            Do not report progress
+  --help             Show this message
+
+Detector settings:
+  --detection-type TYPE    One of "count", "segmentation"
+  --output-type TYPE       One of "polygon", "bbox"
+  --training-steps N       Between 500 and 40000
+  --backbone NAME          Backbone of the model, e.g. "resnet50"
+  --tile-size N            Size of the tiles in pixels, e.g. 512
+  --background-sample-ratio R  Between 0 and 1
+  --classes NAMES          Comma-separated class names of a multi-class detector
+
+Exit codes:
+  0 success, 1 unexpected error, 2 invalid usage, 3 invalid input (or metrics
+  worse than the baseline ones), 4 authentication error, 5 not found, 6 other API error,
+  7 operation failed, 8 operation timed out or cancelled
+`
+
+class UsageError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'UsageError'
+  }
+}
+
+/**
+ * Splits the command line into positional arguments and options
+ * @param {[String]} argv Arguments, without the node executable and script
+ * @returns {Object} `{args, options}`, options being keyed by their camelCased name
+ */
+export function parseArgs (argv) {
+  const flags = ['quiet', 'help', 'force']
+  const args = []
+  const options = {}
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) {
+      args.push(arg)
+      continue
+    }
+    let [name, value] = arg.slice(2).split(/=(.*)/)
+    name = name.replace(/-([a-z])/g, (m, c) => c.toUpperCase())
+    if (flags.includes(name)) {
+      options[name] = true
+    } else if (value !== undefined) {
+      options[name] = value
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i]
+    } else {
+      throw new UsageError(`Missing value for option ${arg}.`)
+    }
+  }
+  return {args, options}
+}
+
+/**
+ * Renders a value as an aligned text table: lists of objects get one row per
+ * item, objects one row per key
+ */
+export function formatTable (value) {
+  let rows
+  if (Array.isArray(value)) {
+    const columns = []
+    for (const item of value) {
+      for (const [key, v] of Object.entries(item || {})) {
+        if ((v === null || typeof v !== 'object') && !columns.includes(key)) {
+          columns.push(key)
+        }
+      }
+    }
+    rows = [columns].concat(value.map(item => columns.map(c => item[c] === undefined ? '' : String(item[c]))))
+  } else if (value !== null && typeof value === 'object') {
+    rows = Object.entries(value).map(([k, v]) => [k, typeof v === 'object' && v !== null ? JSON.stringify(v) : String(v)])
+  } else {
+    return String(value)
+  }
+  if (!rows.length || !rows[0].length) {
+    return ''
+  }
+  const widths = rows[0].map((c, i) => Math.max(...rows.map(r => r[i].length)))
+  return rows.map(r => r.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n')
+}
+
+/**
+ * Maps an error to the exit code of the tool
+ */
+export function exitCodeFor (err) {
+  if (err instanceof UsageError) {
+    return EXIT_CODES.usage
+  } else if (err instanceof ValidationError) {
+    return EXIT_CODES.validation
+  } else if (err instanceof AuthenticationError) {
+    return EXIT_CODES.authentication
+  } else if (err instanceof NotFoundError) {
+    return EXIT_CODES.notFound
+  } else if (err instanceof OperationFailedError) {
+    return EXIT_CODES.operationFailed
+  } else if (err instanceof OperationTimeoutError || err instanceof OperationCancelledError) {
+    return EXIT_CODES.operationTimeout
+  } else if (err instanceof APIError) {
+    return EXIT_CODES.api
+  }
+  return EXIT_CODES.error
+}
+
+function requireArgs (args, count, usage) {
+  if (args.length < count) {
+    throw new UsageError(`Missing arguments; usage: picterra ${usage}`)
+  }
+}
+
+/**
+ * Detector settings of the `detectors create` and `edit` options, the
+ * missing ones being undefined
+ */
+function detectorSettings (options) {
+  const number = value => value === undefined ? undefined : Number(value)
+  return {
+    name: options.name,
+    detectionType: options.detectionType,
+    outputType: options.outputType,
+    trainingSteps: number(options.trainingSteps),
+    backbone: options.backbone,
+    tileSize: number(options.tileSize),
+    backgroundSampleRatio: number(options.backgroundSampleRatio),
+    classes: options.classes === undefined ? undefined : options.classes.split(',').map(name => name.trim())
+  }
+}
+
+/**
+ * Format of the exported results: the `--export-format` option, or else the
+ * one matching the extension of the output file, GeoJSON by default
+ */
+function exportFormat (options, fileName) {
+  if (options.exportFormat) {
+    return checkExportFormat(options.exportFormat)
+  }
+  return (fileName && formatOfFile(fileName)) || 'geojson'
+}
+
+function readJSON (fileName) {
+  return JSON.parse(require('fs').readFileSync(fileName, 'utf8'))
+}
+
+/**
+ * Subcommands, by group and name; each one receives the positional
+ * arguments, the options, the client and the long-running call options
+ */
+const COMMANDS = {
+  rasters: {
+    upload: async (args, options, client, callOptions) => {
+      requireArgs(args, 1, 'rasters upload <file>')
+      if (options.chunkSize) {
+        callOptions.chunkSize = parseInt(options.chunkSize, 10)
+      }
+      const rasterId = await client.uploadRaster(args[0], options.name || '', options.folder || '', callOptions)
+      return {id: rasterId}
+    },
+    list: (args, options, client) => client.listRasters({
+      folderId: options.folder,
+      search: options.search,
+      status: options.status
+    }),
+    get: (args, options, client) => {
+      requireArgs(args, 1, 'rasters get <rasterId>')
+      return client.getRasterById(args[0])
+    },
+    edit: async (args, options, client) => {
+      requireArgs(args, 1, 'rasters edit <rasterId>')
+      await client.editRaster(args[0], {name: options.name, folderId: options.folder})
+      return {id: args[0], edited: true}
+    },
+    delete: async (args, options, client) => {
+      requireArgs(args, 1, 'rasters delete <rasterId>')
+      await client.deleteRasterById(args[0])
+      return {id: args[0], deleted: true}
+    },
+    'set-detection-area': async (args, options, client, callOptions) => {
+      requireArgs(args, 2, 'rasters set-detection-area <rasterId> <file>')
+      await client.setRasterDetectionAreaFromFile(args[1], args[0], callOptions)
+      return {id: args[0], detectionArea: args[1]}
+    }
+  },
+  folders: {
+    list: (args, options, client) => client.listFolders({search: options.search}),
+    create: async (args, options, client) => {
+      requireArgs(args, 1, 'folders create <name>')
+      const folderId = await client.createFolder(args[0])
+      return {id: folderId, name: args[0]}
+    }
+  },
+  detectors: {
+    create: async (args, options, client) => {
+      const detectorId = await client.createDetector(detectorSettings(options))
+      return {id: detectorId}
+    },
+    edit: async (args, options, client) => {
+      requireArgs(args, 1, 'detectors edit <detectorId>')
+      await client.editDetector(args[0], detectorSettings(options))
+      return {id: args[0], edited: true}
+    },
+    list: (args, options, client) => client.listDetectors({search: options.search}),
+    get: (args, options, client) => {
+      requireArgs(args, 1, 'detectors get <detectorId>')
+      return client.getDetectorById(args[0])
+    },
+    train: async (args, options, client, callOptions) => {
+      requireArgs(args, 1, 'detectors train <detectorId>')
+      const results = await client.trainDetector(args[0], callOptions)
+      return {id: args[0], trained: true, metrics: normalizeMetrics(results)}
+    },
+    history: (args, options, client) => {
+      requireArgs(args, 1, 'detectors history <detectorId>')
+      return client.getDetectorTrainingHistory(args[0])
+    },
+    metrics: async (args, options, client) => {
+      requireArgs(args, 1, 'detectors metrics <detectorId>')
+      const metrics = await client.getTrainingMetrics(args[0])
+      if (!options.baseline) {
+        return metrics
+      }
+      const tolerance = options.tolerance === undefined ? 0 : Number(options.tolerance)
+      const comparison = compareTrainingMetrics(readJSON(options.baseline), metrics, {tolerance})
+      if (comparison.regressed) {
+        throw new ValidationError(`Metrics regressed: ${comparison.regressions.join(', ')}.`, '', {data: comparison})
+      }
+      return comparison
+    },
+    run: async (args, options, client, callOptions) => {
+      requireArgs(args, 2, 'detectors run <detectorId> <rasterId>')
+      const operationId = await client.runDetector(args[0], args[1], callOptions)
+      if (options.output) {
+        await client.downloadResultToFile(operationId, options.output, {format: exportFormat(options, options.output)})
+      }
+      return {operationId, output: options.output || null}
+    },
+    'run-batch': async (args, options, client, callOptions) => {
+      requireArgs(args, 2, 'detectors run-batch <detectorId> <rasterId>...')
+      // The outcome of each raster is in the output, upload progress does not apply
+      const batchOptions = Object.assign({}, callOptions, {
+        onProgress: undefined,
+        outputDir: options.outputDir,
+        format: exportFormat(options),
+        merge: Boolean(options.output)
+      })
+      if (options.concurrency) {
+        batchOptions.concurrency = parseInt(options.concurrency, 10)
+      }
+      const {runs, succeeded, failed, featureCollection} = await client.runDetectorOnRasters(args[0], args.slice(1), batchOptions)
+      if (options.output) {
+        require('fs').writeFileSync(options.output, convertResults(featureCollection, exportFormat(options, options.output)))
+      }
+      return {
+        succeeded,
+        failed,
+        runs: runs.map(({rasterId, status, operationId, error, file}) => ({
+          rasterId, status, operationId, error: error ? error.message : null, file
+        }))
+      }
+    },
+    'run-tiled': async (args, options, client, callOptions) => {
+      requireArgs(args, 3, 'detectors run-tiled <detectorId> <rasterId> <areaFile>')
+      if (options.tileMeters === undefined) {
+        throw new UsageError('Missing option --tile-meters.')
+      }
+      const tiledOptions = Object.assign({}, callOptions, {
+        onProgress: undefined,
+        tileSize: Number(options.tileMeters),
+        overlap: options.overlap === undefined ? 0 : Number(options.overlap),
+        strategy: options.strategy,
+        iouThreshold: options.iou === undefined ? undefined : Number(options.iou)
+      })
+      const {tiles, runs, featureCollection} = await client.runDetectorOnTiles(args[0], args[1], readJSON(args[2]), tiledOptions)
+      if (options.output) {
+        require('fs').writeFileSync(options.output, convertResults(featureCollection, exportFormat(options, options.output)))
+      }
+      return {tiles: tiles.features.length, objects: featureCollection.features.length, runs, output: options.output || null}
+    }
+  },
+  annotations: {
+    set: async (args, options, client, callOptions) => {
+      requireArgs(args, 4, 'annotations set <detectorId> <rasterId> <type> <file>')
+      await client.setAnnotations(args[0], args[1], args[2], readJSON(args[3]), callOptions)
+      return {detectorId: args[0], rasterId: args[1], type: args[2]}
+    },
+    get: (args, options, client) => {
+      requireArgs(args, 3, 'annotations get <detectorId> <rasterId> <type>')
+      return client.getAnnotations(args[0], args[1], args[2])
+    },
+    clear: async (args, options, client, callOptions) => {
+      requireArgs(args, 3, 'annotations clear <detectorId> <rasterId> <type>')
+      await client.clearAnnotations(args[0], args[1], args[2], callOptions)
+      return {detectorId: args[0], rasterId: args[1], type: args[2], cleared: true}
+    }
+  },
+  results: {
+    download: async (args, options, client) => {
+      requireArgs(args, 2, 'results download <operationId> <file>')
+      const format = exportFormat(options, args[1])
+      await client.downloadResultToFile(args[0], args[1], {format})
+      return {operationId: args[0], output: args[1], format}
+    }
+  },
+  pipeline: {
+    run: async (args, options, client, callOptions) => {
+      requireArgs(args, 1, 'pipeline run <specFile>')
+      const report = await client.runPipeline(args[0], Object.assign({}, callOptions, {
+        onProgress: undefined,
+        stateFile: options.state,
+        force: Boolean(options.force)
+      }))
+      const output = Object.assign({}, report, {
+        error: report.error ? report.error.message : null,
+        steps: report.steps.map(step => Object.assign({}, step, {error: step.error ? step.error.message : null}))
+      })
+      if (options.report) {
+        require('fs').writeFileSync(options.report, JSON.stringify(output, null, 2) + '\n')
+      }
+      if (report.error) {
+        throw report.error
+      }
+      return output
+    },
+    validate: (args) => {
+      requireArgs(args, 1, 'pipeline validate <specFile>')
+      const {name, steps} = loadPipeline(args[0])
+      return {name, steps: steps.map(({id, action}) => ({id, action}))}
+    }
+  }
+}
+
+/**
+ * Options of every command
+ */
+const GLOBAL_OPTIONS = ['apiKey', 'baseUrl', 'profile', 'timeout', 'format', 'manifest', 'quiet', 'help']
+
+const DETECTOR_OPTIONS = [
+  'name', 'detectionType', 'outputType', 'trainingSteps', 'backbone', 'tileSize', 'backgroundSampleRatio', 'classes'
+]
+
+/**
+ * Other options of the subcommands having some, by group and name, as
+ * camelCased by `parseArgs`
+ */
+const COMMAND_OPTIONS = {
+  rasters: {
+    upload: ['name', 'folder', 'chunkSize'],
+    list: ['folder', 'search', 'status'],
+    edit: ['name', 'folder']
+  },
+  folders: {
+    list: ['search']
+  },
+  detectors: {
+    create: DETECTOR_OPTIONS,
+    edit: DETECTOR_OPTIONS,
+    list: ['search'],
+    metrics: ['baseline', 'tolerance'],
+    run: ['output', 'exportFormat'],
+    'run-batch': ['concurrency', 'outputDir', 'output', 'exportFormat'],
+    'run-tiled': ['tileMeters', 'overlap', 'strategy', 'iou', 'output', 'exportFormat']
+  },
+  results: {
+    download: ['exportFormat']
+  },
+  pipeline: {
+    run: ['state', 'report', 'force']
+  }
+}
+
+/**
+ * Rejects the options a subcommand does not take, typos included, which
+ * would otherwise be silently ignored
+ * @throws {UsageError} On the first unknown option
+ */
+function checkOptions (group, name, options) {
+  const known = GLOBAL_OPTIONS.concat((COMMAND_OPTIONS[group] || {})[name] || [])
+  const unknown = Object.keys(options).find(option => !known.includes(option))
+  if (unknown) {
+    const flag = '--' + unknown.replace(/[A-Z]/g, c => '-' + c.toLowerCase())
+    throw new UsageError(`Unknown option ${flag} for "${group} ${name}"; run picterra --help for the list.`)
+  }
+}
+
+/**
+ * Runs the tool
+ * @param {[String]} argv Arguments, without the node executable and script
+ * @param {Object} io
+ * @param {Writable} io.stdout Where the command output is written
+ * @param {Writable} io.stderr Where errors and progress are written
+ * @returns {Promise<Number>} The exit code
+ */
+export async function main (argv, io = {}) {
+  const stdout = io.stdout || process.stdout
+  const stderr = io.stderr || process.stderr
+  try {
+    const {args, options} = parseArgs(argv)
+    if (options.help || !args.length) {
+      stdout.write(USAGE)
+      return options.help ? EXIT_CODES.success : EXIT_CODES.usage
+    }
+    const [group, name, ...rest] = args
+    const command = COMMANDS[group] && COMMANDS[group][name]
+    if (!command) {
+      throw new UsageError(`Unknown command "${args.slice(0, 2).join(' ')}"; run picterra --help for the list.`)
+    }
+    checkOptions(group, name, options)
+    const format = options.format || 'json'
+    if (!['json', 'table'].includes(format)) {
+      throw new UsageError(`Invalid format ${format}; allowed values: json, table.`)
+    }
+    const client = new APIClient({apiKey: options.apiKey, baseUrl: options.baseUrl, profile: options.profile})
+    if (options.manifest) {
+      client.useUploadManifest(options.manifest)
+    }
+    const callOptions = {}
+    if (options.timeout) {
+      callOptions.timeout = parseFloat(options.timeout)
+    }
+    if (!options.quiet) {
+      callOptions.onPoll = data => stderr.write(`Operation status: ${data.status}\n`)
+      callOptions.onProgress = ({bytesSent, totalBytes}) => {
+        stderr.write(totalBytes ? `Uploaded ${Math.floor(100 * bytesSent / totalBytes)}%\r` : `Uploaded ${bytesSent} bytes\r`)
+      }
+    }
+    const result = await command(rest, options, client, callOptions)
+    stdout.write((format === 'table' ? formatTable(result) : JSON.stringify(result, null, 2)) + '\n')
+    return EXIT_CODES.success
+  } catch (err) {
+    stderr.write(`${err.name}: ${err.message}\n`)
+    return exitCodeFor(err)
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * @file Resolution of the client settings from the constructor options, the
+ * environment and the profiles of the config file
+ */
+import {APIError, ValidationError} from './errors'
+
+export const DEFAULT_BASE_URL = 'https://app.picterra.ch/public/api/v2/'
+// Seconds to wait for an operation: trainings and detections on large rasters take hours
+export const DEFAULT_OPERATION_TIMEOUT = 5 * 60 * 60
+export const DEFAULT_PROFILE = 'default'
+
+// Settings a profile may define, all of which are also client options
+const SETTINGS = ['apiKey', 'baseUrl', 'timeout']
+const CLIENT_OPTIONS = SETTINGS.concat(['profile', 'configFile', 'retry', 'storageRetry', 'middleware'])
+
+const isNode = typeof window === 'undefined'
+
+/**
+ * @returns {String} Path of the default config file, `~/.picterra/config.json`,
+ *   null outside Node
+ */
+export function defaultConfigFile () {
+  if (!isNode) {
+    return null
+  }
+  return require('path').join(require('os').homedir(), '.picterra', 'config.json')
+}
+
+function checkKeys (object, allowed, what) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) {
+      throw new ValidationError(`Invalid ${what} ${key}; allowed values: ${allowed.join(', ')}.`)
+    }
+  }
+}
+
+/**
+ * Reads the profiles of a config file, which looks like
+ * `{"profiles": {"default": {"apiKey": "...", "baseUrl": "...", "timeout": 600}, "staging": {...}}}`
+ * @param {String} fileName Path of the file
+ * @param {Boolean} required Whether a missing file is an error, rather than no profiles
+ * @returns {Object} The profiles, by name
+ * @throws {ValidationError} If the file is required but missing, or malformed
+ */
+export function loadProfiles (fileName, required = false) {
+  if (!fileName) {
+    return {}
+  }
+  let config
+  try {
+    config = JSON.parse(require('fs').readFileSync(fileName, 'utf8'))
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) {
+      return {}
+    }
+    throw new ValidationError(`Cannot read config file ${fileName}: ${err.message}`)
+  }
+  const profiles = config && config.profiles
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new ValidationError(`Invalid config file ${fileName}: expected a "profiles" object.`)
+  }
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!profile || typeof profile !== 'object') {
+      throw new ValidationError(`Invalid config file ${fileName}: profile ${name} is not an object.`)
+    }
+    checkKeys(profile, SETTINGS, `setting of profile ${name} in ${fileName}:`)
+  }
+  return profiles
+}
+
+/**
+ * Checks and normalizes a base URL, which must be an absolute HTTP(S) URL
+ * @returns {String} The URL without trailing slashes
+ * @throws {ValidationError} If it is malformed
+ */
+export function checkBaseUrl (baseUrl) {
+  let url
+  try {
+    url = new URL(baseUrl)
+  } catch (err) {
+    throw new ValidationError(`Invalid base URL ${baseUrl}: not an absolute URL.`)
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ValidationError(`Invalid base URL ${baseUrl}: the protocol must be http or https.`)
+  }
+  if (url.search || url.hash) {
+    throw new ValidationError(`Invalid base URL ${baseUrl}: it cannot have a query string nor a fragment.`)
+  }
+  return baseUrl.replace(/\/+$/, '')
+}
+
+/**
+ * @summary Resolves the settings of a client
+ * @description Each setting takes the first value found in, by order of precedence:
+ * 1. the constructor options;
+ * 2. the selected profile of the config file, if any: the `profile` option,
+ *    or else the PICTERRA_PROFILE environment variable;
+ * 3. the PICTERRA_API_KEY and PICTERRA_BASE_URL environment variables;
+ * 4. the "default" profile of the config file;
+ * 5. the built-in defaults (production API, 5 hours timeout).
+ * The config file is the `configFile` option, or else the PICTERRA_CONFIG_FILE
+ * environment variable, or else `~/.picterra/config.json`, which may not exist.
+ * @param {Object} options Constructor options
+ * @param {Object} env Environment variables
+ * @returns {Object} `{apiKey, baseUrl, timeout, profile}`, timeout being in
+ *   seconds and profile the name of the profile used, if any
+ * @throws {ValidationError} If an option, the config file or a setting is invalid
+ * @throws {APIError} If no API key is found
+ */
+export function resolveConfig (options = {}, env = isNode ? process.env : {}) {
+  checkKeys(options, CLIENT_OPTIONS, 'client option')
+  const configFile = options.configFile || env.PICTERRA_CONFIG_FILE || defaultConfigFile()
+  const profiles = loadProfiles(configFile, Boolean(options.configFile || env.PICTERRA_CONFIG_FILE))
+  const profileName = options.profile || env.PICTERRA_PROFILE || null
+  if (profileName && !profiles[profileName]) {
+    throw new ValidationError(`Profile ${profileName} is not defined in config file ${configFile}.`)
+  }
+  const sources = [
+    options,
+    profileName ? profiles[profileName] : {},
+    {apiKey: env.PICTERRA_API_KEY, baseUrl: env.PICTERRA_BASE_URL},
+    profiles[DEFAULT_PROFILE] || {},
+    {baseUrl: DEFAULT_BASE_URL, timeout: DEFAULT_OPERATION_TIMEOUT}
+  ]
+  const setting = name => {
+    const source = sources.find(s => s[name] !== undefined && s[name] !== null && s[name] !== '')
+    return source ? source[name] : undefined
+  }
+  const apiKey = setting('apiKey')
+  if (!apiKey) {
+    throw new APIError(
+      'apiKey is undefined: pass it to the client, define the PICTERRA_API_KEY ' +
+      `environment variable or add it to a profile of ${configFile || 'the config file'}`
+    )
+  }
+  if (typeof apiKey !== 'string') {
+    throw new ValidationError('Invalid API key: expected a string.')
+  }
+  const timeout = setting('timeout')
+  if (typeof timeout !== 'number' || !(timeout > 0) || !Number.isFinite(timeout)) {
+    throw new ValidationError(`Invalid timeout ${timeout}: expected a positive number of seconds.`)
+  }
+  return {
+    apiKey,
+    baseUrl: checkBaseUrl(setting('baseUrl')),
+    timeout,
+    profile: profileName || (profiles[DEFAULT_PROFILE] ? DEFAULT_PROFILE : null)
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * @file Declarative schema of the detector settings, shared by the creation
+ * and edition of detectors (and the fake server), which turns the camelCase
+ * options of the client into the body expected by the API
+ */
+import {ValidationError} from './errors'
+
+/**
+ * Settings of a detector, by client option name:
+ * - `key`: name in the API body;
+ * - `configuration`: whether it goes in the `configuration` object of the
+ *   body, rather than at the detector level;
+ * - `label`: name used in the error messages;
+ * - `values`: allowed values, if enumerated;
+ * - `range`: inclusive [min, max] of numeric values;
+ * - `integer`: whether numeric values must be integers;
+ * - `lowercase`: whether string values are lowercased before being checked;
+ * - `default`: value used at creation when the option is not given;
+ * - `normalize`: custom normalization of the value, before it is checked;
+ * - `check`: custom check of the (normalized) value, returning the
+ *   description of its problem if any.
+ */
+export const DETECTOR_SCHEMA = {
+  name: {key: 'name', configuration: false, label: 'name', type: 'string', default: ''},
+  detectionType: {
+    key: 'detection_type',
+    configuration: true,
+    label: 'detector type',
+    values: ['count', 'segmentation'],
+    lowercase: true,
+    default: 'count'
+  },
+  outputType: {
+    key: 'output_type',
+    configuration: true,
+    label: 'output type',
+    values: ['polygon', 'bbox'],
+    lowercase: true,
+    default: 'polygon'
+  },
+  trainingSteps: {
+    key: 'training_steps',
+    configuration: true,
+    label: 'training steps',
+    type: 'number',
+    integer: true,
+    range: [500, 40 * 1000],
+    default: 500
+  },
+  // The API reference does not list the backbones and tile sizes, which the
+  // server checks: e.g. "resnet50" and 512
+  backbone: {key: 'backbone', configuration: true, label: 'backbone', type: 'string', lowercase: true},
+  tileSize: {
+    key: 'tile_size',
+    configuration: true,
+    label: 'tile size',
+    type: 'number',
+    integer: true,
+    check: size => size > 0 ? null : 'expected a positive number of pixels'
+  },
+  backgroundSampleRatio: {
+    key: 'background_sample_ratio',
+    configuration: true,
+    label: 'background sample ratio',
+    type: 'number',
+    range: [0, 1]
+  },
+  classes: {
+    key: 'classes',
+    configuration: true,
+    label: 'classes',
+    // Classes can be given by name only
+    normalize: classes => Array.isArray(classes) ? classes.map(c => typeof c === 'string' ? {name: c} : c) : classes,
+    check: classesProblem
+  }
+}
+
+/**
+ * Multi-class detectors list their classes as `[{name}]`, names being unique
+ */
+function classesProblem (classes) {
+  if (!Array.isArray(classes) || !classes.length) {
+    return 'expected a non-empty list of classes'
+  }
+  const names = classes.map(c => c && typeof c === 'object' ? c.name : undefined)
+  if (names.some(name => typeof name !== 'string' || !name)) {
+    return 'every class needs a non-empty name'
+  }
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i)
+  if (duplicate) {
+    return `class ${duplicate} is defined twice`
+  }
+  return null
+}
+
+function normalize (spec, value) {
+  if (spec.lowercase && typeof value === 'string') {
+    return value.toLowerCase()
+  }
+  return spec.normalize ? spec.normalize(value) : value
+}
+
+// Checks of the types settings may have
+const TYPE_CHECKS = {
+  number: value => typeof value === 'number',
+  string: value => typeof value === 'string'
+}
+
+/**
+ * Checks the value of a setting, as sent to the API
+ * @param {Object} spec Entry of `DETECTOR_SCHEMA`
+ * @param {*} value
+ * @returns {String} The description of the problem of the value, null if valid
+ */
+export function settingProblem (spec, value) {
+  if (spec.values && !spec.values.includes(value)) {
+    return `Invalid ${spec.label} ${value}; allowed values: ${spec.values.join(', ')}.`
+  }
+  if (spec.type && !TYPE_CHECKS[spec.type](value)) {
+    return `Invalid ${spec.label} ${value}: expected a ${spec.type}.`
+  }
+  if (spec.type === 'number' && (!Number.isFinite(value) || (spec.integer && !Number.isInteger(value)))) {
+    return `Invalid ${spec.label} ${value}: expected ${spec.integer ? 'an integer' : 'a finite number'}.`
+  }
+  if (spec.range && (value < spec.range[0] || value > spec.range[1])) {
+    const label = spec.label[0].toUpperCase() + spec.label.slice(1)
+    return `${label} value ${value} is outside range [${spec.range[0]}, ${spec.range[1]}].`
+  }
+  const problem = spec.check && spec.check(value)
+  return problem ? `Invalid ${spec.label}: ${problem}.` : null
+}
+
+/**
+ * @summary Builds the body of a detector creation or edition request
+ * @param {Object} settings Values of the settings, by `DETECTOR_SCHEMA` option name
+ * @param {Boolean} partial Whether it is an edition, where only the given
+ *   settings are sent (null and empty ones being ignored), rather than a
+ *   creation, where the missing ones take their default value
+ * @returns {Object} `{name, configuration}`, with snake_case keys
+ * @throws {ValidationError} If a setting is unknown or invalid, or if no
+ *   setting is given for an edition
+ */
+export function detectorBody (settings, partial) {
+  for (const option of Object.keys(settings)) {
+    if (!DETECTOR_SCHEMA.hasOwnProperty(option)) {
+      const allowed = Object.keys(DETECTOR_SCHEMA).join(', ')
+      throw new ValidationError(`Invalid detector setting ${option}; allowed values: ${allowed}.`)
+    }
+  }
+  const body = {}
+  const configuration = {}
+  for (const [option, spec] of Object.entries(DETECTOR_SCHEMA)) {
+    let value = settings[option]
+    if (partial ? (value === undefined || value === null || value === '') : value === undefined) {
+      if (partial || spec.default === undefined) {
+        continue
+      }
+      value = spec.default
+    }
+    value = normalize(spec, value)
+    const problem = settingProblem(spec, value)
+    if (problem) {
+      throw new ValidationError(problem)
+    }
+    if (spec.configuration) {
+      configuration[spec.key] = value
+    } else {
+      body[spec.key] = value
+    }
+  }
+  if (Object.keys(configuration).length) {
+    body.configuration = configuration
+  }
+  if (partial && !Object.keys(body).length) {
+    throw new ValidationError('Nothing to edit; pass at least one setting.')
+  }
+  return body
+}
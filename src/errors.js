@@ -0,0 +1,204 @@
+/**
+ * @file Errors raised by the client
+ */
+import {parseRetryAfter} from './retry'
+
+/**
+ * Errors returned by the API server
+ * @param {String} message
+ * @param {String} body Raw body of the response
+ * @param {Object} details
+ * @param {Number} details.status HTTP status code of the response
+ * @param {*} details.data Body of the response parsed as JSON, if it is JSON
+ * @param {String} details.method HTTP method of the request
+ * @param {String} details.url URL of the request, with credentials redacted
+ * @param {String} details.operationId Id of the operation involved, if any
+ */
+export class APIError extends Error {
+  constructor (message, body = '', details = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.body = body
+    this.status = details.status || null
+    this.data = details.data === undefined ? null : details.data
+    this.method = details.method || null
+    this.url = details.url || null
+    this.operationId = details.operationId || null
+    this.fieldErrors = fieldErrors(this.data)
+  }
+}
+/**
+ * Raised when the API key is missing, invalid or not allowed to do something (401, 403)
+ */
+export class AuthenticationError extends APIError {
+  constructor (message, body, details) {
+    super(message, body, details)
+    this.name = 'AuthenticationError'
+  }
+}
+/**
+ * Raised when the requested resource does not exist (404)
+ */
+export class NotFoundError extends APIError {
+  constructor (message, body, details) {
+    super(message, body, details)
+    this.name = 'NotFoundError'
+  }
+}
+/**
+ * Raised when too many requests have been sent (429)
+ * @param {Number} retryAfter Seconds to wait before retrying, null if unknown
+ */
+export class RateLimitError extends APIError {
+  constructor (message, body, details, retryAfter = null) {
+    super(message, body, details)
+    this.name = 'RateLimitError'
+    this.retryAfter = retryAfter
+  }
+}
+/**
+ * Raised when the server fails to handle a request (5xx)
+ */
+export class ServerError extends APIError {
+  constructor (message, body, details) {
+    super(message, body, details)
+    this.name = 'ServerError'
+  }
+}
+/**
+ * Raised when some input is invalid, either locally before sending it or by
+ * the server (400)
+ */
+export class ValidationError extends APIError {
+  constructor (message, body, details) {
+    super(message, body, details)
+    this.name = 'Validation Error'
+  }
+}
+/**
+ * Raised when an operation ends with a "failed" status
+ * @param {String} operationId
+ * @param {Object} operation The `/operations/` payload of the failed operation
+ */
+export class OperationFailedError extends APIError {
+  constructor (operationId, operation = {}) {
+    const reason = failureReason(operation)
+    super(
+      `Operation ${operationId} failed${reason ? `: ${reason}` : '.'}`,
+      '',
+      {data: operation, operationId}
+    )
+    this.name = 'OperationFailedError'
+    this.operation = operation
+    this.reason = reason
+  }
+}
+/**
+ * Raised when an operation does not complete within the allowed time
+ */
+export class OperationTimeoutError extends APIError {
+  constructor (operationId, operationStatus = null) {
+    super(`Operation ${operationId} timed out (last status: ${operationStatus}).`, '', {operationId})
+    this.name = 'OperationTimeoutError'
+    this.operationStatus = operationStatus
+  }
+}
+/**
+ * Raised when a call is aborted through its AbortSignal
+ */
+export class OperationCancelledError extends APIError {
+  constructor (operationId = null, operationStatus = null) {
+    super(operationId
+      ? `Operation ${operationId} was cancelled (last status: ${operationStatus}).`
+      : 'Request was cancelled.', '', {operationId})
+    this.name = 'OperationCancelledError'
+    this.operationStatus = operationStatus
+  }
+}
+
+/**
+ * Extracts the per-field messages of a validation error body, which looks
+ * like `{"name": ["This field is required."], "detail": "..."}`
+ * @returns {Object} Lists of messages by field name
+ */
+function fieldErrors (data) {
+  const errors = {}
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return errors
+  }
+  for (let [field, messages] of Object.entries(data)) {
+    if (field === 'detail') {
+      continue
+    }
+    if (typeof messages === 'string') {
+      errors[field] = [messages]
+    } else if (Array.isArray(messages) && messages.every(m => typeof m === 'string')) {
+      errors[field] = messages
+    }
+  }
+  return errors
+}
+
+/**
+ * Extracts a human-readable failure reason from an `/operations/` payload
+ */
+function failureReason (operation) {
+  const error = operation.error || operation.errors || operation.detail
+  if (!error) {
+    return null
+  }
+  if (typeof error === 'string') {
+    return error
+  }
+  return error.message || error.detail || JSON.stringify(error)
+}
+
+/**
+ * Hides the credentials that a URL may carry: the API key and the values of
+ * query parameters such as signatures or tokens
+ * @param {String} url
+ * @param {String} apiKey
+ */
+export function redactUrl (url, apiKey) {
+  if (apiKey) {
+    url = url.split(apiKey).join('REDACTED')
+  }
+  return url.replace(/([?&][^=&]*(?:key|token|signature|sig|credential)[^=&]*=)[^&#]*/gi, '$1REDACTED')
+}
+
+/**
+ * Builds the error matching an unsuccessful response
+ * @param {Response} response
+ * @param {Object} request `{method, url}` of the request, the URL being already redacted
+ * @returns {Promise<APIError>}
+ */
+export async function errorFromResponse (response, request = {}) {
+  const body = await response.text()
+  let data
+  try {
+    data = JSON.parse(body)
+  } catch (err) {
+    data = null
+  }
+  const details = Object.assign({status: response.status, data}, request)
+  let message = `Error from API: status code ${response.status}`
+  if (data && typeof data.detail === 'string') {
+    message += ` (${data.detail})`
+  }
+  if (request.method && request.url) {
+    message += ` on ${request.method} ${request.url}`
+  }
+  const status = response.status
+  if (status === 400) {
+    return new ValidationError(message, body, details)
+  } else if (status === 401 || status === 403) {
+    return new AuthenticationError(message, body, details)
+  } else if (status === 404) {
+    return new NotFoundError(message, body, details)
+  } else if (status === 429) {
+    return new RateLimitError(message, body, details, parseRetryAfter(response.headers.get('Retry-After')))
+  } else if (status >= 500) {
+    return new ServerError(message, body, details)
+  }
+  return new APIError(message, body, details)
+}
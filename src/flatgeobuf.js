@@ -0,0 +1,353 @@
+/**
+ * @file Writer of FlatGeobuf files (https://flatgeobuf.org), version 3, without
+ * spatial index; the FlatBuffers tables of its schema are encoded by hand to
+ * avoid depending on the FlatBuffers runtime
+ */
+
+const MAGIC = [0x66, 0x67, 0x62, 0x03, 0x66, 0x67, 0x62, 0x00]
+
+// Enums of the FlatGeobuf schema
+const GEOMETRY_TYPES = {
+  Point: 1,
+  LineString: 2,
+  Polygon: 3,
+  MultiPoint: 4,
+  MultiLineString: 5,
+  MultiPolygon: 6,
+  GeometryCollection: 7
+}
+const UNKNOWN_GEOMETRY_TYPE = 0
+const COLUMN_TYPES = {
+  Bool: 2,
+  Double: 10,
+  String: 11,
+  Json: 12
+}
+
+const SIZES = {uint8: 1, uint16: 2, int32: 4, uint32: 4, uint64: 8, float64: 8, offset: 4}
+
+const utf8 = string => new TextEncoder().encode(string)
+
+/**
+ * Minimal FlatBuffers builder, writing front to back: every table is preceded
+ * by its vtable, and followed by the strings, vectors and tables it refers to,
+ * so that all the offsets point forward as the format requires
+ */
+class FlatBufferBuilder {
+  constructor () {
+    this._bytes = new Uint8Array(1024)
+    this._view = new DataView(this._bytes.buffer)
+    this.offset = 0
+  }
+  _reserve (size) {
+    if (this.offset + size <= this._bytes.length) {
+      return
+    }
+    const bytes = new Uint8Array(Math.max(this._bytes.length * 2, this.offset + size))
+    bytes.set(this._bytes)
+    this._bytes = bytes
+    this._view = new DataView(bytes.buffer)
+  }
+  /**
+   * Writes a scalar of a type of `SIZES` at the current offset
+   */
+  scalar (type, value) {
+    this._reserve(SIZES[type])
+    const view = this._view
+    switch (type) {
+      case 'uint8':
+        view.setUint8(this.offset, value)
+        break
+      case 'uint16':
+        view.setUint16(this.offset, value, true)
+        break
+      case 'int32':
+        view.setInt32(this.offset, value, true)
+        break
+      case 'uint32':
+      case 'offset':
+        view.setUint32(this.offset, value, true)
+        break
+      case 'uint64':
+        view.setUint32(this.offset, value % 2 ** 32, true)
+        view.setUint32(this.offset + 4, Math.floor(value / 2 ** 32), true)
+        break
+      case 'float64':
+        view.setFloat64(this.offset, value, true)
+        break
+    }
+    this.offset += SIZES[type]
+  }
+  /**
+   * Pads with zeros until the offset is a multiple of `alignment`
+   */
+  pad (alignment) {
+    while (this.offset % alignment) {
+      this.scalar('uint8', 0)
+    }
+  }
+  /**
+   * Points the uint32 offset written at `at` to `target`
+   */
+  _patch (at, target) {
+    this._view.setUint32(at, target - at, true)
+  }
+  /**
+   * Writes a table
+   * @param {[Object]} fields By field id, `{type, value}` objects for present
+   *   fields, where `type` is a key of `SIZES`; the `value` of "offset" fields is
+   *   a function writing the referred object and returning its offset
+   * @returns {Number} Offset of the table
+   */
+  table (fields) {
+    const layout = []
+    let size = 4 // Offset to the vtable
+    fields.forEach((field, id) => {
+      if (field) {
+        const width = SIZES[field.type]
+        size = Math.ceil(size / width) * width
+        layout.push({id, field, at: size})
+        size += width
+      }
+    })
+    this.pad(2)
+    const vtable = this.offset
+    this.scalar('uint16', 4 + 2 * fields.length)
+    this.scalar('uint16', size)
+    for (let id = 0; id < fields.length; id++) {
+      const entry = layout.find(l => l.id === id)
+      this.scalar('uint16', entry ? entry.at : 0)
+    }
+    this.pad(8)
+    const table = this.offset
+    this.scalar('int32', table - vtable)
+    const references = []
+    for (const {field, at} of layout) {
+      while (this.offset < table + at) {
+        this.scalar('uint8', 0)
+      }
+      if (field.type === 'offset') {
+        references.push({at: this.offset, write: field.value})
+      }
+      this.scalar(field.type, field.type === 'offset' ? 0 : field.value)
+    }
+    while (this.offset < table + size) {
+      this.scalar('uint8', 0)
+    }
+    for (const {at, write} of references) {
+      this._patch(at, write(this))
+    }
+    return table
+  }
+  /**
+   * Writes a vector of scalars
+   * @returns {Number} Offset of the vector
+   */
+  vector (type, values) {
+    const alignment = Math.max(4, SIZES[type])
+    while ((this.offset + 4) % alignment) {
+      this.scalar('uint8', 0)
+    }
+    const start = this.offset
+    this.scalar('uint32', values.length)
+    for (const value of values) {
+      this.scalar(type, value)
+    }
+    return start
+  }
+  /**
+   * Writes a vector of tables, given as the `fields` of `table`
+   * @returns {Number} Offset of the vector
+   */
+  tableVector (tables) {
+    const start = this.vector('offset', tables.map(() => 0))
+    tables.forEach((fields, i) => {
+      const at = start + 4 + 4 * i
+      this._patch(at, this.table(fields))
+    })
+    return start
+  }
+  /**
+   * Writes a null-terminated UTF-8 string
+   * @returns {Number} Offset of the string
+   */
+  string (value) {
+    const start = this.vector('uint8', utf8(value))
+    this.scalar('uint8', 0)
+    return start
+  }
+  /**
+   * Writes the size prefix, the root offset and the root table, on a new builder
+   * @returns {Uint8Array} The FlatBuffer, prefixed with its size and padded to
+   *   8 bytes, so that the alignments hold wherever it starts on an 8-byte boundary
+   */
+  finish (fields) {
+    this.scalar('uint32', 0)
+    this.scalar('offset', 0)
+    this._patch(4, this.table(fields))
+    this.pad(8)
+    this._view.setUint32(0, this.offset - 4, true)
+    return this._bytes.slice(0, this.offset)
+  }
+}
+
+const offset = write => ({type: 'offset', value: write})
+
+/**
+ * Fields of a Geometry table; only the X and Y of positions are kept
+ */
+function geometryFields (geometry) {
+  const flatten = positions => [].concat(...positions.map(p => [p[0], p[1]]))
+  const fields = []
+  const withParts = parts => {
+    fields[7] = offset(b => b.tableVector(parts.map(geometryFields)))
+  }
+  const withRings = rings => {
+    fields[1] = offset(b => b.vector('float64', flatten([].concat(...rings))))
+    if (rings.length > 1) {
+      let end = 0
+      fields[0] = offset(b => b.vector('uint32', rings.map(ring => (end += ring.length))))
+    }
+  }
+  switch (geometry.type) {
+    case 'Point':
+      fields[1] = offset(b => b.vector('float64', flatten([geometry.coordinates])))
+      break
+    case 'MultiPoint':
+    case 'LineString':
+      fields[1] = offset(b => b.vector('float64', flatten(geometry.coordinates)))
+      break
+    case 'Polygon':
+    case 'MultiLineString':
+      withRings(geometry.coordinates)
+      break
+    case 'MultiPolygon':
+      withParts(geometry.coordinates.map(coordinates => ({type: 'Polygon', coordinates})))
+      break
+    case 'GeometryCollection':
+      withParts(geometry.geometries)
+      break
+  }
+  fields[6] = {type: 'uint8', value: GEOMETRY_TYPES[geometry.type] || UNKNOWN_GEOMETRY_TYPE}
+  return fields
+}
+
+/**
+ * Columns of the properties of the features: booleans, numbers and strings
+ * get their own type, other and mixed values are stored as JSON
+ * @returns {[Object]} `{name, type}` objects
+ */
+function inferColumns (features) {
+  const columns = new Map()
+  for (const feature of features) {
+    for (const [name, value] of Object.entries(feature.properties || {})) {
+      if (value === null || value === undefined) {
+        if (!columns.has(name)) {
+          columns.set(name, null)
+        }
+        continue
+      }
+      const type = typeof value === 'boolean'
+        ? COLUMN_TYPES.Bool
+        : typeof value === 'number' ? COLUMN_TYPES.Double
+          : typeof value === 'string' ? COLUMN_TYPES.String : COLUMN_TYPES.Json
+      const previous = columns.get(name)
+      columns.set(name, previous === null || previous === undefined || previous === type ? type : COLUMN_TYPES.Json)
+    }
+  }
+  return [...columns].map(([name, type]) => ({name, type: type === null ? COLUMN_TYPES.String : type}))
+}
+
+/**
+ * Encodes the properties of a feature as (column index, value) pairs
+ */
+function encodeProperties (properties, columns) {
+  const b = new FlatBufferBuilder()
+  columns.forEach(({name, type}, index) => {
+    const value = properties[name]
+    if (value === null || value === undefined) {
+      return
+    }
+    b.scalar('uint16', index)
+    if (type === COLUMN_TYPES.Bool) {
+      b.scalar('uint8', value ? 1 : 0)
+    } else if (type === COLUMN_TYPES.Double) {
+      b.scalar('float64', value)
+    } else {
+      const bytes = utf8(type === COLUMN_TYPES.Json ? JSON.stringify(value) : value)
+      b.scalar('uint32', bytes.length)
+      bytes.forEach(byte => b.scalar('uint8', byte))
+    }
+  })
+  return b._bytes.subarray(0, b.offset)
+}
+
+/**
+ * [minX, minY, maxX, maxY] of the positions of the geometries, null if there are none
+ */
+function envelope (geometries) {
+  let bbox = null
+  const visit = coordinates => {
+    if (typeof coordinates[0] === 'number') {
+      const [x, y] = coordinates
+      bbox = bbox
+        ? [Math.min(bbox[0], x), Math.min(bbox[1], y), Math.max(bbox[2], x), Math.max(bbox[3], y)]
+        : [x, y, x, y]
+    } else {
+      coordinates.forEach(visit)
+    }
+  }
+  const visitGeometry = geometry => geometry.type === 'GeometryCollection'
+    ? geometry.geometries.forEach(visitGeometry)
+    : visit(geometry.coordinates)
+  geometries.forEach(visitGeometry)
+  return bbox
+}
+
+/**
+ * @summary Encodes features as a FlatGeobuf file
+ * @param {[Object]} features GeoJSON features, whose geometry may be null
+ * @param {Object} options
+ * @param {String} options.name Name of the dataset
+ * @returns {Uint8Array} The content of the file
+ */
+export function encodeFlatGeobuf (features, options = {}) {
+  const columns = inferColumns(features)
+  const geometries = features.map(f => f.geometry).filter(g => g)
+  const types = new Set(geometries.map(g => g.type))
+  const bounds = envelope(geometries)
+  const header = new FlatBufferBuilder().finish([
+    options.name ? offset(b => b.string(options.name)) : undefined,
+    bounds ? offset(b => b.vector('float64', bounds)) : undefined,
+    {type: 'uint8', value: types.size === 1 ? GEOMETRY_TYPES[[...types][0]] || UNKNOWN_GEOMETRY_TYPE : UNKNOWN_GEOMETRY_TYPE},
+    undefined,
+    undefined,
+    undefined,
+    undefined,
+    columns.length
+      ? offset(b => b.tableVector(columns.map(({name, type}) => [
+        offset(b => b.string(name)),
+        {type: 'uint8', value: type}
+      ])))
+      : undefined,
+    {type: 'uint64', value: features.length},
+    // No spatial index
+    {type: 'uint16', value: 0},
+    offset(b => b.table([offset(b => b.string('EPSG')), {type: 'int32', value: 4326}]))
+  ])
+  const chunks = [Uint8Array.from(MAGIC), header]
+  for (const feature of features) {
+    const properties = encodeProperties(feature.properties || {}, columns)
+    chunks.push(new FlatBufferBuilder().finish([
+      feature.geometry ? offset(b => b.table(geometryFields(feature.geometry))) : undefined,
+      properties.length ? offset(b => b.vector('uint8', properties)) : undefined
+    ]))
+  }
+  const file = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0))
+  let position = 0
+  for (const chunk of chunks) {
+    file.set(chunk, position)
+    position += chunk.length
+  }
+  return file
+}
@@ -0,0 +1,275 @@
+/**
+ * @file Converters of detection results, GeoJSON FeatureCollections, into
+ * other vector formats; features of the "bbox" output type, which may only
+ * have a `bbox`, are converted as rectangular polygons
+ */
+import {area, bboxToPolygon, polygonsOf, polygonsCentroid} from './geo'
+import {encodeFlatGeobuf} from './flatgeobuf'
+import {ValidationError} from './errors'
+
+/**
+ * Formats supported by `convertResults`, by name, with the extension of their files
+ */
+export const EXPORT_FORMATS = {
+  geojson: '.geojson',
+  geojsonseq: '.geojsonl',
+  csv: '.csv',
+  kml: '.kml',
+  wkt: '.wkt',
+  flatgeobuf: '.fgb'
+}
+
+/**
+ * Checks and normalizes the name of an export format
+ * @returns {String} The lowercased name, a key of `EXPORT_FORMATS`
+ * @throws {ValidationError} If the format is unknown
+ */
+export function checkExportFormat (format) {
+  const name = String(format).toLowerCase()
+  if (!EXPORT_FORMATS.hasOwnProperty(name)) {
+    throw new ValidationError(`Invalid export format ${format}; allowed values: ${Object.keys(EXPORT_FORMATS).join(', ')}.`)
+  }
+  return name
+}
+
+/**
+ * Export format matching the extension of a file name
+ * @returns {String} A key of `EXPORT_FORMATS`, null if none matches
+ */
+export function formatOfFile (fileName) {
+  const match = String(fileName).toLowerCase().match(/\.[^./\\]+$/)
+  return Object.keys(EXPORT_FORMATS).find(name => match && EXPORT_FORMATS[name] === match[0]) || null
+}
+
+function checkFeatureCollection (featureCollection) {
+  if (!featureCollection || featureCollection.type !== 'FeatureCollection' || !Array.isArray(featureCollection.features)) {
+    throw new ValidationError('Results must be a GeoJSON FeatureCollection.')
+  }
+}
+
+/**
+ * Geometry of a feature, built from its `bbox` if it has none
+ */
+function featureGeometry (feature) {
+  if (feature.geometry) {
+    return feature.geometry
+  }
+  return feature.bbox ? bboxToPolygon(feature.bbox) : null
+}
+
+/**
+ * Names of the properties of the features, in order of appearance
+ */
+function propertyNames (features) {
+  const names = new Set()
+  for (const feature of features) {
+    Object.keys(feature.properties || {}).forEach(name => names.add(name))
+  }
+  return [...names]
+}
+
+/**
+ * @summary Converts a GeoJSON geometry to Well-Known Text
+ * @param {Object} geometry
+ * @returns {String} The WKT, "GEOMETRYCOLLECTION EMPTY" for a null geometry
+ */
+export function geometryToWKT (geometry) {
+  if (!geometry) {
+    return 'GEOMETRYCOLLECTION EMPTY'
+  }
+  const position = p => p.join(' ')
+  const list = (items, format) => items.length ? `(${items.map(format).join(', ')})` : 'EMPTY'
+  const positions = coordinates => list(coordinates, position)
+  const rings = polygon => list(polygon, positions)
+  const text = {
+    Point: c => c.length ? `(${position(c)})` : 'EMPTY',
+    MultiPoint: c => list(c, p => `(${position(p)})`),
+    LineString: positions,
+    MultiLineString: rings,
+    Polygon: rings,
+    MultiPolygon: c => list(c, rings)
+  }
+  const type = geometry.type.toUpperCase()
+  if (geometry.type === 'GeometryCollection') {
+    return `${type} ${list(geometry.geometries, geometryToWKT)}`
+  }
+  if (!text[geometry.type]) {
+    throw new ValidationError(`Invalid geometry type ${geometry.type}.`)
+  }
+  return `${type} ${text[geometry.type](geometry.coordinates)}`
+}
+
+/**
+ * @summary Converts results to WKT, one geometry per line
+ * @description WKT has no properties, use `toCSV` to keep them along with
+ * the geometries
+ * @param {Object} featureCollection GeoJSON FeatureCollection
+ * @returns {String}
+ */
+export function toWKT (featureCollection) {
+  checkFeatureCollection(featureCollection)
+  return featureCollection.features.map(f => geometryToWKT(featureGeometry(f)) + '\n').join('')
+}
+
+/**
+ * @summary Converts results to CSV
+ * @description Each feature gets a row with the longitude and latitude of
+ * its centroid, its geodesic area in square meters, its properties (objects
+ * being JSON-encoded) and, unless disabled, its geometry as WKT; the columns
+ * of properties named like these computed ones get a "properties." prefix
+ * @param {Object} featureCollection GeoJSON FeatureCollection
+ * @param {Object} options
+ * @param {String} options.delimiter Defaults to ","
+ * @param {Boolean} options.geometry Whether to add the "wkt" column, defaults to true
+ * @returns {String}
+ */
+export function toCSV (featureCollection, options = {}) {
+  checkFeatureCollection(featureCollection)
+  const delimiter = options.delimiter || ','
+  const withGeometry = options.geometry !== false
+  const escape = value => {
+    if (value === null || value === undefined) {
+      return ''
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+  const names = propertyNames(featureCollection.features)
+  const computed = ['longitude', 'latitude', 'area', 'wkt']
+  const columns = names.map(name => computed.includes(name) ? `properties.${name}` : name)
+  const header = ['longitude', 'latitude', 'area'].concat(columns, withGeometry ? ['wkt'] : [])
+  const rows = featureCollection.features.map(feature => {
+    const geometry = featureGeometry(feature)
+    const centroid = geometry && geometry.type === 'Point' ? geometry.coordinates : polygonsCentroid(polygonsOf(geometry))
+    const properties = feature.properties || {}
+    return [centroid && centroid[0], centroid && centroid[1], geometry ? area(geometry) : null]
+      .concat(names.map(name => properties[name]), withGeometry ? [geometryToWKT(geometry)] : [])
+  })
+  return [header].concat(rows).map(row => row.map(escape).join(delimiter) + '\n').join('')
+}
+
+const escapeXML = text => String(text).replace(/[<>&'"]/g, c => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;'
+})[c])
+
+/**
+ * KML elements of a geometry
+ */
+function geometryToKML (geometry) {
+  const coordinates = positions => `<coordinates>${positions.map(p => p.join(',')).join(' ')}</coordinates>`
+  const polygon = rings => '<Polygon>' +
+    `<outerBoundaryIs><LinearRing>${coordinates(rings[0])}</LinearRing></outerBoundaryIs>` +
+    rings.slice(1).map(ring => `<innerBoundaryIs><LinearRing>${coordinates(ring)}</LinearRing></innerBoundaryIs>`).join('') +
+    '</Polygon>'
+  const multi = parts => `<MultiGeometry>${parts.join('')}</MultiGeometry>`
+  switch (geometry.type) {
+    case 'Point':
+      return `<Point>${coordinates([geometry.coordinates])}</Point>`
+    case 'LineString':
+      return `<LineString>${coordinates(geometry.coordinates)}</LineString>`
+    case 'Polygon':
+      return polygon(geometry.coordinates)
+    case 'MultiPoint':
+      return multi(geometry.coordinates.map(p => `<Point>${coordinates([p])}</Point>`))
+    case 'MultiLineString':
+      return multi(geometry.coordinates.map(l => `<LineString>${coordinates(l)}</LineString>`))
+    case 'MultiPolygon':
+      return multi(geometry.coordinates.map(polygon))
+    case 'GeometryCollection':
+      return multi(geometry.geometries.map(geometryToKML))
+    default:
+      throw new ValidationError(`Invalid geometry type ${geometry.type}.`)
+  }
+}
+
+/**
+ * @summary Converts results to KML, e.g. for Google Earth
+ * @description Each feature becomes a Placemark, its properties being kept
+ * as ExtendedData (objects being JSON-encoded)
+ * @param {Object} featureCollection GeoJSON FeatureCollection
+ * @param {Object} options
+ * @param {String} options.name Name of the KML document
+ * @returns {String}
+ */
+export function toKML (featureCollection, options = {}) {
+  checkFeatureCollection(featureCollection)
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>'
+  ]
+  if (options.name) {
+    lines.push(`<name>${escapeXML(options.name)}</name>`)
+  }
+  for (const feature of featureCollection.features) {
+    const properties = Object.entries(feature.properties || {})
+      .filter(([name, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => {
+        const text = typeof value === 'object' ? JSON.stringify(value) : value
+        return `<Data name="${escapeXML(name)}"><value>${escapeXML(text)}</value></Data>`
+      })
+    const geometry = featureGeometry(feature)
+    lines.push(
+      '<Placemark>' +
+      (properties.length ? `<ExtendedData>${properties.join('')}</ExtendedData>` : '') +
+      (geometry ? geometryToKML(geometry) : '') +
+      '</Placemark>'
+    )
+  }
+  lines.push('</Document>', '</kml>')
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * @summary Converts results to GeoJSONSeq, one feature per line
+ * @param {Object} featureCollection GeoJSON FeatureCollection
+ * @param {Object} options
+ * @param {Boolean} options.recordSeparator Whether to start each line with
+ *   the RS character, as RFC 8142 requires; defaults to false, for
+ *   newline-delimited GeoJSON
+ * @returns {String}
+ */
+export function toGeoJSONSeq (featureCollection, options = {}) {
+  checkFeatureCollection(featureCollection)
+  const prefix = options.recordSeparator ? '\x1e' : ''
+  return featureCollection.features.map(f => `${prefix}${JSON.stringify(f)}\n`).join('')
+}
+
+/**
+ * @summary Converts results to FlatGeobuf
+ * @description Properties become typed columns (booleans, numbers, strings,
+ * or JSON for other and mixed values); the file has no spatial index
+ * @param {Object} featureCollection GeoJSON FeatureCollection
+ * @param {Object} options
+ * @param {String} options.name Name of the dataset
+ * @returns {Uint8Array}
+ */
+export function toFlatGeobuf (featureCollection, options = {}) {
+  checkFeatureCollection(featureCollection)
+  const features = featureCollection.features.map(f => Object.assign({}, f, {geometry: featureGeometry(f)}))
+  return encodeFlatGeobuf(features, options)
+}
+
+/**
+ * @summary Converts results to one of the `EXPORT_FORMATS`
+ * @param {Object} featureCollection GeoJSON FeatureCollection
+ * @param {String} format One of "geojson", "geojsonseq", "csv", "kml", "wkt", "flatgeobuf"
+ * @param {Object} options Options of the converter of the format
+ * @returns {String|Uint8Array} The content of the file, binary for FlatGeobuf
+ * @throws {ValidationError} If the format is unknown or the results are not
+ *   a FeatureCollection
+ */
+export function convertResults (featureCollection, format, options = {}) {
+  const converters = {
+    geojson: fc => {
+      checkFeatureCollection(fc)
+      return JSON.stringify(fc)
+    },
+    geojsonseq: toGeoJSONSeq,
+    csv: toCSV,
+    kml: toKML,
+    wkt: toWKT,
+    flatgeobuf: toFlatGeobuf
+  }
+  return converters[checkExportFormat(format)](featureCollection, options)
+}
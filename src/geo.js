@@ -0,0 +1,175 @@
+/**
+ * @file Geometry helpers working on GeoJSON coordinates in WGS84 longitude/latitude
+ */
+
+/**
+ * Equatorial radius of the WGS84 ellipsoid, in meters
+ */
+export const WGS84_RADIUS = 6378137
+
+const rad = deg => deg * Math.PI / 180
+
+/**
+ * Geodesic area of a ring, using the spherical approximation of
+ * "Some Algorithms for Polygons on a Sphere" (Chamberlain & Duquette, JPL 2007)
+ * @param {[[Number]]} ring Closed ring of [lon, lat] positions
+ * @returns {Number} Area in square meters, positive for clockwise rings
+ */
+export function ringArea (ring) {
+  const n = ring.length
+  if (n < 3) {
+    return 0
+  }
+  let area = 0
+  for (let i = 0; i < n; i++) {
+    const p1 = ring[i]
+    const p2 = ring[(i + 1) % n]
+    const p3 = ring[(i + 2) % n]
+    area += (rad(p3[0]) - rad(p1[0])) * Math.sin(rad(p2[1]))
+  }
+  return area * WGS84_RADIUS * WGS84_RADIUS / 2
+}
+
+/**
+ * Converts a bounding box into the equivalent Polygon
+ * @param {[Number]} bbox [minLon, minLat, maxLon, maxLat]
+ */
+export function bboxToPolygon ([minX, minY, maxX, maxY]) {
+  return {
+    type: 'Polygon',
+    coordinates: [[[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]]]
+  }
+}
+
+/**
+ * Lists the polygons (as arrays of rings) of a geometry, or of a feature
+ * which only has a `bbox`, like some detections in "bbox" output type
+ * @param {Object} geometryOrFeature GeoJSON geometry or feature
+ * @returns {[[[[Number]]]]} The polygons, empty for non-polygonal geometries
+ */
+export function polygonsOf (geometryOrFeature) {
+  let geometry = geometryOrFeature
+  if (geometry && geometry.type === 'Feature') {
+    geometry = geometry.geometry || (geometry.bbox ? bboxToPolygon(geometry.bbox) : null)
+  }
+  if (!geometry) {
+    return []
+  }
+  switch (geometry.type) {
+    case 'Polygon':
+      return [geometry.coordinates]
+    case 'MultiPolygon':
+      return geometry.coordinates
+    case 'GeometryCollection':
+      return [].concat(...geometry.geometries.map(polygonsOf))
+    default:
+      return []
+  }
+}
+
+/**
+ * Geodesic area of a polygon, holes excluded
+ * @param {[[[Number]]]} polygon Array of rings, the first one being the exterior
+ * @returns {Number} Area in square meters
+ */
+export function polygonArea (polygon) {
+  return polygon.reduce(
+    (area, ring, i) => area + (i === 0 ? 1 : -1) * Math.abs(ringArea(ring)),
+    0
+  )
+}
+
+/**
+ * Geodesic area of a geometry or feature
+ * @returns {Number} Area in square meters, 0 for non-polygonal geometries
+ */
+export function area (geometryOrFeature) {
+  return polygonsOf(geometryOrFeature).reduce((total, polygon) => total + polygonArea(polygon), 0)
+}
+
+/**
+ * Bounding box of a list of polygons
+ * @param {[[[[Number]]]]} polygons
+ * @returns {[Number]} [minLon, minLat, maxLon, maxLat], null if there are no positions
+ */
+export function polygonsBbox (polygons) {
+  let bbox = null
+  for (const polygon of polygons) {
+    for (const [x, y] of polygon[0] || []) {
+      if (bbox === null) {
+        bbox = [x, y, x, y]
+      } else {
+        bbox = [Math.min(bbox[0], x), Math.min(bbox[1], y), Math.max(bbox[2], x), Math.max(bbox[3], y)]
+      }
+    }
+  }
+  return bbox
+}
+
+/**
+ * Planar centroid of a ring, which is good enough at the scale of a detected object
+ * @param {[[Number]]} ring Closed ring of [lon, lat] positions
+ * @returns {[Number]} [lon, lat]
+ */
+export function ringCentroid (ring) {
+  let area = 0
+  let x = 0
+  let y = 0
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x1, y1] = ring[i]
+    const [x2, y2] = ring[i + 1]
+    const cross = x1 * y2 - x2 * y1
+    area += cross
+    x += (x1 + x2) * cross
+    y += (y1 + y2) * cross
+  }
+  if (area === 0) {
+    // Degenerate ring: fall back to the mean of its positions
+    const n = ring.length
+    return [ring.reduce((s, p) => s + p[0], 0) / n, ring.reduce((s, p) => s + p[1], 0) / n]
+  }
+  return [x / (3 * area), y / (3 * area)]
+}
+
+/**
+ * Centroid of a list of polygons, approximated by the one of the exterior
+ * ring of the largest polygon
+ * @param {[[[[Number]]]]} polygons
+ * @returns {[Number]} [lon, lat], null if there are no polygons
+ */
+export function polygonsCentroid (polygons) {
+  if (!polygons.length) {
+    return null
+  }
+  const largest = polygons.reduce((a, b) => polygonArea(b) > polygonArea(a) ? b : a)
+  return ringCentroid(largest[0])
+}
+
+/**
+ * Whether a point lies inside a ring, by ray casting
+ * @param {[Number]} point [lon, lat]
+ * @param {[[Number]]} ring Closed ring of [lon, lat] positions
+ */
+export function pointInRing ([x, y], ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+/**
+ * Whether a point lies inside a polygon and outside its holes
+ * @param {[Number]} point [lon, lat]
+ * @param {[[[Number]]]} polygon Array of rings, the first one being the exterior
+ */
+export function pointInPolygon (point, polygon) {
+  if (!polygon.length || !pointInRing(point, polygon[0])) {
+    return false
+  }
+  return !polygon.slice(1).some(hole => pointInRing(point, hole))
+}
@@ -0,0 +1,271 @@
+/**
+ * @file Local validation and normalization of the GeoJSON sent to the API
+ * (annotations, detection areas), so that bad geometries are reported right
+ * away instead of by a server-side operation failing minutes later
+ */
+import {ringArea} from './geo'
+import {ValidationError} from './errors'
+
+/**
+ * Geometry types accepted by default, the API only working with polygons
+ */
+export const POLYGON_TYPES = ['Polygon', 'MultiPolygon']
+
+// Names of the CRS equivalent to the RFC 7946 default, i.e. WGS84 lon/lat
+const WGS84_CRS = /(CRS84|EPSG:{1,2}4326)$/i
+
+// Number of problems listed in the error message, all being in its `data`
+const MAX_LISTED_PROBLEMS = 5
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1]
+
+/**
+ * Orientation of the triangle (p, q, r): > 0 if counterclockwise, < 0 if
+ * clockwise, 0 if collinear
+ */
+function orientation (p, q, r) {
+  return (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0])
+}
+
+function onSegment (p, q, r) {
+  return Math.min(p[0], r[0]) <= q[0] && q[0] <= Math.max(p[0], r[0]) &&
+    Math.min(p[1], r[1]) <= q[1] && q[1] <= Math.max(p[1], r[1])
+}
+
+/**
+ * Whether segments [p1, p2] and [q1, q2] have at least one point in common
+ */
+function segmentsIntersect (p1, p2, q1, q2) {
+  const o1 = orientation(p1, p2, q1)
+  const o2 = orientation(p1, p2, q2)
+  const o3 = orientation(q1, q2, p1)
+  const o4 = orientation(q1, q2, p2)
+  if (((o1 > 0 && o2 < 0) || (o1 < 0 && o2 > 0)) && ((o3 > 0 && o4 < 0) || (o3 < 0 && o4 > 0))) {
+    return true
+  }
+  return (o1 === 0 && onSegment(p1, q1, p2)) ||
+    (o2 === 0 && onSegment(p1, q2, p2)) ||
+    (o3 === 0 && onSegment(q1, p1, q2)) ||
+    (o4 === 0 && onSegment(q1, p2, q2))
+}
+
+/**
+ * Whether two non-consecutive edges of a closed ring touch or cross each other
+ * @param {[[Number]]} ring Closed ring of [lon, lat] positions
+ */
+export function ringSelfIntersects (ring) {
+  // Repeated positions would make zero-length edges touching their neighbours
+  const points = ring.filter((p, i) => i === 0 || !samePosition(p, ring[i - 1]))
+  const n = points.length - 1
+  for (let i = 0; i < n; i++) {
+    const [a, b] = [points[i], points[i + 1]]
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) {
+        // The first and last edges share the closing position
+        continue
+      }
+      if (segmentsIntersect(a, b, points[j], points[j + 1])) {
+        return true
+      }
+    }
+  }
+  return false
+}
+
+/**
+ * Whether a geometry has no coordinates at all
+ */
+function isEmptyGeometry (geometry) {
+  if (!geometry) {
+    return true
+  }
+  if (geometry.type === 'GeometryCollection') {
+    return !Array.isArray(geometry.geometries) || geometry.geometries.every(isEmptyGeometry)
+  }
+  return !Array.isArray(geometry.coordinates) || !geometry.coordinates.length
+}
+
+/**
+ * Flattens (possibly nested) GeometryCollections into their non-empty members
+ */
+function explodeGeometry (geometry) {
+  if (geometry.type !== 'GeometryCollection') {
+    return [geometry]
+  }
+  return [].concat(...geometry.geometries.filter(g => !isEmptyGeometry(g)).map(explodeGeometry))
+}
+
+/**
+ * Checks a position, returning the description of its problem if any
+ */
+function positionProblem (position) {
+  if (!Array.isArray(position) || position.length < 2 || !position.every(Number.isFinite)) {
+    return `invalid position ${JSON.stringify(position)}`
+  }
+  const [lon, lat] = position
+  if (lon < -180 || lon > 180 || lat < -90 || lat > 90) {
+    return `position [${lon}, ${lat}] is out of the WGS84 longitude/latitude range`
+  }
+  return null
+}
+
+/**
+ * Checks the rings of a polygon, and rewinds them if asked to
+ * @param {[[[Number]]]} polygon Array of rings, the first one being the exterior
+ * @param {String} where Location of the polygon, for the messages
+ * @param {Object} options
+ * @param {Boolean} options.rewind Fix the winding order instead of reporting it
+ * @param {Boolean} options.checkSelfIntersections
+ * @param {[String]} problems Where to push the descriptions of the problems
+ * @returns {[[[Number]]]} The polygon, rewound if needed
+ */
+function checkPolygon (polygon, where, options, problems) {
+  if (!Array.isArray(polygon) || !polygon.length) {
+    problems.push(`${where} has no rings`)
+    return polygon
+  }
+  return polygon.map((ring, r) => {
+    const name = `${where}${r === 0 ? 'exterior ring' : `hole ${r}`}`
+    if (!Array.isArray(ring)) {
+      problems.push(`${name} is not an array of positions`)
+      return ring
+    }
+    const problem = ring.map(positionProblem).find(p => p)
+    if (problem) {
+      problems.push(`${name}: ${problem}`)
+      return ring
+    }
+    if (ring.length < 4) {
+      problems.push(`${name} has less than 4 positions`)
+      return ring
+    }
+    if (!samePosition(ring[0], ring[ring.length - 1])) {
+      problems.push(`${name} is not closed`)
+      return ring
+    }
+    if (options.checkSelfIntersections && ringSelfIntersects(ring)) {
+      problems.push(`${name} intersects itself`)
+    }
+    // RFC 7946: exterior rings are counterclockwise, holes clockwise;
+    // `ringArea` is positive for clockwise rings
+    const area = ringArea(ring)
+    if (area !== 0 && (r === 0) === (area > 0)) {
+      if (options.rewind) {
+        return ring.slice().reverse()
+      }
+      problems.push(`${name} should be ${r === 0 ? 'counterclockwise' : 'clockwise'}`)
+    }
+    return ring
+  })
+}
+
+/**
+ * Checks a geometry, returning it fixed according to the options
+ */
+function checkGeometry (geometry, options, problems) {
+  if (!geometry || typeof geometry !== 'object') {
+    problems.push('geometry is not an object')
+    return geometry
+  }
+  if (!options.geometryTypes.includes(geometry.type)) {
+    const hint = geometry.type === 'GeometryCollection' ? ' (see the explodeCollections option)' : ''
+    problems.push(`geometry type ${geometry.type} is not allowed${hint}; allowed values: ${options.geometryTypes.join(', ')}`)
+    return geometry
+  }
+  switch (geometry.type) {
+    case 'Polygon':
+      return Object.assign({}, geometry, {coordinates: checkPolygon(geometry.coordinates, '', options, problems)})
+    case 'MultiPolygon':
+      return Object.assign({}, geometry, {
+        coordinates: geometry.coordinates.map((polygon, p) => checkPolygon(polygon, `polygon ${p} `, options, problems))
+      })
+    case 'GeometryCollection':
+      return Object.assign({}, geometry, {geometries: geometry.geometries.map(g => checkGeometry(g, options, problems))})
+    default: {
+      // Points and lines only get their positions checked
+      const problem = flattenPositions(geometry.coordinates).map(positionProblem).find(p => p)
+      if (problem) {
+        problems.push(problem)
+      }
+      return geometry
+    }
+  }
+}
+
+/**
+ * Lists the positions of the nested coordinates arrays of a geometry
+ */
+function flattenPositions (coordinates) {
+  if (!Array.isArray(coordinates) || !coordinates.length || !Array.isArray(coordinates[0])) {
+    return [coordinates]
+  }
+  return [].concat(...coordinates.map(flattenPositions))
+}
+
+/**
+ * @summary Validates and normalizes a GeoJSON FeatureCollection before it is sent to the API
+ * @description Checks the structure of the collection, the geometry types,
+ * that positions are valid WGS84 longitudes/latitudes, that rings are
+ * closed, do not intersect themselves and follow the RFC 7946 winding order
+ * (counterclockwise exteriors, clockwise holes), and that no other CRS is
+ * declared. Some problems can be fixed instead of reported, through the options;
+ * rings with the wrong winding order are fixed by default since RFC 7946 asks
+ * parsers not to reject them.
+ * The input is never modified.
+ * @param {Object} geojson GeoJSON FeatureCollection
+ * @param {Object} options
+ * @param {[String]} options.geometryTypes Allowed geometry types, defaults to Polygon and MultiPolygon
+ * @param {Boolean} options.rewind Reverse the rings with a wrong winding order
+ *   (default), rather than report them
+ * @param {Boolean} options.dropEmpty Remove the features without geometry or coordinates
+ * @param {Boolean} options.explodeCollections Replace the features holding
+ *   a GeometryCollection by one feature per member geometry, with the same properties
+ * @param {Boolean} options.checkSelfIntersections Defaults to true, checking
+ *   being quadratic in the number of positions of each ring
+ * @returns {Object} The FeatureCollection, with the requested fixes applied
+ * @throws {ValidationError} Listing the problems in its `data.errors`, as
+ *   `{feature, message}` objects where `feature` is the index of the feature
+ *   in the input, or null for problems of the collection itself
+ */
+export function validateGeoJSON (geojson, options = {}) {
+  options = Object.assign({geometryTypes: POLYGON_TYPES, rewind: true, checkSelfIntersections: true}, options)
+  if (!geojson || typeof geojson !== 'object' || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new ValidationError('Invalid GeoJSON: expected a FeatureCollection with a "features" array.', '', {
+      data: {errors: [{feature: null, message: 'not a FeatureCollection'}]}
+    })
+  }
+  const errors = []
+  if (geojson.crs) {
+    const name = geojson.crs.properties && geojson.crs.properties.name
+    if (!WGS84_CRS.test(name || '')) {
+      errors.push({feature: null, message: `CRS ${name || JSON.stringify(geojson.crs)} is not WGS84 longitude/latitude`})
+    }
+  }
+  const features = []
+  geojson.features.forEach((feature, index) => {
+    if (!feature || typeof feature !== 'object' || feature.type !== 'Feature') {
+      errors.push({feature: index, message: 'not a Feature'})
+      return
+    }
+    if (isEmptyGeometry(feature.geometry)) {
+      if (!options.dropEmpty) {
+        errors.push({feature: index, message: 'empty geometry (see the dropEmpty option)'})
+      }
+      return
+    }
+    const geometries = options.explodeCollections ? explodeGeometry(feature.geometry) : [feature.geometry]
+    for (const geometry of geometries) {
+      const problems = []
+      const checked = checkGeometry(geometry, options, problems)
+      errors.push(...problems.map(message => ({feature: index, message})))
+      features.push(Object.assign({}, feature, {geometry: checked}))
+    }
+  })
+  if (errors.length) {
+    const listed = errors.slice(0, MAX_LISTED_PROBLEMS)
+      .map(({feature, message}) => feature === null ? message : `feature ${feature}: ${message}`)
+    const more = errors.length > MAX_LISTED_PROBLEMS ? `; and ${errors.length - MAX_LISTED_PROBLEMS} more` : ''
+    throw new ValidationError(`Invalid GeoJSON: ${listed.join('; ')}${more}.`, '', {data: {errors}})
+  }
+  return Object.assign({}, geojson, {features})
+}
@@ -1,2 +1,61 @@
 import APIClient from './Client'
-export { APIClient }
+import Operation from './Operation'
+import {
+  APIError,
+  AuthenticationError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  ValidationError,
+  OperationFailedError,
+  OperationTimeoutError,
+  OperationCancelledError
+} from './errors'
+import { DEFAULT_RETRY_POLICY } from './retry'
+import { summarizeResults } from './summary'
+import { validateGeoJSON } from './geojson'
+import { compareTrainingMetrics } from './metrics'
+import {
+  EXPORT_FORMATS,
+  convertResults,
+  toCSV,
+  toKML,
+  toWKT,
+  toGeoJSONSeq,
+  toFlatGeobuf
+} from './formats'
+import { tileGrid, mergeTiledResults } from './tiling'
+import { PIPELINE_ACTIONS, loadPipeline } from './pipeline'
+import { WebhookReceiver, SIGNATURE_HEADER, signWebhook, verifyWebhookSignature } from './webhooks'
+export {
+  APIClient,
+  Operation,
+  APIError,
+  AuthenticationError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  ValidationError,
+  OperationFailedError,
+  OperationTimeoutError,
+  OperationCancelledError,
+  DEFAULT_RETRY_POLICY,
+  summarizeResults,
+  validateGeoJSON,
+  compareTrainingMetrics,
+  EXPORT_FORMATS,
+  convertResults,
+  toCSV,
+  toKML,
+  toWKT,
+  toGeoJSONSeq,
+  toFlatGeobuf,
+  tileGrid,
+  mergeTiledResults,
+  PIPELINE_ACTIONS,
+  loadPipeline,
+  WebhookReceiver,
+  SIGNATURE_HEADER,
+  signWebhook,
+  verifyWebhookSignature
+}
@@ -0,0 +1,156 @@
+/**
+ * @file Helpers abstracting the data accepted by the upload methods: local
+ * file paths (on Node only), Buffers, Uint8Arrays, Blobs/Files and Readable streams
+ */
+
+const isNode = typeof window === 'undefined'
+
+/**
+ * Loads the fs module, which only exists on Node
+ * @throws {TypeError} When not running on Node
+ */
+export function loadFs () {
+  if (!isNode) {
+    throw new TypeError('Local files can only be accessed on Node.')
+  }
+  return require('fs')
+}
+
+function isBlob (input) {
+  return typeof Blob !== 'undefined' && input instanceof Blob
+}
+
+function isStream (input) {
+  return input !== null && typeof input === 'object' && typeof input.pipe === 'function'
+}
+
+/**
+ * Converts a slice of in-memory data into a body accepted by fetch
+ */
+async function toBody (data) {
+  if (!isNode) {
+    return data
+  }
+  // node-fetch only knows about Buffers
+  if (isBlob(data)) {
+    return Buffer.from(await data.arrayBuffer())
+  }
+  return Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+}
+
+/**
+ * Wraps the data to upload into a source that can be read as a whole or by
+ * byte ranges, as many times as needed (except for streams)
+ * @param {String|Buffer|Uint8Array|Blob|Readable} input Path of a local file, or the data itself
+ * @returns {Promise<Object>} A source `{size, replayable, read}`, where
+ *   `size` is null when unknown (streams) and `read(start, end)` resolves to
+ *   a body for fetch holding bytes from `start` to `end` (both included), or
+ *   everything when called without arguments
+ * @throws {TypeError} If the input is not of a supported type
+ */
+export async function openSource (input) {
+  if (typeof input === 'string') {
+    const fs = loadFs()
+    const {size} = await new Promise((resolve, reject) => {
+      fs.stat(input, (err, stats) => err ? reject(err) : resolve(stats))
+    })
+    return {
+      size,
+      replayable: true,
+      read: (start, end) => start === undefined
+        ? fs.createReadStream(input)
+        : fs.createReadStream(input, {start, end})
+    }
+  }
+  if (input instanceof Uint8Array) { // Buffers included
+    return {
+      size: input.byteLength,
+      replayable: true,
+      read: (start, end) => toBody(start === undefined ? input : input.subarray(start, end + 1))
+    }
+  }
+  if (isBlob(input)) {
+    return {
+      size: input.size,
+      replayable: true,
+      read: (start, end) => toBody(start === undefined ? input : input.slice(start, end + 1))
+    }
+  }
+  if (isStream(input)) {
+    let consumed = false
+    return {
+      size: null,
+      replayable: false,
+      read: start => {
+        if (consumed || start !== undefined) {
+          throw new TypeError('A stream can only be read once and as a whole.')
+        }
+        consumed = true
+        return input
+      }
+    }
+  }
+  throw new TypeError('Unsupported input; expected a file path, Buffer, Uint8Array, Blob or Readable stream.')
+}
+
+/**
+ * Calls back with the number of bytes read so far as a stream body is sent;
+ * other bodies are returned untouched
+ * @param {*} body Request body
+ * @param {Function} onBytes Callback receiving the number of bytes read
+ */
+export function trackProgress (body, onBytes) {
+  if (!isStream(body)) {
+    return body
+  }
+  const {Transform, pipeline} = require('stream')
+  let bytes = 0
+  const counter = new Transform({
+    transform (chunk, encoding, callback) {
+      bytes += chunk.length
+      onBytes(bytes)
+      callback(null, chunk)
+    }
+  })
+  pipeline(body, counter, () => null)
+  return counter
+}
+
+/**
+ * Whether an input is an already parsed JSON document rather than data to read
+ */
+export function isParsedJSON (input) {
+  return input !== null && typeof input === 'object' && !(input instanceof Uint8Array) && !isBlob(input) && !isStream(input)
+}
+
+/**
+ * Reads a JSON document given as an object, or as any input accepted by `openSource`
+ * @param {Object|String|Buffer|Uint8Array|Blob|Readable} input Path of a local
+ *   file, the data itself, or the already parsed object
+ * @returns {Promise<Object>} The parsed document
+ * @throws {SyntaxError} If the data is not valid JSON
+ */
+export async function readJSON (input) {
+  if (isParsedJSON(input)) {
+    return input
+  }
+  let text
+  if (typeof input === 'string') {
+    text = await new Promise((resolve, reject) => {
+      loadFs().readFile(input, 'utf8', (err, data) => err ? reject(err) : resolve(data))
+    })
+  } else if (input instanceof Uint8Array) {
+    text = new TextDecoder().decode(input)
+  } else if (isBlob(input)) {
+    text = await input.text()
+  } else if (isStream(input)) {
+    const chunks = []
+    for await (const chunk of input) {
+      chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk)
+    }
+    text = Buffer.concat(chunks).toString('utf8')
+  } else {
+    throw new TypeError('Unsupported input; expected an object, file path, Buffer, Uint8Array, Blob or Readable stream.')
+  }
+  return JSON.parse(text)
+}
@@ -0,0 +1,108 @@
+/**
+ * @file Local manifest of the uploads, by hash of their content, so that
+ * uploading the same raster, detection area or annotations again can be
+ * skipped (Node only)
+ */
+import {loadFs} from './io'
+import {ValidationError} from './errors'
+
+const MANIFEST_VERSION = 1
+
+/**
+ * Kinds of uploads recorded in the manifest: rasters are by content hash,
+ * detection areas by raster id and annotations by "detectorId/rasterId/type"
+ */
+const KINDS = ['rasters', 'detectionAreas', 'annotations']
+
+/**
+ * @summary Hashes the data of an upload source
+ * @param {Object} source Source returned by `openSource`
+ * @returns {Promise<String>} The hex SHA-256 of the data, null for streams,
+ *   which can only be read once
+ */
+export async function hashSource (source) {
+  if (!source.replayable) {
+    return null
+  }
+  const hash = require('crypto').createHash('sha256')
+  const body = await source.read()
+  if (body instanceof Uint8Array) {
+    hash.update(body)
+  } else {
+    for await (const chunk of body) {
+      hash.update(chunk)
+    }
+  }
+  return hash.digest('hex')
+}
+
+/**
+ * Manifest of the uploads, kept in a JSON file rewritten after every change
+ *
+ * Entries only tell what was uploaded through a client using the manifest:
+ * the client checks that rasters still exist and are ready before reusing
+ * them, but changes made by other means (e.g. a detection area set from the
+ * web interface) are not seen.
+ */
+export class UploadManifest {
+  /**
+   * @constructor
+   * @param {String} fileName Path of the manifest, created on the first upload
+   * @throws {ValidationError} If the file exists but is not a manifest
+   */
+  constructor (fileName) {
+    this.fileName = fileName
+    let manifest
+    try {
+      manifest = JSON.parse(loadFs().readFileSync(fileName, 'utf8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw new ValidationError(`Cannot read upload manifest ${fileName}: ${err.message}`)
+      }
+      manifest = {version: MANIFEST_VERSION}
+    }
+    if (!manifest || manifest.version !== MANIFEST_VERSION) {
+      throw new ValidationError(`Invalid upload manifest ${fileName}: expected version ${MANIFEST_VERSION}.`)
+    }
+    for (const kind of KINDS) {
+      manifest[kind] = manifest[kind] || {}
+    }
+    this._manifest = manifest
+  }
+  /**
+   * @param {String} kind One of "rasters", "detectionAreas", "annotations"
+   * @param {String} key Hash of the raster, or target of the upload
+   * @returns {Object} The entry, null if there is none
+   */
+  get (kind, key) {
+    return this._manifest[kind][key] || null
+  }
+  /**
+   * Records an upload, with its date
+   * @param {String} kind
+   * @param {String} key
+   * @param {Object} entry
+   */
+  set (kind, key, entry) {
+    this._manifest[kind][key] = Object.assign({}, entry, {uploadedAt: new Date().toISOString()})
+    this._save()
+  }
+  /**
+   * Forgets an upload, e.g. a raster deleted since
+   */
+  delete (kind, key) {
+    if (this._manifest[kind][key]) {
+      delete this._manifest[kind][key]
+      this._save()
+    }
+  }
+  /**
+   * Writes the manifest atomically, so that an interruption never leaves it half-written
+   */
+  _save () {
+    const fs = loadFs()
+    const temporary = `${this.fileName}.${process.pid}.tmp`
+    fs.writeFileSync(temporary, JSON.stringify(this._manifest, null, 2) + '\n')
+    fs.renameSync(temporary, this.fileName)
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * @file Accuracy metrics of detector trainings, as computed by the API on the
+ * validation areas of the training set, and their comparison between trainings
+ */
+import {ValidationError} from './errors'
+
+/**
+ * Names of the metrics, by client name; all are ratios between 0 and 1
+ */
+export const TRAINING_METRICS = {
+  accuracy: 'accuracy',
+  precision: 'precision',
+  recall: 'recall',
+  fScore: 'f_score'
+}
+
+/**
+ * Reads the metrics of a training, missing ones being null
+ * @param {Object} source Metrics as returned by the API, the results of a
+ *   training operation or a training history entry (both holding them in
+ *   `metrics`), or metrics already normalized
+ * @returns {Object} `{accuracy, precision, recall, fScore}`, null if there are no metrics
+ */
+export function normalizeMetrics (source) {
+  const metrics = source && source.metrics !== undefined ? source.metrics : source
+  if (!metrics || typeof metrics !== 'object') {
+    return null
+  }
+  const normalized = {}
+  let found = false
+  for (const [name, key] of Object.entries(TRAINING_METRICS)) {
+    const value = metrics[key] !== undefined ? metrics[key] : metrics[name]
+    normalized[name] = typeof value === 'number' ? value : null
+    found = found || normalized[name] !== null
+  }
+  return found ? normalized : null
+}
+
+/**
+ * @summary Compares the metrics of two trainings of a detector
+ * @description Meant to block worse models in CI, e.g.
+ * `if (compareTrainingMetrics(previous, current).regressed) process.exit(1)`
+ * @param {Object} baseline Metrics of the reference training, in any form
+ *   accepted by `normalizeMetrics` (e.g. what `trainDetector` resolves to)
+ * @param {Object} candidate Metrics of the new training, in the same forms
+ * @param {Object} options
+ * @param {[String]} options.metrics Names of the metrics to compare, all by default
+ * @param {Number} options.tolerance Decrease of a metric tolerated before it
+ *   counts as a regression, defaults to 0
+ * @returns {Object} `{metrics, regressions, improvements, regressed}`:
+ *   `metrics` holds `{baseline, candidate, delta}` by metric name (delta being
+ *   null when either side lacks the metric), `regressions` and `improvements`
+ *   the names of the metrics which decreased beyond the tolerance or increased
+ * @throws {ValidationError} If either side has no metrics, or a metric name is unknown
+ */
+export function compareTrainingMetrics (baseline, candidate, options = {}) {
+  const names = options.metrics || Object.keys(TRAINING_METRICS)
+  const tolerance = options.tolerance || 0
+  for (const name of names) {
+    if (!TRAINING_METRICS.hasOwnProperty(name)) {
+      throw new ValidationError(`Invalid metric ${name}; allowed values: ${Object.keys(TRAINING_METRICS).join(', ')}.`)
+    }
+  }
+  const before = normalizeMetrics(baseline)
+  const after = normalizeMetrics(candidate)
+  if (!before || !after) {
+    throw new ValidationError(`The ${before ? 'candidate' : 'baseline'} training has no metrics; set validation areas before training.`)
+  }
+  const comparison = {metrics: {}, regressions: [], improvements: [], regressed: false}
+  for (const name of names) {
+    const delta = before[name] === null || after[name] === null ? null : after[name] - before[name]
+    comparison.metrics[name] = {baseline: before[name], candidate: after[name], delta}
+    if (delta !== null && delta < -tolerance) {
+      comparison.regressions.push(name)
+    } else if (delta !== null && delta > 0) {
+      comparison.improvements.push(name)
+    }
+  }
+  comparison.regressed = comparison.regressions.length > 0
+  return comparison
+}
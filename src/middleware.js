@@ -0,0 +1,109 @@
+/**
+ * @file Request/response hooks registered on the client, called around every
+ * HTTP request it sends, to the API as well as to the blobstore
+ */
+
+const REDACTED = 'REDACTED'
+const HOOKS = ['onRequest', 'onResponse', 'onError']
+
+const isApiKeyHeader = name => name.toLowerCase() === 'x-api-key'
+
+/**
+ * Checks that a middleware is an object with at least one known hook
+ * @throws {TypeError} If it is not
+ */
+export function checkMiddleware (middleware) {
+  if (!middleware || typeof middleware !== 'object') {
+    throw new TypeError('A middleware must be an object with onRequest, onResponse and/or onError hooks.')
+  }
+  for (const [name, hook] of Object.entries(middleware)) {
+    if (HOOKS.includes(name) && typeof hook !== 'function') {
+      throw new TypeError(`Middleware hook ${name} must be a function.`)
+    }
+  }
+  if (!HOOKS.some(name => middleware[name])) {
+    throw new TypeError(`A middleware needs at least one of the ${HOOKS.join(', ')} hooks.`)
+  }
+}
+
+/**
+ * Copy of the headers where the API key is replaced by "REDACTED"
+ */
+function redactHeaders (headers) {
+  const redacted = {}
+  for (const [name, value] of Object.entries(headers)) {
+    redacted[name] = isApiKeyHeader(name) ? REDACTED : value
+  }
+  return redacted
+}
+
+/**
+ * Calls the `onRequest` hooks in order; each one receives the request
+ * `{method, url, headers, internal, attempt}` and may change its URL and
+ * headers, by modifying it or returning a new one
+ * @param {[Object]} middlewares
+ * @param {Object} request Request whose headers hold the actual API key
+ * @returns {Promise<Object>} The request to send, with the actual API key
+ */
+export async function runRequestHooks (middlewares, request) {
+  const apiKeys = Object.entries(request.headers).filter(([name]) => isApiKeyHeader(name))
+  let current = Object.assign({}, request, {headers: redactHeaders(request.headers)})
+  for (const middleware of middlewares) {
+    if (middleware.onRequest) {
+      current = (await middleware.onRequest(current)) || current
+    }
+  }
+  const headers = Object.assign({}, current.headers)
+  // Put the actual key back, unless a hook changed or removed it
+  for (const [name, value] of apiKeys) {
+    if (headers[name] === REDACTED) {
+      headers[name] = value
+    }
+  }
+  return Object.assign({}, current, {headers})
+}
+
+/**
+ * Calls the `onResponse` hooks in order with
+ * `{request, response, status, duration, attempt}`, duration being in milliseconds
+ * @param {[Object]} middlewares
+ * @param {Object} request The request as sent, see `runRequestHooks`
+ * @param {Response} response
+ * @param {Number} duration
+ */
+export async function runResponseHooks (middlewares, request, response, duration) {
+  const context = {
+    request: Object.assign({}, request, {headers: redactHeaders(request.headers)}),
+    response,
+    status: response.status,
+    duration,
+    attempt: request.attempt
+  }
+  for (const middleware of middlewares) {
+    if (middleware.onResponse) {
+      await middleware.onResponse(context)
+    }
+  }
+}
+
+/**
+ * Calls the `onError` hooks in order with `{request, error, duration, attempt}`,
+ * when a request fails without response (network error, cancellation)
+ * @param {[Object]} middlewares
+ * @param {Object} request The request as sent, see `runRequestHooks`
+ * @param {Error} error
+ * @param {Number} duration In milliseconds
+ */
+export async function runErrorHooks (middlewares, request, error, duration) {
+  const context = {
+    request: Object.assign({}, request, {headers: redactHeaders(request.headers)}),
+    error,
+    duration,
+    attempt: request.attempt
+  }
+  for (const middleware of middlewares) {
+    if (middleware.onError) {
+      await middleware.onError(context)
+    }
+  }
+}
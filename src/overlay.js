@@ -0,0 +1,253 @@
+/**
+ * @file Overlay of two polygons (intersection and union), by splitting
+ * their boundaries where they cross and keeping the pieces lying inside or
+ * outside of the other polygon; computed in the plane of the coordinates,
+ * which is good enough at the scale of a detected object
+ */
+import {pointInPolygon, pointInRing} from './geo'
+
+const EPSILON = 1e-9
+
+const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0])
+
+/**
+ * Signed planar area of a ring, positive for counterclockwise rings
+ */
+export function planarRingArea (ring) {
+  let area = 0
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1]
+  }
+  return area / 2
+}
+
+/**
+ * Planar area of a polygon, holes excluded
+ */
+export function planarPolygonArea (polygon) {
+  return polygon.reduce((area, ring, i) => area + (i === 0 ? 1 : -1) * Math.abs(planarRingArea(ring)), 0)
+}
+
+/**
+ * Copy of a polygon with a counterclockwise exterior and clockwise holes,
+ * so that its interior is on the left of every edge
+ */
+function orient (polygon) {
+  return polygon.map((ring, i) => (planarRingArea(ring) > 0) === (i === 0) ? ring : ring.slice().reverse())
+}
+
+function edgesOf (polygon) {
+  const edges = []
+  for (const ring of polygon) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      if (ring[i][0] !== ring[i + 1][0] || ring[i][1] !== ring[i + 1][1]) {
+        edges.push({from: ring[i], to: ring[i + 1], splits: []})
+      }
+    }
+  }
+  return edges
+}
+
+/**
+ * Position of a point along a segment, 0 at its start and 1 at its end
+ */
+function along (edge, point) {
+  const dx = edge.to[0] - edge.from[0]
+  const dy = edge.to[1] - edge.from[1]
+  return ((point[0] - edge.from[0]) * dx + (point[1] - edge.from[1]) * dy) / (dx * dx + dy * dy)
+}
+
+/**
+ * Whether a point lies on a segment, within the tolerance
+ */
+function onEdge (edge, point) {
+  const length = Math.hypot(edge.to[0] - edge.from[0], edge.to[1] - edge.from[1])
+  if (Math.abs(cross(edge.from, edge.to, point)) > EPSILON * length * length) {
+    return false
+  }
+  const t = along(edge, point)
+  return t >= -EPSILON && t <= 1 + EPSILON
+}
+
+/**
+ * Records where two edges cross or overlap in the `splits` of both; crossing
+ * points are shared by both edges, so that the pieces can be chained back
+ */
+function splitEdges (a, b) {
+  const d1 = cross(a.from, a.to, b.from)
+  const d2 = cross(a.from, a.to, b.to)
+  const d3 = cross(b.from, b.to, a.from)
+  const d4 = cross(b.from, b.to, a.to)
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    const t = d3 / (d3 - d4)
+    const point = [a.from[0] + t * (a.to[0] - a.from[0]), a.from[1] + t * (a.to[1] - a.from[1])]
+    a.splits.push(point)
+    b.splits.push(point)
+    return
+  }
+  // Touching or collinear: split each edge at the vertices of the other lying on it
+  for (const point of [b.from, b.to]) {
+    if (onEdge(a, point)) {
+      a.splits.push(point)
+    }
+  }
+  for (const point of [a.from, a.to]) {
+    if (onEdge(b, point)) {
+      b.splits.push(point)
+    }
+  }
+}
+
+/**
+ * Splits the edges into pieces, classified against the other polygon as
+ * "inside", "outside", "same" (on a boundary edge with the same direction)
+ * or "opposite" (on a boundary edge with the opposite direction)
+ */
+function classifyPieces (edges, otherEdges, other) {
+  const pieces = []
+  for (const edge of edges) {
+    const points = [edge.from, ...edge.splits, edge.to]
+      .map(point => ({point, t: along(edge, point)}))
+      .filter(({t}) => t >= 0 && t <= 1)
+      .sort((p, q) => p.t - q.t)
+    for (let i = 0; i < points.length - 1; i++) {
+      if (points[i + 1].t - points[i].t < EPSILON) {
+        continue
+      }
+      const from = points[i].point
+      const to = points[i + 1].point
+      const middle = [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2]
+      const shared = otherEdges.find(e => onEdge(e, middle) && onEdge(e, from) && onEdge(e, to))
+      let position
+      if (shared) {
+        const dot = (to[0] - from[0]) * (shared.to[0] - shared.from[0]) + (to[1] - from[1]) * (shared.to[1] - shared.from[1])
+        position = dot > 0 ? 'same' : 'opposite'
+      } else {
+        position = pointInPolygon(middle, other) ? 'inside' : 'outside'
+      }
+      pieces.push({from, to, position})
+    }
+  }
+  return pieces
+}
+
+/**
+ * Splits the boundaries of two polygons against each other
+ * @returns {Object} `{a, b}`, the classified pieces of each polygon
+ */
+function overlay (polygonA, polygonB) {
+  const a = orient(polygonA)
+  const b = orient(polygonB)
+  const edgesA = edgesOf(a)
+  const edgesB = edgesOf(b)
+  for (const edgeA of edgesA) {
+    for (const edgeB of edgesB) {
+      splitEdges(edgeA, edgeB)
+    }
+  }
+  return {a: classifyPieces(edgesA, edgesB, b), b: classifyPieces(edgesB, edgesA, a)}
+}
+
+const pieceArea = pieces => pieces.reduce((area, {from, to}) => area + (from[0] * to[1] - to[0] * from[1]) / 2, 0)
+
+/**
+ * Planar area of the intersection of two polygons, computed from the pieces
+ * of their boundaries enclosing it (Green's theorem)
+ * @param {[[[Number]]]} polygonA Array of rings, the first one being the exterior
+ * @param {[[[Number]]]} polygonB
+ * @returns {Number}
+ */
+export function intersectionArea (polygonA, polygonB) {
+  const {a, b} = overlay(polygonA, polygonB)
+  const area = pieceArea(a.filter(p => p.position === 'inside' || p.position === 'same')) +
+    pieceArea(b.filter(p => p.position === 'inside'))
+  return Math.max(0, area)
+}
+
+/**
+ * Chains pieces into closed rings
+ * @returns {[[[Number]]]} The rings, null if some pieces cannot be chained
+ */
+function chainRings (pieces) {
+  const key = point => `${point[0]},${point[1]}`
+  const byStart = new Map()
+  for (const piece of pieces) {
+    const list = byStart.get(key(piece.from)) || []
+    list.push(piece)
+    byStart.set(key(piece.from), list)
+  }
+  const rings = []
+  for (const first of pieces) {
+    if (first.used) {
+      continue
+    }
+    const ring = [first.from]
+    let piece = first
+    while (piece) {
+      piece.used = true
+      ring.push(piece.to)
+      if (key(piece.to) === key(first.from)) {
+        break
+      }
+      piece = (byStart.get(key(piece.to)) || []).find(p => !p.used)
+    }
+    if (!piece) {
+      return null
+    }
+    if (ring.length >= 4) {
+      rings.push(ring)
+    }
+  }
+  return rings
+}
+
+const onRing = (ring, point) => ring.slice(1).some((to, i) => onEdge({from: ring[i], to}, point))
+
+/**
+ * Chains pieces into rings and groups them into polygons, holes going to
+ * the exterior ring containing them
+ * @returns {[[[[Number]]]]} The polygons, null if the pieces cannot be chained
+ */
+function assemblePolygons (pieces) {
+  const rings = chainRings(pieces)
+  if (!rings) {
+    return null
+  }
+  const exteriors = rings.filter(ring => planarRingArea(ring) > 0).map(ring => [ring])
+  for (const hole of rings.filter(ring => planarRingArea(ring) < 0)) {
+    const polygon = exteriors.find(([exterior]) => hole.every(p => pointInRing(p, exterior) || onRing(exterior, p)))
+    if (!polygon) {
+      return null
+    }
+    polygon.push(hole)
+  }
+  return exteriors
+}
+
+/**
+ * @summary Intersection of two polygons
+ * @param {[[[Number]]]} polygonA Array of rings, the first one being the exterior
+ * @param {[[[Number]]]} polygonB
+ * @returns {[[[[Number]]]]} The polygons of the intersection, empty if they
+ *   do not overlap, null if the boundaries could not be chained back into
+ *   rings (degenerate geometries)
+ */
+export function intersectPolygons (polygonA, polygonB) {
+  const {a, b} = overlay(polygonA, polygonB)
+  return assemblePolygons(a.filter(p => p.position === 'inside' || p.position === 'same')
+    .concat(b.filter(p => p.position === 'inside')))
+}
+
+/**
+ * @summary Union of two polygons
+ * @param {[[[Number]]]} polygonA Array of rings, the first one being the exterior
+ * @param {[[[Number]]]} polygonB
+ * @returns {[[[[Number]]]]} The polygons of the union, null if the boundaries
+ *   could not be chained back into rings (degenerate geometries)
+ */
+export function unionPolygons (polygonA, polygonB) {
+  const {a, b} = overlay(polygonA, polygonB)
+  const polygons = assemblePolygons(a.filter(p => p.position === 'outside' || p.position === 'same')
+    .concat(b.filter(p => p.position === 'outside')))
+  return polygons && polygons.length ? polygons : null
+}
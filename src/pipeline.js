@@ -0,0 +1,387 @@
+/**
+ * @file Declarative pipelines: JSON or YAML specs of steps calling the client
+ * methods, the outputs of a step being passed to the next ones by reference,
+ * with a state file checkpointing the completed steps so that a rerun skips
+ * them (Node only)
+ */
+import {ValidationError} from './errors'
+import {DETECTOR_SCHEMA} from './detectors'
+import {formatOfFile} from './formats'
+
+// Version of the format of the state files
+const STATE_VERSION = 1
+
+// Number of problems listed in the error message, all being in its `data`
+const MAX_LISTED_PROBLEMS = 5
+
+// `${steps.<id>.<output>}` or `${env.<NAME>}`
+const REFERENCE = /\$\{\s*([^}]*?)\s*\}/g
+
+/**
+ * Actions the steps of a pipeline can run, by name: the `required` and
+ * `optional` parameters of each (`files` being paths of local files,
+ * relative to the spec), the `outputs` it passes to the next steps,
+ * and how it calls the client
+ */
+export const PIPELINE_ACTIONS = {
+  uploadRaster: {
+    required: ['file'],
+    optional: ['name', 'folderId'],
+    files: ['file'],
+    outputs: ['rasterId'],
+    run: async (client, {file, name, folderId}, options) => ({
+      rasterId: await client.uploadRaster(file, name || '', folderId || '', options)
+    })
+  },
+  setDetectionArea: {
+    required: ['raster', 'file'],
+    files: ['file'],
+    outputs: ['rasterId'],
+    run: async (client, {raster, file}, options) => {
+      await client.setRasterDetectionAreaFromFile(file, raster, options)
+      return {rasterId: raster}
+    }
+  },
+  createDetector: {
+    optional: Object.keys(DETECTOR_SCHEMA),
+    outputs: ['detectorId'],
+    run: async (client, settings) => ({detectorId: await client.createDetector(settings)})
+  },
+  addRasterToDetector: {
+    required: ['raster', 'detector'],
+    outputs: ['rasterId', 'detectorId'],
+    run: async (client, {raster, detector}) => {
+      await client.addRasterToDetector(raster, detector)
+      return {rasterId: raster, detectorId: detector}
+    }
+  },
+  setAnnotations: {
+    required: ['detector', 'raster', 'type', 'file'],
+    files: ['file'],
+    outputs: [],
+    run: async (client, {detector, raster, type, file}, options) => {
+      await client.setAnnotations(detector, raster, type, file, options)
+      return {}
+    }
+  },
+  trainDetector: {
+    required: ['detector'],
+    outputs: ['detectorId', 'metrics'],
+    run: async (client, {detector}, options) => {
+      const results = await client.trainDetector(detector, options)
+      return {detectorId: detector, metrics: results ? results.metrics : null}
+    }
+  },
+  runDetector: {
+    required: ['detector', 'raster'],
+    outputs: ['operationId'],
+    run: async (client, {detector, raster}, options) => ({
+      operationId: await client.runDetector(detector, raster, options)
+    })
+  },
+  downloadResults: {
+    required: ['operation', 'file'],
+    optional: ['format'],
+    files: ['file'],
+    outputs: ['file'],
+    run: async (client, {operation, file, format}) => {
+      await client.downloadResultToFile(operation, file, {format: format || formatOfFile(file) || 'geojson'})
+      return {file}
+    }
+  }
+}
+
+/**
+ * References to other steps or to environment variables in a value
+ * @returns {[[String]]} The paths of the references, e.g. ["steps", "raster", "rasterId"]
+ */
+function referencesOf (value) {
+  if (typeof value === 'string') {
+    return [...value.matchAll(REFERENCE)].map(match => match[1].split('.'))
+  }
+  if (value && typeof value === 'object') {
+    return [].concat(...Object.values(value).map(referencesOf))
+  }
+  return []
+}
+
+/**
+ * Lists the problems of a step
+ */
+function stepProblems (step, index, previous) {
+  const where = `step ${step && step.id ? step.id : index + 1}`
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    return [`${where}: expected an object`]
+  }
+  const action = PIPELINE_ACTIONS[step.action]
+  if (!action) {
+    return [`${where}: invalid action ${step.action}; allowed values: ${Object.keys(PIPELINE_ACTIONS).join(', ')}`]
+  }
+  const problems = []
+  const params = step.with || {}
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return [`${where}: "with" must be an object`]
+  }
+  for (const name of Object.keys(step)) {
+    if (!['id', 'action', 'with'].includes(name)) {
+      problems.push(`${where}: unknown field ${name}`)
+    }
+  }
+  const allowed = (action.required || []).concat(action.optional || [])
+  for (const name of Object.keys(params)) {
+    if (!allowed.includes(name)) {
+      problems.push(`${where}: unknown parameter ${name} of ${step.action}; allowed values: ${allowed.join(', ')}`)
+    }
+  }
+  for (const name of action.required || []) {
+    if (params[name] === undefined || params[name] === null || params[name] === '') {
+      problems.push(`${where}: missing parameter ${name} of ${step.action}`)
+    }
+  }
+  for (const path of referencesOf(params)) {
+    const [scope, id, output] = path
+    if (scope === 'env' && path.length === 2) {
+      continue
+    }
+    const source = scope === 'steps' && path.length === 3 && previous.get(id)
+    if (!source) {
+      problems.push(`${where}: invalid reference \${${path.join('.')}}; expected \${steps.<id>.<output>} of a previous step, or \${env.<NAME>}`)
+    } else if (!PIPELINE_ACTIONS[source.action].outputs.includes(output)) {
+      problems.push(`${where}: step ${id} (${source.action}) has no output ${output}`)
+    }
+  }
+  return problems
+}
+
+/**
+ * @summary Loads and checks a pipeline spec
+ * @description A spec has a `name`, an optional `stateFile` and a list of
+ * `steps`, each with an `action` (one of `PIPELINE_ACTIONS`), an `id`
+ * (defaults to "step<N>") and the parameters of the action, `with`. Their
+ * values may refer to the outputs of previous steps, as in
+ * `${steps.raster.rasterId}`, or to environment variables, as in `${env.FOLDER_ID}`.
+ * @param {Object|String} spec The spec, or the path of a JSON or YAML file (Node only)
+ * @returns {Object} The spec, the ids of the steps being set and `baseDir`
+ *   being the directory relative paths are resolved from (the one of the file,
+ *   or else the current one)
+ * @throws {ValidationError} If the spec is invalid
+ */
+export function loadPipeline (spec) {
+  const path = require('path')
+  let baseDir = process.cwd()
+  if (typeof spec === 'string') {
+    const fileName = spec
+    let text
+    try {
+      text = require('fs').readFileSync(fileName, 'utf8')
+    } catch (err) {
+      throw new ValidationError(`Cannot read pipeline ${fileName}: ${err.message}`)
+    }
+    try {
+      // YAML being a superset of JSON, only .json files are parsed as strict JSON
+      spec = /\.json$/i.test(fileName) ? JSON.parse(text) : require('js-yaml').safeLoad(text)
+    } catch (err) {
+      throw new ValidationError(`Invalid pipeline ${fileName}: ${err.message}`)
+    }
+    baseDir = path.dirname(path.resolve(fileName))
+  } else if (spec && spec.baseDir) {
+    baseDir = spec.baseDir
+  }
+  if (!spec || typeof spec !== 'object' || !Array.isArray(spec.steps) || !spec.steps.length) {
+    throw new ValidationError('Invalid pipeline: expected an object with a non-empty "steps" array.')
+  }
+  const steps = spec.steps.map((step, index) => step && typeof step === 'object' && !step.id
+    ? Object.assign({id: `step${index + 1}`}, step)
+    : step)
+  const problems = []
+  const previous = new Map()
+  steps.forEach((step, index) => {
+    problems.push(...stepProblems(step, index, previous))
+    if (step && step.id) {
+      if (previous.has(step.id)) {
+        problems.push(`step ${step.id}: duplicate id`)
+      }
+      previous.set(step.id, step)
+    }
+  })
+  if (problems.length) {
+    const listed = problems.slice(0, MAX_LISTED_PROBLEMS)
+    const more = problems.length > MAX_LISTED_PROBLEMS ? `; and ${problems.length - MAX_LISTED_PROBLEMS} more` : ''
+    throw new ValidationError(`Invalid pipeline: ${listed.join('; ')}${more}.`, '', {data: {errors: problems}})
+  }
+  return Object.assign({}, spec, {name: spec.name || '', steps, baseDir})
+}
+
+/**
+ * Replaces the references in the parameters of a step
+ */
+function resolveParams (value, outputs, env) {
+  if (typeof value === 'string') {
+    const lookup = ([scope, id, output]) => scope === 'env' ? env[id] : outputs[id][output]
+    const whole = value.match(/^\$\{\s*([^}]*?)\s*\}$/)
+    if (whole) {
+      // A value which is a single reference keeps the type of what it refers to
+      return lookup(whole[1].split('.'))
+    }
+    return value.replace(REFERENCE, (match, path) => {
+      const resolved = lookup(path.split('.'))
+      return resolved === undefined || resolved === null ? '' : String(resolved)
+    })
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => resolveParams(v, outputs, env))
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveParams(v, outputs, env)]))
+  }
+  return value
+}
+
+function readState (stateFile) {
+  let state
+  try {
+    state = JSON.parse(require('fs').readFileSync(stateFile, 'utf8'))
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {version: STATE_VERSION, steps: {}}
+    }
+    throw new ValidationError(`Cannot read pipeline state ${stateFile}: ${err.message}`)
+  }
+  if (!state || state.version !== STATE_VERSION || typeof state.steps !== 'object') {
+    throw new ValidationError(`Invalid pipeline state ${stateFile}: expected version ${STATE_VERSION}.`)
+  }
+  return state
+}
+
+/**
+ * Writes the state file atomically, so that an interruption never leaves it half-written
+ */
+function writeState (stateFile, state) {
+  const fs = require('fs')
+  const temporary = `${stateFile}.${process.pid}.tmp`
+  fs.writeFileSync(temporary, JSON.stringify(state, null, 2) + '\n')
+  fs.renameSync(temporary, stateFile)
+}
+
+/**
+ * Identifies the action and the resolved parameters of a step, to know
+ * whether the completed step recorded in the state is still the same
+ */
+function fingerprint (action, params) {
+  return require('crypto').createHash('sha256').update(JSON.stringify([action, params])).digest('hex')
+}
+
+/**
+ * @summary Runs a pipeline with a client
+ * @description Runs the steps in order, stopping at the first failure. The
+ * completed steps are recorded in the state file, if any, after each step:
+ * a rerun skips them, reusing their outputs, up to the first step which
+ * failed or whose action or parameters changed, from which it runs all the
+ * steps.
+ * @param {APIClient} client
+ * @param {Object|String} spec The spec (see `loadPipeline`), or the path of its file
+ * @param {Object} options
+ * @param {String} options.stateFile Path of the state file, relative to the
+ *   current directory, defaults to the `stateFile` of the spec (relative to the
+ *   spec file); no checkpointing without one
+ * @param {Boolean} options.force Whether to run every step, ignoring the state
+ * @param {Object} options.env Values of the `${env.<NAME>}` references,
+ *   defaults to the environment variables
+ * @param {Function} options.onStep Called with the report of each step when it
+ *   starts ("running") and ends ("success", "skipped", "failed")
+ * @param {Number} options.timeout Max number of seconds to wait for each operation,
+ *   defaults to the client one
+ * @param {AbortSignal} options.signal Signal that aborts the requests and the polling
+ * @param {Function} options.onPoll Called with the `/operations/` payload after every poll
+ * @returns {Promise<Object>} The run report, `{name, status, startedAt,
+ *   finishedAt, duration, stateFile, steps, error}`, status being "success" or
+ *   "failed", `steps` listing `{id, action, status, outputs, error, duration}`
+ *   in order, status being one of "success", "skipped" (completed by a
+ *   previous run), "failed", "pending" (not run because of a failure), and
+ *   `error` being the error of the failed step
+ * @throws {ValidationError} If the spec or the state file is invalid
+ */
+export async function runPipeline (client, spec, options = {}) {
+  const path = require('path')
+  const pipeline = loadPipeline(spec)
+  const {onStep, force = false, env = process.env} = options
+  // As any path given by the caller, `options.stateFile` is relative to the
+  // current directory, and the `stateFile` of the spec to the spec file
+  const stateFile = options.stateFile
+    ? path.resolve(options.stateFile)
+    : pipeline.stateFile ? path.resolve(pipeline.baseDir, pipeline.stateFile) : null
+  const state = stateFile && !force ? readState(stateFile) : {version: STATE_VERSION, steps: {}}
+  state.name = pipeline.name
+  const callOptions = {timeout: options.timeout, signal: options.signal, onPoll: options.onPoll}
+  const startedAt = new Date()
+  const report = {
+    name: pipeline.name,
+    status: 'success',
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    duration: null,
+    stateFile,
+    steps: pipeline.steps.map(({id, action}) => ({id, action, status: 'pending', outputs: null, error: null, duration: null})),
+    error: null
+  }
+  const outputs = {}
+  let resuming = true
+  for (const [index, step] of pipeline.steps.entries()) {
+    const stepReport = report.steps[index]
+    const action = PIPELINE_ACTIONS[step.action]
+    const params = resolveParams(step.with || {}, outputs, env)
+    for (const name of action.files || []) {
+      if (typeof params[name] === 'string') {
+        params[name] = path.resolve(pipeline.baseDir, params[name])
+      }
+    }
+    const missing = (action.required || []).filter(name => params[name] === undefined || params[name] === null || params[name] === '')
+    const key = fingerprint(step.action, params)
+    const previous = state.steps[step.id]
+    // Once a step runs, the next ones run too, as they may depend on its side effects
+    resuming = resuming && previous && previous.status === 'success' && previous.fingerprint === key
+    if (resuming) {
+      stepReport.status = 'skipped'
+      stepReport.outputs = previous.outputs
+      outputs[step.id] = previous.outputs
+      if (onStep) {
+        onStep(Object.assign({}, stepReport))
+      }
+      continue
+    }
+    stepReport.status = 'running'
+    if (onStep) {
+      onStep(Object.assign({}, stepReport))
+    }
+    const stepStart = Date.now()
+    try {
+      if (missing.length) {
+        throw new ValidationError(`Step ${step.id}: no value for ${missing.join(', ')}, check the references of its parameters.`)
+      }
+      stepReport.outputs = await action.run(client, params, callOptions)
+      stepReport.status = 'success'
+      outputs[step.id] = stepReport.outputs
+      state.steps[step.id] = {status: 'success', fingerprint: key, outputs: stepReport.outputs, finishedAt: new Date().toISOString()}
+    } catch (err) {
+      stepReport.status = 'failed'
+      stepReport.error = err
+      report.status = 'failed'
+      report.error = err
+      state.steps[step.id] = {status: 'failed', fingerprint: key, error: err.message, finishedAt: new Date().toISOString()}
+    }
+    stepReport.duration = (Date.now() - stepStart) / 1000
+    if (stateFile) {
+      writeState(stateFile, state)
+    }
+    if (onStep) {
+      onStep(Object.assign({}, stepReport))
+    }
+    if (report.error) {
+      break
+    }
+  }
+  const finishedAt = new Date()
+  report.finishedAt = finishedAt.toISOString()
+  report.duration = (finishedAt - startedAt) / 1000
+  return report
+}
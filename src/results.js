@@ -0,0 +1,108 @@
+/**
+ * @file Incremental parsing of detection results, so that huge
+ * FeatureCollections never need to be held in memory as a whole
+ */
+
+/**
+ * Iterates over the chunks of a response body, be it a Node Readable or a
+ * WHATWG ReadableStream
+ */
+async function * iterateChunks (body) {
+  if (body[Symbol.asyncIterator]) {
+    yield * body
+    return
+  }
+  const reader = body.getReader()
+  try {
+    while (true) {
+      const {done, value} = await reader.read()
+      if (done) {
+        return
+      }
+      yield value
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+/**
+ * Parses the features of a GeoJSON FeatureCollection as its text streams in,
+ * yielding each one as soon as it is complete
+ * @param {Readable|ReadableStream} body Stream of the FeatureCollection JSON
+ * @returns {AsyncGenerator<Object>} The parsed features
+ * @throws {SyntaxError} If a feature is not valid JSON
+ */
+export async function * parseFeatures (body) {
+  const decoder = new TextDecoder()
+  // Nesting level of objects and arrays, the FeatureCollection being level 1
+  let depth = 0
+  let inString = false
+  let escaped = false
+  // Top-level member names, to spot the "features" one
+  let expectKey = false
+  let key = null
+  let lastKey = null
+  let inFeatures = false
+  // Text of the feature being read, null between features
+  let feature = null
+  for await (const chunk of iterateChunks(body)) {
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, {stream: true})
+    let featureStart = feature !== null ? 0 : -1
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i]
+      if (inString) {
+        if (escaped) {
+          escaped = false
+        } else if (c === '\\') {
+          escaped = true
+        } else if (c === '"') {
+          inString = false
+          if (key !== null) {
+            lastKey = JSON.parse(`"${key}"`)
+            key = null
+          }
+          continue
+        }
+        if (key !== null) {
+          key += c
+        }
+        continue
+      }
+      if (c === '"') {
+        inString = true
+        if (depth === 1 && expectKey) {
+          key = ''
+        }
+      } else if (c === '{' || c === '[') {
+        depth++
+        if (depth === 1) {
+          expectKey = true
+        } else if (depth === 2 && c === '[' && lastKey === 'features') {
+          inFeatures = true
+        } else if (depth === 3 && inFeatures) {
+          feature = ''
+          featureStart = i
+        }
+      } else if (c === '}' || c === ']') {
+        depth--
+        if (depth === 2 && feature !== null) {
+          yield JSON.parse(feature + text.slice(featureStart, i + 1))
+          feature = null
+          featureStart = -1
+        } else if (depth === 1) {
+          inFeatures = false
+        }
+      } else if (depth === 1) {
+        if (c === ',') {
+          expectKey = true
+        } else if (c === ':') {
+          expectKey = false
+        }
+      }
+    }
+    if (feature !== null) {
+      feature += text.slice(featureStart)
+    }
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * @file Retry policies for the requests sent to the API and to the blobstore
+ */
+import {ValidationError} from './errors'
+
+/**
+ * Default policy: idempotent requests are retried up to 5 times in total on
+ * rate limiting, gateway errors and connection failures, waiting 1s, 2s, 4s...
+ * (at most 30s) between attempts, minus up to 50% of random jitter
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 5,
+  baseDelay: 1,
+  maxDelay: 30,
+  jitter: 0.5,
+  respectRetryAfter: true,
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  statusCodes: [429, 502, 503, 504],
+  errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']
+}
+
+/**
+ * Builds a complete retry policy out of a partial one
+ * @param {Object|Boolean} options Overrides for the default policy, or `false`
+ *   to never retry
+ * @param {Number} options.maxAttempts Max number of attempts, the first included
+ * @param {Number} options.baseDelay Seconds to wait before the first retry,
+ *   doubled at every further one
+ * @param {Number} options.maxDelay Max number of seconds to wait between attempts
+ * @param {Number} options.jitter Fraction of the delay (between 0 and 1) that is randomized
+ * @param {Boolean} options.respectRetryAfter Whether to wait as long as the
+ *   `Retry-After` response header says, when present
+ * @param {[String]} options.methods HTTP methods that can be safely retried
+ * @param {[Number]} options.statusCodes HTTP status codes that trigger a retry
+ * @param {[String]} options.errorCodes Network error codes that trigger a retry
+ * @returns {Object} The retry policy
+ * @throws {ValidationError} If an option is invalid
+ */
+export function createRetryPolicy (options = {}) {
+  if (options === false) {
+    return Object.assign({}, DEFAULT_RETRY_POLICY, {maxAttempts: 1})
+  }
+  const policy = Object.assign({}, DEFAULT_RETRY_POLICY, options)
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new ValidationError(`Invalid retry maxAttempts ${policy.maxAttempts}; must be a positive integer.`)
+  }
+  if (policy.jitter < 0 || policy.jitter > 1) {
+    throw new ValidationError(`Invalid retry jitter ${policy.jitter}; must be between 0 and 1.`)
+  }
+  policy.methods = policy.methods.map(m => m.toUpperCase())
+  return policy
+}
+
+/**
+ * Whether an error thrown by fetch comes from a transient network failure
+ * @param {Object} policy Retry policy
+ * @param {Error} err Error thrown by fetch
+ */
+export function isRetryableError (policy, err) {
+  if (err.code && policy.errorCodes.includes(err.code)) {
+    return true
+  }
+  // Browsers only report a TypeError on network failures
+  return typeof window !== 'undefined' && err instanceof TypeError
+}
+
+/**
+ * Parses the value of a `Retry-After` header
+ * @param {String} value Either a number of seconds or an HTTP date
+ * @returns {Number} Seconds to wait, null if the header is missing or malformed
+ */
+export function parseRetryAfter (value) {
+  if (!value) {
+    return null
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10)
+  }
+  const date = Date.parse(value)
+  if (isNaN(date)) {
+    return null
+  }
+  return Math.max((date - Date.now()) / 1000, 0)
+}
+
+/**
+ * Computes how long to wait before the next attempt
+ * @param {Object} policy Retry policy
+ * @param {Number} attempt Number of attempts made so far
+ * @param {Number} retryAfter Seconds the server asked to wait, if any
+ * @returns {Number} Seconds to wait
+ */
+export function computeRetryDelay (policy, attempt, retryAfter = null) {
+  const backoff = Math.min(policy.baseDelay * 2 ** (attempt - 1), policy.maxDelay)
+  const delay = backoff * (1 - policy.jitter * Math.random())
+  if (policy.respectRetryAfter && retryAfter !== null) {
+    return Math.max(retryAfter, delay)
+  }
+  return delay
+}
@@ -0,0 +1,76 @@
+/**
+ * @file Summary statistics of detection results, computed client-side
+ */
+import {polygonsOf, polygonArea, polygonsBbox, polygonsCentroid, pointInPolygon} from './geo'
+import {ValidationError} from './errors'
+
+/**
+ * Lists the polygons of a detection area, along with the properties of the
+ * feature each one comes from
+ * @param {Object} detectionArea GeoJSON FeatureCollection, Feature or geometry
+ * @returns {[Object]} `{polygon, properties}` objects
+ */
+function detectionAreaPolygons (detectionArea) {
+  const features = detectionArea.type === 'FeatureCollection'
+    ? detectionArea.features
+    : [detectionArea]
+  const polygons = []
+  for (const feature of features) {
+    const properties = feature.type === 'Feature' ? (feature.properties || {}) : {}
+    for (const polygon of polygonsOf(feature)) {
+      polygons.push({polygon, properties})
+    }
+  }
+  return polygons
+}
+
+/**
+ * @summary Computes summary statistics of detection results
+ * @description Areas are geodesic, computed on a sphere with the WGS84
+ * equatorial radius; objects are assigned to the detection area polygon
+ * containing their centroid. Both "polygon" and "bbox" outputs are handled.
+ * @param {Object} featureCollection GeoJSON FeatureCollection of the detected objects
+ * @param {Object} options
+ * @param {Object} options.detectionArea GeoJSON of the detection area, to
+ *   count the objects in each of its polygons
+ * @returns {Object} `{count, totalArea, meanArea, extent}` with areas in
+ *   square meters and the extent as [minLon, minLat, maxLon, maxLat] (null
+ *   when there are no objects), plus `detectionAreas` when a detection area
+ *   is given: a list of `{index, properties, area, count}`, one per polygon
+ * @throws {ValidationError} If the results are not a FeatureCollection
+ */
+export function summarizeResults (featureCollection, options = {}) {
+  if (!featureCollection || featureCollection.type !== 'FeatureCollection' || !Array.isArray(featureCollection.features)) {
+    throw new ValidationError('Results must be a GeoJSON FeatureCollection.')
+  }
+  const areas = detectionAreaPolygons(options.detectionArea || {type: 'FeatureCollection', features: []})
+    .map(({polygon, properties}, index) => ({index, properties, area: polygonArea(polygon), count: 0, polygon}))
+  let count = 0
+  let totalArea = 0
+  const allPolygons = []
+  for (const feature of featureCollection.features) {
+    const polygons = polygonsOf(feature)
+    if (!polygons.length) {
+      continue
+    }
+    count++
+    allPolygons.push(...polygons)
+    totalArea += polygons.reduce((total, polygon) => total + polygonArea(polygon), 0)
+    // Objects are assigned by the centroid of their largest part
+    const centroid = polygonsCentroid(polygons)
+    const container = areas.find(a => pointInPolygon(centroid, a.polygon))
+    if (container) {
+      container.count++
+    }
+  }
+  const summary = {
+    count,
+    totalArea,
+    meanArea: count ? totalArea / count : 0,
+    extent: polygonsBbox(allPolygons)
+  }
+  if (options.detectionArea) {
+    summary.detectionAreas = areas.map(({index, properties, area, count}) => ({index, properties, area, count}))
+  }
+  return summary
+}
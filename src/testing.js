@@ -0,0 +1,728 @@
+/**
+ * @file In-process fake of the Picterra API and its blobstore, with in-memory
+ * state, to test code built on the client without network access nor mocks
+ * of every request; exposed as `picterra/testing` (Node only)
+ */
+import APIClient from './Client'
+import {DETECTOR_SCHEMA, settingProblem} from './detectors'
+import {SIGNATURE_HEADER, signWebhook} from './webhooks'
+
+const API_PATH = '/public/api/v2'
+const BLOBSTORE_PATH = '/blobstore/'
+const DEFAULT_PAGE_SIZE = 50
+const ANNOTATION_TYPES = ['outline', 'training_area', 'testing_area', 'validation_area']
+
+/**
+ * Random RFC 4122 version 4 UUID, like the ids of the API
+ */
+function uuid () {
+  const bytes = require('crypto').randomBytes(16)
+  bytes[6] = (bytes[6] & 0x0f) | 0x40
+  bytes[8] = (bytes[8] & 0x3f) | 0x80
+  const hex = bytes.toString('hex')
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-')
+}
+
+function isFeatureCollection (geojson) {
+  return Boolean(geojson) && geojson.type === 'FeatureCollection' && Array.isArray(geojson.features)
+}
+
+/**
+ * Error replied by a handler, with the status and JSON body of the response
+ */
+class HttpError extends Error {
+  constructor (status, body) {
+    super(`HTTP ${status}`)
+    this.status = status
+    this.body = body
+  }
+}
+const notFound = () => new HttpError(404, {detail: 'Not found.'})
+const badRequest = body => new HttpError(400, typeof body === 'string' ? {detail: body} : body)
+
+/**
+ * Whether a request matches the `method` and `path` of a failure rule
+ */
+function matches (rule, method, path) {
+  if (rule.method && rule.method.toUpperCase() !== method) {
+    return false
+  }
+  if (rule.path instanceof RegExp) {
+    return rule.path.test(path)
+  }
+  return !rule.path || rule.path === path
+}
+
+/**
+ * A fake Picterra server, listening on a local port once started.
+ *
+ * It implements the endpoints used by `APIClient` (rasters, folders,
+ * detectors, training rasters, annotations, detection areas, detections,
+ * operations) and a blobstore supporting single and resumable chunked
+ * uploads. Operations stay "running" for `operationLatency` seconds, and
+ * failures can be injected at the HTTP level or in operations. With the
+ * `webhook` option, the server also POSTs signed callbacks when operations
+ * end, as Picterra does.
+ *
+ * @example
+ * const {FakeServer} = require('picterra/testing')
+ * const server = new FakeServer({operationLatency: 0.2})
+ * await server.start()
+ * const client = server.createClient()
+ * const rasterId = await client.uploadRaster(Buffer.from('raster data'), 'my raster')
+ * await server.stop()
+ */
+export class FakeServer {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {String} options.apiKey API key accepted by the server, defaults to "fake-api-key"
+   * @param {Number} options.operationLatency Seconds during which operations
+   *   stay "running", defaults to 0
+   * @param {Number} options.pollInterval Poll interval in seconds returned to
+   *   the client, defaults to 0.05
+   * @param {Number} options.pageSize Default page size of the list endpoints
+   * @param {Function} options.detect Called with `(detector, raster,
+   *   detectionArea)` when a detection succeeds, the detection area being
+   *   the FeatureCollection set for the raster or null, returning the GeoJSON
+   *   FeatureCollection of the detected objects; defaults to no objects
+   * @param {Function} options.evaluate Called with `(detector, validationAreas)`
+   *   when a training succeeds, the validation areas being the GeoJSON
+   *   FeatureCollections of the training rasters having some, returning the
+   *   metrics of the training as `{accuracy, precision, recall, f_score}`;
+   *   defaults to perfect scores when there are validation areas, and no
+   *   metrics otherwise
+   * @param {Object} options.webhook `{url, secret}` of the webhook to call when
+   *   operations end, see `WebhookReceiver`; can be changed with the `webhook` property
+   */
+  constructor (options = {}) {
+    this.apiKey = options.apiKey || 'fake-api-key'
+    this.operationLatency = options.operationLatency || 0
+    this.pollInterval = options.pollInterval === undefined ? 0.05 : options.pollInterval
+    this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE
+    this.detect = options.detect || (() => ({type: 'FeatureCollection', features: []}))
+    this.evaluate = options.evaluate || ((detector, validationAreas) => validationAreas.length
+      ? {accuracy: 1, precision: 1, recall: 1, f_score: 1}
+      : null)
+    // In-memory state, by id; annotations are by detector id, then raster id, then type
+    this.state = {
+      rasters: new Map(),
+      folders: new Map(),
+      detectors: new Map(),
+      operations: new Map(),
+      blobs: new Map(),
+      uploads: new Map()
+    }
+    this.webhook = options.webhook || null
+    // Every request received, as `{method, path}`
+    this.requests = []
+    // Every webhook call, as `{operationId, status, responseStatus}`, or `error` instead of the response status
+    this.webhookCalls = []
+    this._timers = new Set()
+    this._webhookDeliveries = new Set()
+    this._failures = []
+    this._operationFailures = []
+    this._server = null
+    this._origin = null
+    this._routes = this._buildRoutes()
+  }
+  /**
+   * URL of the fake API, to be passed to the client as `baseUrl`
+   * @throws {Error} If the server is not started
+   */
+  get baseUrl () {
+    if (!this._origin) {
+      throw new Error('The fake server is not started.')
+    }
+    return this._origin + API_PATH
+  }
+  /**
+   * @async
+   * @summary Starts listening on a free local port
+   * @returns {Promise<FakeServer>} The server itself
+   */
+  async start () {
+    const http = require('http')
+    this._server = http.createServer((req, res) => this._handle(req, res))
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject)
+      this._server.listen(0, '127.0.0.1', resolve)
+    })
+    this._origin = `http://127.0.0.1:${this._server.address().port}`
+    return this
+  }
+  /**
+   * @async
+   * @summary Stops listening, closing the open connections
+   */
+  async stop () {
+    for (const timer of this._timers) {
+      clearTimeout(timer)
+    }
+    this._timers.clear()
+    await Promise.all([...this._webhookDeliveries])
+    if (!this._server) {
+      return
+    }
+    const server = this._server
+    this._server = null
+    this._origin = null
+    if (server.closeAllConnections) {
+      server.closeAllConnections()
+    }
+    await new Promise(resolve => server.close(() => resolve()))
+  }
+  /**
+   * Creates a client talking to this server
+   * @param {Object} options Same as the `APIClient` ones, except for the API
+   *   key and base URL which are the server ones
+   * @returns {APIClient}
+   */
+  createClient (options = {}) {
+    return new APIClient(Object.assign({}, options, {apiKey: this.apiKey, baseUrl: this.baseUrl}))
+  }
+  /**
+   * @summary Makes the next matching requests fail
+   * @param {Object} failure
+   * @param {String} failure.method Only requests with this HTTP method
+   * @param {String|RegExp} failure.path Only requests with this path, relative
+   *   to the API root (e.g. "/rasters/upload/file/") or starting with
+   *   "/blobstore/" for the blobstore; all paths if unset
+   * @param {Number} failure.status Status code of the reply, defaults to 500
+   * @param {Object} failure.body JSON body of the reply
+   * @param {Object} failure.headers Headers of the reply, e.g. `{'Retry-After': '1'}`
+   * @param {Boolean} failure.reset Whether to close the connection without
+   *   reply instead, which the client sees as a network error
+   * @param {Number} failure.times Number of requests to fail, defaults to 1
+   */
+  injectFailure (failure) {
+    this._failures.push(Object.assign({status: 500, body: {detail: 'Injected failure'}, times: 1}, failure))
+  }
+  /**
+   * @summary Makes the next operations of a type fail
+   * @param {Object} failure
+   * @param {String} failure.type One of "raster_upload", "detection_areas_upload",
+   *   "annotations_upload", "training", "detector_prediction"; all types if unset
+   * @param {String} failure.error Reason of the failure
+   * @param {Number} failure.times Number of operations to fail, defaults to 1
+   */
+  injectOperationFailure (failure = {}) {
+    this._operationFailures.push(Object.assign({error: 'Injected failure', times: 1}, failure))
+  }
+  /**
+   * Removes the failures not triggered yet
+   */
+  clearFailures () {
+    this._failures = []
+    this._operationFailures = []
+  }
+  // Request handling
+
+  async _handle (req, res) {
+    const url = new URL(req.url, this._origin)
+    const method = req.method.toUpperCase()
+    const fullPath = url.pathname.replace(/\/{2,}/g, '/')
+    const path = fullPath.startsWith(API_PATH) ? fullPath.slice(API_PATH.length) : fullPath
+    this.requests.push({method, path})
+    const failure = this._failures.find(f => f.times > 0 && matches(f, method, path))
+    if (failure) {
+      failure.times--
+      if (failure.reset) {
+        req.socket.destroy()
+        return
+      }
+      return this._reply(res, failure.status, failure.body, failure.headers)
+    }
+    try {
+      const body = await new Promise((resolve, reject) => {
+        const chunks = []
+        req.on('data', chunk => chunks.push(chunk))
+        req.on('end', () => resolve(Buffer.concat(chunks)))
+        req.on('error', reject)
+      })
+      if (path.startsWith(BLOBSTORE_PATH)) {
+        return this._handleBlob(req, res, method, path.slice(BLOBSTORE_PATH.length), body)
+      }
+      if (!fullPath.startsWith(API_PATH)) {
+        throw notFound()
+      }
+      if (req.headers['x-api-key'] !== this.apiKey) {
+        throw new HttpError(401, {detail: 'Invalid API key.'})
+      }
+      this._settleOperations()
+      for (const [routeMethod, pattern, handler] of this._routes) {
+        const match = routeMethod === method && pattern.exec(path)
+        if (match) {
+          let json = null
+          if (body.length) {
+            try {
+              json = JSON.parse(body.toString('utf8'))
+            } catch (err) {
+              throw badRequest('JSON parse error.')
+            }
+          }
+          const [status, data] = handler(match.slice(1), json || {}, url.searchParams)
+          return this._reply(res, status, data)
+        }
+      }
+      throw notFound()
+    } catch (err) {
+      if (err instanceof HttpError) {
+        return this._reply(res, err.status, err.body)
+      }
+      return this._reply(res, 500, {detail: err.message})
+    }
+  }
+  _reply (res, status, data, headers = {}) {
+    const body = data === null || data === undefined ? '' : JSON.stringify(data)
+    res.writeHead(status, Object.assign(body ? {'Content-Type': 'application/json'} : {}, headers))
+    res.end(body)
+  }
+  /**
+   * Blobstore: GET downloads, PUT uploads either the whole data or a
+   * `Content-Range` chunk, replying 308 with the persisted `Range` until complete
+   */
+  _handleBlob (req, res, method, blobId, body) {
+    const blob = this.state.blobs.get(blobId)
+    if (!blob) {
+      return this._reply(res, 404, {detail: 'No such blob.'})
+    }
+    if (method === 'GET') {
+      res.writeHead(200, {'Content-Type': blob.contentType, 'Content-Length': String(blob.data.length)})
+      return res.end(blob.data)
+    }
+    if (method !== 'PUT') {
+      return this._reply(res, 405, {detail: 'Method not allowed.'})
+    }
+    const range = /^bytes (?:(\d+)-(\d+)|\*)\/(\d+)$/.exec(req.headers['content-range'] || '')
+    if (!range) {
+      blob.data = body
+      blob.complete = true
+      return this._reply(res, 200)
+    }
+    const total = parseInt(range[3], 10)
+    if (range[1] !== undefined) {
+      const start = parseInt(range[1], 10)
+      if (start !== blob.data.length) {
+        return this._reply(res, 400, {detail: `Expected a chunk starting at byte ${blob.data.length}.`})
+      }
+      blob.data = Buffer.concat([blob.data, body])
+    }
+    if (blob.data.length >= total) {
+      blob.complete = true
+      return this._reply(res, 200)
+    }
+    const headers = blob.data.length ? {Range: `bytes=0-${blob.data.length - 1}`} : {}
+    return this._reply(res, 308, null, headers)
+  }
+  // State helpers
+
+  _createBlob (data = Buffer.alloc(0), contentType = 'application/octet-stream') {
+    const id = uuid()
+    this.state.blobs.set(id, {data, contentType, complete: data.length > 0})
+    return id
+  }
+  _blobUrl (blobId, signed = true) {
+    return `${this._origin}${BLOBSTORE_PATH}${blobId}${signed ? '?signature=fake-signature' : ''}`
+  }
+  _blobJSON (blobId) {
+    const blob = this.state.blobs.get(blobId)
+    if (!blob || !blob.complete) {
+      return undefined
+    }
+    try {
+      return JSON.parse(blob.data.toString('utf8'))
+    } catch (err) {
+      return undefined
+    }
+  }
+  _jsonBlobUrl (value) {
+    return this._blobUrl(this._createBlob(Buffer.from(JSON.stringify(value)), 'application/json'), false)
+  }
+  /**
+   * Creates an operation, which runs `work` once its latency has passed: it
+   * succeeds with the value `work` returns, and fails if it throws
+   */
+  _createOperation (type, work) {
+    const id = uuid()
+    const operation = {
+      id,
+      type,
+      status: 'running',
+      created_at: new Date().toISOString(),
+      readyAt: Date.now() + this.operationLatency * 1000,
+      work
+    }
+    this.state.operations.set(id, operation)
+    if (this.webhook) {
+      // Settle it without waiting for a poll, to call the webhook; timers may
+      // fire a little before `readyAt`, hence no check of it
+      const timer = setTimeout(() => {
+        this._timers.delete(timer)
+        this._settleOperation(operation)
+      }, this.operationLatency * 1000)
+      this._timers.add(timer)
+    }
+    return [201, {operation_id: id, poll_interval: this.pollInterval}]
+  }
+  _settleOperations () {
+    const now = Date.now()
+    for (const operation of this.state.operations.values()) {
+      if (operation.readyAt <= now) {
+        this._settleOperation(operation)
+      }
+    }
+  }
+  /**
+   * Runs the work of a running operation, then calls the webhook
+   */
+  _settleOperation (operation) {
+    if (operation.status !== 'running') {
+      return
+    }
+    const failure = this._operationFailures.find(f => f.times > 0 && (!f.type || f.type === operation.type))
+    try {
+      if (failure) {
+        failure.times--
+        throw new Error(failure.error)
+      }
+      const results = operation.work()
+      operation.status = 'success'
+      if (results !== undefined) {
+        operation.results = results
+      }
+    } catch (err) {
+      operation.status = 'failed'
+      operation.error = {message: err.message}
+    }
+    this._callWebhook(operation)
+  }
+  /**
+   * `/operations/` payload of an operation
+   */
+  _operationPayload ({id, type, status, results, error}) {
+    return Object.assign({id, type, status}, results ? {results} : {}, error ? {error} : {})
+  }
+  /**
+   * POSTs the payload of an ended operation to the webhook, if any
+   */
+  _callWebhook (operation) {
+    if (!this.webhook) {
+      return
+    }
+    const {url, secret} = this.webhook
+    const body = JSON.stringify(this._operationPayload(operation))
+    const call = {operationId: operation.id, status: operation.status}
+    const delivery = require('node-fetch')(url, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json', [SIGNATURE_HEADER]: signWebhook(body, secret)},
+      body
+    }).then(response => {
+      call.responseStatus = response.status
+      return response.text()
+    }, err => {
+      call.error = err.message
+    }).then(() => {
+      this.webhookCalls.push(call)
+      this._webhookDeliveries.delete(delivery)
+    })
+    this._webhookDeliveries.add(delivery)
+  }
+  _get (collection, id) {
+    const item = this.state[collection].get(id)
+    if (!item) {
+      throw notFound()
+    }
+    return item
+  }
+  _paginate (path, items, params) {
+    const pageNumber = parseInt(params.get('page_number') || '1', 10)
+    const pageSize = parseInt(params.get('page_size') || String(this.pageSize), 10)
+    const start = (pageNumber - 1) * pageSize
+    const page = items.slice(start, start + pageSize)
+    const link = n => `${this.baseUrl}${path}?page_number=${n}&page_size=${pageSize}`
+    return [200, {
+      count: items.length,
+      next: start + pageSize < items.length ? link(pageNumber + 1) : null,
+      previous: pageNumber > 1 ? link(pageNumber - 1) : null,
+      results: page,
+      page_size: pageSize
+    }]
+  }
+  _rasterPayload (raster) {
+    const payload = Object.assign({}, raster)
+    delete payload.uploadBlob
+    delete payload.detectionArea
+    return payload
+  }
+  _checkDetectorConfiguration (configuration, partial) {
+    const errors = {}
+    const specs = Object.values(DETECTOR_SCHEMA).filter(spec => spec.configuration)
+    for (const key of Object.keys(configuration)) {
+      if (!specs.some(spec => spec.key === key)) {
+        errors[key] = ['Unknown field.']
+      }
+    }
+    for (const spec of specs) {
+      const value = configuration[spec.key]
+      if (value === undefined) {
+        if (!partial && spec.default !== undefined) {
+          errors[spec.key] = ['This field is required.']
+        }
+        continue
+      }
+      const problem = settingProblem(spec, value)
+      if (problem) {
+        errors[spec.key] = [problem]
+      }
+    }
+    if (Object.keys(errors).length) {
+      throw badRequest({configuration: errors})
+    }
+  }
+  _trainingRaster (detectorId, rasterId) {
+    const detector = this._get('detectors', detectorId)
+    if (!detector.trainingRasters.has(rasterId)) {
+      throw notFound()
+    }
+    return detector.trainingRasters.get(rasterId)
+  }
+  _startUpload (onCommit) {
+    const uploadId = uuid()
+    const blobId = this._createBlob()
+    this.state.uploads.set(uploadId, {blobId, onCommit})
+    return [201, {upload_id: uploadId, upload_url: this._blobUrl(blobId)}]
+  }
+  _commitUpload (uploadId, type) {
+    const upload = this.state.uploads.get(uploadId)
+    if (!upload) {
+      throw notFound()
+    }
+    this.state.uploads.delete(uploadId)
+    const geojson = this._blobJSON(upload.blobId)
+    return this._createOperation(type, () => {
+      if (!isFeatureCollection(geojson)) {
+        throw new Error('The uploaded file is not a GeoJSON FeatureCollection.')
+      }
+      upload.onCommit(geojson)
+    })
+  }
+  // Routes: [method, path pattern, handler receiving the path parameters,
+  // the JSON body and the query parameters, returning [status, data]]
+
+  _buildRoutes () {
+    const id = '([0-9a-f-]+)'
+    const annotationType = `(${ANNOTATION_TYPES.join('|')})`
+    const route = (method, pattern, handler) => [method, new RegExp(`^${pattern}$`), handler.bind(this)]
+    return [
+      route('GET', `/operations/${id}/`, ([operationId]) => {
+        return [200, this._operationPayload(this._get('operations', operationId))]
+      }),
+      // Folders
+      route('GET', '/folders/', (params, body, query) => {
+        const search = (query.get('search') || '').toLowerCase()
+        const folders = [...this.state.folders.values()].filter(f => f.name.toLowerCase().includes(search))
+        return this._paginate('/folders/', folders, query)
+      }),
+      route('POST', '/folders/', (params, body) => {
+        if (!body.name) {
+          throw badRequest({name: ['This field is required.']})
+        }
+        const folder = {id: uuid(), name: body.name}
+        this.state.folders.set(folder.id, folder)
+        return [201, folder]
+      }),
+      // Rasters
+      route('POST', '/rasters/upload/file/', (params, body) => {
+        if (body.folder_id && !this.state.folders.has(body.folder_id)) {
+          throw badRequest({folder_id: ['Unknown folder.']})
+        }
+        const raster = {
+          id: uuid(),
+          name: body.name || 'raster',
+          status: 'pending',
+          folder_id: body.folder_id || null,
+          uploadBlob: this._createBlob(),
+          detectionArea: null
+        }
+        this.state.rasters.set(raster.id, raster)
+        return [201, {raster_id: raster.id, upload_url: this._blobUrl(raster.uploadBlob)}]
+      }),
+      route('POST', `/rasters/${id}/commit/`, ([rasterId]) => {
+        const raster = this._get('rasters', rasterId)
+        if (raster.status !== 'pending' || !this.state.blobs.get(raster.uploadBlob).complete) {
+          throw badRequest('The raster data has not been uploaded.')
+        }
+        raster.status = 'processing'
+        return this._createOperation('raster_upload', () => {
+          raster.status = 'ready'
+        })
+      }),
+      route('GET', '/rasters/', (params, body, query) => {
+        const search = (query.get('search') || '').toLowerCase()
+        const rasters = [...this.state.rasters.values()].filter(r =>
+          (!query.get('folder') || r.folder_id === query.get('folder')) &&
+          (!query.get('status') || r.status === query.get('status')) &&
+          r.name.toLowerCase().includes(search)
+        )
+        return this._paginate('/rasters/', rasters.map(r => this._rasterPayload(r)), query)
+      }),
+      route('GET', `/rasters/${id}/`, ([rasterId]) => [200, this._rasterPayload(this._get('rasters', rasterId))]),
+      route('PUT', `/rasters/${id}/`, ([rasterId], body) => {
+        const raster = this._get('rasters', rasterId)
+        if (body.folder_id && !this.state.folders.has(body.folder_id)) {
+          throw badRequest({folder_id: ['Unknown folder.']})
+        }
+        for (const field of ['name', 'folder_id', 'captured_at', 'identity_key', 'cloud_coverage', 'user_tag']) {
+          if (body[field] !== undefined) {
+            raster[field] = body[field]
+          }
+        }
+        return [200, this._rasterPayload(raster)]
+      }),
+      route('DELETE', `/rasters/${id}/`, ([rasterId]) => {
+        this._get('rasters', rasterId)
+        this.state.rasters.delete(rasterId)
+        for (const detector of this.state.detectors.values()) {
+          detector.trainingRasters.delete(rasterId)
+        }
+        return [204, null]
+      }),
+      route('POST', `/rasters/${id}/detection_areas/upload/file/`, ([rasterId]) => {
+        const raster = this._get('rasters', rasterId)
+        return this._startUpload(geojson => {
+          // An empty detection area removes it
+          raster.detectionArea = geojson.features && geojson.features.length ? geojson : null
+        })
+      }),
+      route('POST', `/rasters/${id}/detection_areas/upload/${id}/commit/`, ([rasterId, uploadId]) => {
+        this._get('rasters', rasterId)
+        return this._commitUpload(uploadId, 'detection_areas_upload')
+      }),
+      route('GET', `/rasters/${id}/detection_areas/download/`, ([rasterId]) => {
+        const {detectionArea} = this._get('rasters', rasterId)
+        return [200, {download_url: detectionArea ? this._jsonBlobUrl(detectionArea) : null}]
+      }),
+      // Detectors
+      route('POST', '/detectors/', (params, body) => {
+        const configuration = Object.assign({}, body.configuration)
+        this._checkDetectorConfiguration(configuration, false)
+        const detector = {
+          id: uuid(),
+          name: body.name || '',
+          configuration,
+          is_trained: false,
+          trainingRasters: new Map(),
+          // Ids of the training operations, latest first
+          trainings: []
+        }
+        this.state.detectors.set(detector.id, detector)
+        return [201, {id: detector.id}]
+      }),
+      route('GET', '/detectors/', (params, body, query) => {
+        const search = (query.get('search') || '').toLowerCase()
+        const detectors = [...this.state.detectors.values()].filter(d => d.name.toLowerCase().includes(search))
+        return this._paginate('/detectors/', detectors.map(d => this._detectorPayload(d)), query)
+      }),
+      route('GET', `/detectors/${id}/`, ([detectorId]) => [200, this._detectorPayload(this._get('detectors', detectorId))]),
+      route('PUT', `/detectors/${id}/`, ([detectorId], body) => {
+        const detector = this._get('detectors', detectorId)
+        const configuration = Object.assign({}, body.configuration)
+        this._checkDetectorConfiguration(configuration, true)
+        if (body.name !== undefined) {
+          detector.name = body.name
+        }
+        Object.assign(detector.configuration, configuration)
+        return [200, this._detectorPayload(detector)]
+      }),
+      // Training set
+      route('POST', `/detectors/${id}/training_rasters/`, ([detectorId], body) => {
+        const detector = this._get('detectors', detectorId)
+        if (!this.state.rasters.has(body.raster_id)) {
+          throw badRequest({raster_id: ['Unknown raster.']})
+        }
+        if (!detector.trainingRasters.has(body.raster_id)) {
+          detector.trainingRasters.set(body.raster_id, {})
+        }
+        return [201, null]
+      }),
+      route('GET', `/detectors/${id}/training_rasters/`, ([detectorId], body, query) => {
+        const detector = this._get('detectors', detectorId)
+        const rasters = [...detector.trainingRasters.keys()].map(r => this._rasterPayload(this.state.rasters.get(r)))
+        return this._paginate(`/detectors/${detectorId}/training_rasters/`, rasters, query)
+      }),
+      route('DELETE', `/detectors/${id}/training_rasters/${id}/`, ([detectorId, rasterId]) => {
+        this._trainingRaster(detectorId, rasterId)
+        this.state.detectors.get(detectorId).trainingRasters.delete(rasterId)
+        return [204, null]
+      }),
+      route('POST', `/detectors/${id}/training_rasters/${id}/${annotationType}/upload/bulk/`, ([detectorId, rasterId, type]) => {
+        const annotations = this._trainingRaster(detectorId, rasterId)
+        return this._startUpload(geojson => {
+          annotations[type] = geojson
+        })
+      }),
+      route('POST', `/detectors/${id}/training_rasters/${id}/${annotationType}/upload/bulk/${id}/commit/`, ([detectorId, rasterId, type, uploadId]) => {
+        this._trainingRaster(detectorId, rasterId)
+        return this._commitUpload(uploadId, 'annotations_upload')
+      }),
+      route('GET', `/detectors/${id}/training_rasters/${id}/${annotationType}/download/`, ([detectorId, rasterId, type]) => {
+        const annotations = this._trainingRaster(detectorId, rasterId)[type]
+        return [200, {download_url: annotations && annotations.features.length ? this._jsonBlobUrl(annotations) : null}]
+      }),
+      // Training and detection
+      route('POST', `/detectors/${id}/train/`, ([detectorId]) => {
+        const detector = this._get('detectors', detectorId)
+        const reply = this._createOperation('training', () => {
+          const annotations = [...detector.trainingRasters.values()]
+          if (!annotations.some(a => a.outline && a.outline.features.length)) {
+            throw new Error('The detector has no outline annotations to train on.')
+          }
+          detector.is_trained = true
+          const validationAreas = annotations
+            .map(a => a.validation_area)
+            .filter(areas => areas && areas.features.length)
+          return {metrics: this.evaluate(this._detectorPayload(detector), validationAreas)}
+        })
+        detector.trainings.unshift(reply[1].operation_id)
+        return reply
+      }),
+      route('GET', `/detectors/${id}/training_history/`, ([detectorId], body, query) => {
+        const detector = this._get('detectors', detectorId)
+        const trainings = detector.trainings.map(operationId => {
+          const operation = this.state.operations.get(operationId)
+          return {
+            operation_id: operationId,
+            created_at: operation.created_at,
+            status: operation.status,
+            metrics: operation.results ? operation.results.metrics : null
+          }
+        })
+        return this._paginate(`/detectors/${detectorId}/training_history/`, trainings, query)
+      }),
+      route('POST', `/detectors/${id}/run/`, ([detectorId], body) => {
+        const detector = this._get('detectors', detectorId)
+        const raster = this.state.rasters.get(body.raster_id)
+        if (!raster) {
+          throw badRequest({raster_id: ['Unknown raster.']})
+        }
+        if (raster.status !== 'ready') {
+          throw badRequest(`Raster ${raster.id} is not ready (status: ${raster.status}).`)
+        }
+        return this._createOperation('detector_prediction', () => {
+          if (!detector.is_trained) {
+            throw new Error('The detector is not trained.')
+          }
+          const results = this.detect(this._detectorPayload(detector), this._rasterPayload(raster), raster.detectionArea)
+          return {url: this._jsonBlobUrl(results)}
+        })
+      })
+    ]
+  }
+  _detectorPayload (detector) {
+    const payload = Object.assign({}, detector, {configuration: Object.assign({}, detector.configuration)})
+    delete payload.trainingRasters
+    delete payload.trainings
+    return payload
+  }
+}
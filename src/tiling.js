@@ -0,0 +1,261 @@
+/**
+ * @file Tiling of large detection areas, and merging of the results of the
+ * tiles, where objects on the edges of tiles are detected twice (in the
+ * overlap) or cut in two
+ */
+import {WGS84_RADIUS, bboxToPolygon, polygonsOf, polygonsBbox} from './geo'
+import {planarPolygonArea, intersectionArea, intersectPolygons, unionPolygons} from './overlay'
+import {ValidationError} from './errors'
+
+/**
+ * Max number of tiles `tileGrid` generates, unless told otherwise
+ */
+export const DEFAULT_MAX_TILES = 1000
+
+/**
+ * Ways to merge the objects detected on several tiles
+ */
+export const MERGE_STRATEGIES = ['dedupe', 'union']
+
+const DEGREES_PER_METER = 180 / (Math.PI * WGS84_RADIUS)
+
+/**
+ * Polygons of a GeoJSON geometry, Feature or FeatureCollection
+ */
+function areaPolygons (area) {
+  if (area && area.type === 'FeatureCollection' && Array.isArray(area.features)) {
+    return [].concat(...area.features.map(polygonsOf))
+  }
+  return polygonsOf(area)
+}
+
+const bboxesOverlap = (a, b) => a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3]
+
+const bboxContains = (a, b) => a[0] <= b[0] && a[1] <= b[1] && b[2] <= a[2] && b[3] <= a[3]
+
+/**
+ * Parts of the polygons within a bbox
+ */
+function clipPolygons (polygons, bbox) {
+  const clipped = []
+  for (const polygon of polygons) {
+    const bounds = polygonsBbox([polygon])
+    if (bboxContains(bbox, bounds)) {
+      clipped.push(polygon)
+    } else if (bboxesOverlap(bbox, bounds)) {
+      clipped.push(...(intersectPolygons(polygon, bboxToPolygon(bbox).coordinates) || []))
+    }
+  }
+  return clipped.filter(polygon => planarPolygonArea(polygon) > 0)
+}
+
+/**
+ * @summary Generates a grid of tiles over an area
+ * @description Tiles are squares of `tileSize` meters, each overlapping its
+ * neighbours by `overlap` meters, starting from the south-west corner of the
+ * area; each one is clipped to the area, those outside of it being dropped
+ * @param {Object} area GeoJSON Polygon or MultiPolygon, as a geometry, a
+ *   Feature or a FeatureCollection
+ * @param {Object} options
+ * @param {Number} options.tileSize Width and height of the tiles, in meters
+ * @param {Number} options.overlap Width of the overlap between neighbouring
+ *   tiles, in meters; defaults to 0, set it to the size of the largest objects
+ *   so that each one is entirely within a tile
+ * @param {Number} options.maxTiles Max number of tiles, defaults to `DEFAULT_MAX_TILES`
+ * @returns {Object} GeoJSON FeatureCollection of the tiles, with the `tile`
+ *   (index), `row` and `column` properties and the `bbox` of the whole tile
+ * @throws {ValidationError} If the area or the options are invalid, or if
+ *   there would be more than `maxTiles` tiles
+ */
+export function tileGrid (area, options = {}) {
+  const {tileSize, overlap = 0, maxTiles = DEFAULT_MAX_TILES} = options
+  if (typeof tileSize !== 'number' || !(tileSize > 0)) {
+    throw new ValidationError(`Invalid tile size ${tileSize}; expected a positive number of meters.`)
+  }
+  if (typeof overlap !== 'number' || !(overlap >= 0 && overlap < tileSize)) {
+    throw new ValidationError(`Invalid overlap ${overlap}; expected a number of meters in [0, ${tileSize}).`)
+  }
+  const polygons = areaPolygons(area)
+  const bbox = polygonsBbox(polygons)
+  if (!bbox) {
+    throw new ValidationError('The area to tile must be a GeoJSON Polygon or MultiPolygon.')
+  }
+  // Tiles are sized in meters at the latitude of the middle of the area
+  const sizeY = tileSize * DEGREES_PER_METER
+  const sizeX = sizeY / Math.cos((bbox[1] + bbox[3]) / 2 * Math.PI / 180)
+  const stepY = (tileSize - overlap) * DEGREES_PER_METER
+  const stepX = stepY * sizeX / sizeY
+  const count = (extent, size, step) => Math.max(1, Math.ceil((extent - size) / step) + 1)
+  const columns = count(bbox[2] - bbox[0], sizeX, stepX)
+  const rows = count(bbox[3] - bbox[1], sizeY, stepY)
+  if (rows * columns > maxTiles) {
+    throw new ValidationError(
+      `The area would be split into ${rows * columns} tiles, more than ${maxTiles}; use larger tiles or raise maxTiles.`
+    )
+  }
+  const features = []
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const minX = bbox[0] + column * stepX
+      const minY = bbox[1] + row * stepY
+      const tileBbox = [minX, minY, minX + sizeX, minY + sizeY]
+      const clipped = clipPolygons(polygons, tileBbox)
+      if (!clipped.length) {
+        continue
+      }
+      features.push({
+        type: 'Feature',
+        bbox: tileBbox,
+        properties: {tile: features.length, row, column},
+        geometry: clipped.length === 1
+          ? {type: 'Polygon', coordinates: clipped[0]}
+          : {type: 'MultiPolygon', coordinates: clipped}
+      })
+    }
+  }
+  return {type: 'FeatureCollection', features}
+}
+
+/**
+ * Union of lists of polygons, null if some boundaries could not be chained
+ */
+function unionAll (polygons, others) {
+  let result = polygons
+  for (const other of others) {
+    let merged = other
+    const kept = []
+    for (const polygon of result) {
+      if (intersectionArea(polygon, merged) > 0) {
+        const union = unionPolygons(polygon, merged)
+        if (!union || union.length !== 1) {
+          return null
+        }
+        merged = union[0]
+      } else {
+        kept.push(polygon)
+      }
+    }
+    result = kept.concat([merged])
+  }
+  return result
+}
+
+/**
+ * Geometry of merged objects, keeping a `bbox` for bbox-only features
+ */
+function mergedGeometry (feature, polygons) {
+  if (!feature.geometry) {
+    return {bbox: polygonsBbox(polygons)}
+  }
+  return {
+    geometry: polygons.length === 1
+      ? {type: 'Polygon', coordinates: polygons[0]}
+      : {type: 'MultiPolygon', coordinates: polygons}
+  }
+}
+
+/**
+ * Checks the options of `mergeTiledResults`
+ * @returns {Object} `{strategy, iouThreshold}`, defaults included
+ * @throws {ValidationError} If they are invalid
+ */
+export function checkMergeOptions (options = {}) {
+  const {strategy = 'dedupe', iouThreshold = 0.5} = options
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new ValidationError(`Invalid merge strategy ${strategy}; allowed values: ${MERGE_STRATEGIES.join(', ')}.`)
+  }
+  if (typeof iouThreshold !== 'number' || !(iouThreshold > 0 && iouThreshold <= 1)) {
+    throw new ValidationError(`Invalid IoU threshold ${iouThreshold}; expected a number in ]0, 1].`)
+  }
+  return {strategy, iouThreshold}
+}
+
+/**
+ * @summary Merges the results of detections run on tiles
+ * @description Objects detected on different tiles whose intersection over
+ * union (IoU) is at least `iouThreshold` are considered the same: with the
+ * "dedupe" strategy only the largest one is kept, with "union" they are
+ * replaced by the union of their geometries (and properties of the largest),
+ * which also joins the halves of an object cut by the edge of a tile. Every
+ * feature is tagged with the `tiles` property, the indexes of the tiles it
+ * comes from.
+ * @param {[Object]} results GeoJSON FeatureCollections, one per tile
+ * @param {Object} options
+ * @param {String} options.strategy One of `MERGE_STRATEGIES`, defaults to "dedupe"
+ * @param {Number} options.iouThreshold Min IoU of the same objects, in ]0, 1],
+ *   defaults to 0.5
+ * @returns {Object} The merged GeoJSON FeatureCollection
+ * @throws {ValidationError} If the options are invalid
+ */
+export function mergeTiledResults (results, options = {}) {
+  const {strategy, iouThreshold} = checkMergeOptions(options)
+  const items = []
+  results.forEach((featureCollection, tile) => {
+    for (const feature of (featureCollection && featureCollection.features) || []) {
+      const polygons = polygonsOf(feature)
+      items.push({
+        feature,
+        tile,
+        polygons,
+        bbox: polygonsBbox(polygons),
+        area: polygons.reduce((total, polygon) => total + planarPolygonArea(polygon), 0)
+      })
+    }
+  })
+  // Union-find of the objects detected more than once
+  const parents = items.map((item, i) => i)
+  const root = i => parents[i] === i ? i : (parents[i] = root(parents[i]))
+  const sorted = items.map((item, i) => i).filter(i => items[i].bbox).sort((i, j) => items[i].bbox[0] - items[j].bbox[0])
+  const active = []
+  for (const i of sorted) {
+    const a = items[i]
+    // Sweep along longitudes: only compare objects whose bboxes may overlap
+    for (let k = active.length - 1; k >= 0; k--) {
+      if (items[active[k]].bbox[2] < a.bbox[0]) {
+        active.splice(k, 1)
+      }
+    }
+    for (const j of active) {
+      const b = items[j]
+      if (b.tile === a.tile || !bboxesOverlap(a.bbox, b.bbox) || root(i) === root(j)) {
+        continue
+      }
+      let intersection = 0
+      for (const p of a.polygons) {
+        for (const q of b.polygons) {
+          intersection += intersectionArea(p, q)
+        }
+      }
+      if (intersection > 0 && intersection / (a.area + b.area - intersection) >= iouThreshold) {
+        parents[root(i)] = root(j)
+      }
+    }
+    active.push(i)
+  }
+  const groups = new Map()
+  items.forEach((item, i) => {
+    const group = groups.get(root(i)) || []
+    group.push(item)
+    groups.set(root(i), group)
+  })
+  const features = []
+  items.forEach((item, i) => {
+    const group = groups.get(root(i))
+    if (group[0] !== item) {
+      // Only output each group once, where it first appears
+      return
+    }
+    const largest = group.reduce((a, b) => b.area > a.area ? b : a)
+    const tiles = [...new Set(group.map(g => g.tile))]
+    let geometry = {}
+    if (strategy === 'union' && group.length > 1) {
+      const union = unionAll(largest.polygons, group.filter(g => g !== largest).map(g => g.polygons).reduce((a, b) => a.concat(b), []))
+      // Keep the largest object when the union fails on degenerate geometries
+      geometry = union ? mergedGeometry(largest.feature, union) : {}
+    }
+    features.push(Object.assign({}, largest.feature, geometry, {
+      properties: Object.assign({}, largest.feature.properties, {tiles})
+    }))
+  })
+  return {type: 'FeatureCollection', features}
+}
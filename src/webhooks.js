@@ -0,0 +1,219 @@
+/**
+ * @file Receiver of the operation-completion callbacks (webhooks) sent by
+ * Picterra, which resolves the operations the client waits for without
+ * polling them (Node only)
+ */
+import {ValidationError} from './errors'
+
+/**
+ * Header holding the signature of the callbacks, "sha256=" followed by the
+ * hex HMAC-SHA256 of the raw body keyed with the shared secret
+ */
+export const SIGNATURE_HEADER = 'X-Picterra-Signature'
+
+/**
+ * Seconds to wait for a callback before polling the operation, unless told otherwise
+ */
+export const DEFAULT_FALLBACK_AFTER = 60
+
+// Callbacks kept for operations not waited on yet, e.g. ending before `wait`
+const MAX_EARLY_CALLBACKS = 1000
+
+const TERMINAL_STATUSES = ['success', 'failed']
+
+/**
+ * @summary Signs the body of a callback
+ * @param {String|Buffer} body Raw body
+ * @param {String} secret Shared secret
+ * @returns {String} The value of the `SIGNATURE_HEADER` header
+ */
+export function signWebhook (body, secret) {
+  return 'sha256=' + require('crypto').createHmac('sha256', secret).update(body).digest('hex')
+}
+
+/**
+ * @summary Checks the signature of a callback, in constant time
+ * @param {String|Buffer} body Raw body
+ * @param {String} signature Value of the `SIGNATURE_HEADER` header
+ * @param {String} secret Shared secret
+ * @returns {Boolean} Whether the signature is valid
+ */
+export function verifyWebhookSignature (body, signature, secret) {
+  if (typeof signature !== 'string') {
+    return false
+  }
+  const expected = Buffer.from(signWebhook(body, secret))
+  const actual = Buffer.from(signature.trim())
+  return expected.length === actual.length && require('crypto').timingSafeEqual(expected, actual)
+}
+
+/**
+ * Raw body of a request, as set by a body parser (e.g. `express.raw()`) or
+ * read from the request stream
+ * @returns {Promise<Buffer>} The body, null if a parser already turned it into an object
+ */
+async function rawBody (req) {
+  if (Buffer.isBuffer(req.rawBody) || typeof req.rawBody === 'string') {
+    return Buffer.from(req.rawBody)
+  }
+  if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+    return Buffer.from(req.body)
+  }
+  if (req.body !== undefined && req.body !== null) {
+    return null
+  }
+  const chunks = []
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+function reply (res, status, body) {
+  res.statusCode = status
+  if (body) {
+    res.setHeader('Content-Type', 'application/json')
+    res.end(JSON.stringify(body))
+  } else {
+    res.end()
+  }
+}
+
+/**
+ * Receives the operation-completion callbacks, verifying their signature,
+ * and resolves the waits of the clients using it (see
+ * `APIClient.useWebhooks`); `handler` can be used as is with
+ * `http.createServer`, or as an Express/Connect middleware
+ *
+ * @example
+ * const receiver = client.useWebhooks({secret: process.env.PICTERRA_WEBHOOK_SECRET})
+ * app.post('/picterra/callbacks', receiver.handler)
+ */
+export class WebhookReceiver {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {String} options.secret Secret shared with Picterra to sign the callbacks
+   * @param {Number} options.fallbackAfter Seconds to wait for the callback of an
+   *   operation before polling it, defaults to `DEFAULT_FALLBACK_AFTER`
+   * @throws {ValidationError} If the options are invalid
+   */
+  constructor (options = {}) {
+    const {secret, fallbackAfter = DEFAULT_FALLBACK_AFTER} = options
+    if (typeof secret !== 'string' || !secret) {
+      throw new ValidationError('A webhook receiver needs a non-empty secret.')
+    }
+    if (typeof fallbackAfter !== 'number' || !(fallbackAfter >= 0)) {
+      throw new ValidationError(`Invalid fallbackAfter ${fallbackAfter}; expected a number of seconds.`)
+    }
+    this._secret = secret
+    this.fallbackAfter = fallbackAfter
+    // Resolve functions of the pending waits, by operation id
+    this._waiters = new Map()
+    // Payloads of the ended operations, by operation id, in order of arrival
+    this._received = new Map()
+    this.handler = this.handler.bind(this)
+  }
+  /**
+   * @async
+   * @summary Handles a callback request
+   * @description Replies 204 to valid callbacks, 401 to unsigned or wrongly
+   * signed ones, 400 to malformed ones and 405 to other methods than POST.
+   * As a middleware, it needs the raw body: mount it before any JSON body
+   * parser, or after `express.raw({type: 'application/json'})`.
+   * @param {IncomingMessage} req
+   * @param {ServerResponse} res
+   * @param {Function} next Called with unexpected errors, when used as a middleware
+   */
+  async handler (req, res, next) {
+    try {
+      if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST')
+        return reply(res, 405, {detail: 'Callbacks must be POSTed.'})
+      }
+      const body = await rawBody(req)
+      if (body === null) {
+        return reply(res, 400, {detail: 'The raw body is needed to check the signature; do not parse it as JSON before.'})
+      }
+      const signature = req.headers[SIGNATURE_HEADER.toLowerCase()]
+      if (!verifyWebhookSignature(body, signature, this._secret)) {
+        return reply(res, 401, {detail: 'Invalid signature.'})
+      }
+      let data
+      try {
+        data = JSON.parse(body.toString('utf8'))
+      } catch (err) {
+        return reply(res, 400, {detail: 'The body must be JSON.'})
+      }
+      const operationId = data && (data.operation_id || data.id)
+      if (!operationId || typeof data.status !== 'string') {
+        return reply(res, 400, {detail: 'Expected the payload of an operation, with its id and status.'})
+      }
+      this.deliver(Object.assign({id: operationId}, data))
+      reply(res, 204)
+    } catch (err) {
+      if (next) {
+        return next(err)
+      }
+      reply(res, 500, {detail: 'Unexpected error.'})
+    }
+  }
+  /**
+   * @summary Resolves the waits for an operation with its payload
+   * @description Called by `handler` for each verified callback; payloads of
+   * operations still running are ignored
+   * @param {Object} data The `/operations/` payload of the operation
+   */
+  deliver (data) {
+    if (!TERMINAL_STATUSES.includes(data.status)) {
+      return
+    }
+    this._received.delete(data.id)
+    this._received.set(data.id, data)
+    if (this._received.size > MAX_EARLY_CALLBACKS) {
+      this._received.delete(this._received.keys().next().value)
+    }
+    for (const resolve of this._waiters.get(data.id) || []) {
+      resolve(data)
+    }
+    this._waiters.delete(data.id)
+  }
+  /**
+   * Waits for the callback of an operation
+   * @param {String} operationId
+   * @param {Number} timeout Max number of milliseconds to wait
+   * @param {AbortSignal} signal Signal that stops the wait
+   * @returns {Promise<Object>} The payload of the operation, null if no
+   *   callback was received in time or if the signal is aborted
+   */
+  _waitFor (operationId, timeout, signal) {
+    if (this._received.has(operationId)) {
+      return Promise.resolve(this._received.get(operationId))
+    }
+    return new Promise(resolve => {
+      let timer = null
+      const waiters = this._waiters.get(operationId) || new Set()
+      const done = data => {
+        clearTimeout(timer)
+        waiters.delete(done)
+        if (!waiters.size && this._waiters.get(operationId) === waiters) {
+          this._waiters.delete(operationId)
+        }
+        if (signal) {
+          signal.removeEventListener('abort', onAbort)
+        }
+        resolve(data)
+      }
+      const onAbort = () => done(null)
+      if (signal) {
+        if (signal.aborted) {
+          return resolve(null)
+        }
+        signal.addEventListener('abort', onAbort)
+      }
+      waiters.add(done)
+      this._waiters.set(operationId, waiters)
+      timer = setTimeout(() => done(null), timeout)
+    })
+  }
+}
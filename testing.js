@@ -0,0 +1,2 @@
+// Entry point of `require('picterra/testing')`
+module.exports = require('./dist/testing.js')
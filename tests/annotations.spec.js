@@ -0,0 +1,104 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+const {Readable} = require('stream')
+
+const {APIClient, ServerError} = require('../dist/index.js')
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_API_KEY = '123456'
+const TEST_POLL_INTERVAL = 0.1
+const TEST_STORAGE_URL = 'http://annotations.storage.example.com'
+const DETECTOR_ID = '2c7e1f4a-9b3d-4e6f-8a1c-5d2b7e9f3a4c'
+const RASTER_ID = '8e3b5a1d-4c7f-4b2e-9d6a-1f8c3e5b7a2d'
+const OTHER_RASTER_ID = '6a4d2f8b-1e9c-4a3d-b5f7-2c8e4a6d9b1f'
+const UPLOAD_ID = 'b1c2d3e4-f5a6-4b7c-8d9e-0f1a2b3c4d5e'
+const OPERATION_ID = 'c3d4e5f6-a7b8-4c9d-9e0f-1a2b3c4d5e6f'
+const OUTLINE = {
+  type: 'FeatureCollection',
+  features: [{type: 'Feature', properties: {}, geometry: {type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]}}]
+}
+const EMPTY = {type: 'FeatureCollection', features: []}
+const TRAINING_PATH = `/detectors/${DETECTOR_ID}/training_rasters`
+
+describe('Training data read-back and removal', async () => {
+  // Training raster list
+  nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get(`${TRAINING_PATH}/?page_number=1`)
+    .reply(200, {
+      count: 2,
+      next: `${TEST_API_URL}${TRAINING_PATH}/?page_number=2`,
+      previous: null,
+      results: [{id: RASTER_ID, name: 'a'}],
+      page_size: 1
+    })
+    .get(`${TRAINING_PATH}/?page_number=2`)
+    .reply(200, {count: 2, next: null, previous: null, results: [{id: OTHER_RASTER_ID, name: 'b'}], page_size: 1})
+  // Annotations download, present then missing
+  nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get(`${TRAINING_PATH}/${RASTER_ID}/outline/download/`)
+    .reply(200, {download_url: `${TEST_STORAGE_URL}/outline`})
+    .get(`${TRAINING_PATH}/${RASTER_ID}/validation_area/download/`)
+    .reply(200, {download_url: null})
+  nock(TEST_STORAGE_URL).get('/outline').reply(200, OUTLINE)
+  // Detection area download
+  nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get(`/rasters/${RASTER_ID}/detection_areas/download/`)
+    .reply(200, {download_url: `${TEST_STORAGE_URL}/detection_area`})
+  nock(TEST_STORAGE_URL).get('/detection_area').reply(200, OUTLINE)
+  // Annotations removal, through the upload of an empty collection
+  nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post(`${TRAINING_PATH}/${RASTER_ID}/training_area/upload/bulk/`)
+    .reply(201, {upload_url: `${TEST_STORAGE_URL}/training_area`, upload_id: UPLOAD_ID})
+    .post(`${TRAINING_PATH}/${RASTER_ID}/training_area/upload/bulk/${UPLOAD_ID}/commit/`)
+    .reply(201, {operation_id: OPERATION_ID, poll_interval: TEST_POLL_INTERVAL})
+    .get(`/operations/${OPERATION_ID}/`)
+    .reply(200, {status: 'success'})
+  const clearScope = nock(TEST_STORAGE_URL).put('/training_area', EMPTY).reply(200)
+  // Annotations upload from a stream, whose first attempt fails in the blobstore
+  nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post(`${TRAINING_PATH}/${RASTER_ID}/outline/upload/bulk/`)
+    .reply(201, {upload_url: `${TEST_STORAGE_URL}/streamed_outline`, upload_id: UPLOAD_ID})
+  const streamScope = nock(TEST_STORAGE_URL)
+    .put('/streamed_outline').reply(503)
+    .put('/streamed_outline').reply(200)
+  // Raster removal from the training set
+  const removeScope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .delete(`${TRAINING_PATH}/${OTHER_RASTER_ID}/`)
+    .reply(204)
+  beforeEach(() => {
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL)
+  })
+  it('Should not retry the upload of annotations from a stream', async () => {
+    const client = new APIClient(TEST_API_KEY, TEST_API_URL, 300, {storageRetry: {baseDelay: 0.01}})
+    const stream = Readable.from([JSON.stringify(OUTLINE)])
+    await assert.rejects(client.setAnnotations(DETECTOR_ID, RASTER_ID, 'outline', stream, {validate: false}), ServerError)
+    // The consumed stream is not sent again
+    assert.equal(streamScope.pendingMocks().length, 1)
+  })
+  it('Should list the training rasters of a detector', async () => {
+    const res = await this.mockClient.listTrainingRasters(DETECTOR_ID)
+    assert.deepEqual(res.map(r => r.id), [RASTER_ID, OTHER_RASTER_ID])
+  })
+  it('Should download annotations', async () => {
+    assert.deepEqual(await this.mockClient.getAnnotations(DETECTOR_ID, RASTER_ID, 'outline'), OUTLINE)
+  })
+  it('Should return null for missing annotations', async () => {
+    assert.equal(await this.mockClient.getAnnotations(DETECTOR_ID, RASTER_ID, 'validation_area'), null)
+  })
+  it('Should refuse unknown annotation types', async () => {
+    await assert.rejects(this.mockClient.getAnnotations(DETECTOR_ID, RASTER_ID, 'spam'), {name: 'Validation Error'})
+  })
+  it('Should download the detection area of a raster', async () => {
+    assert.deepEqual(await this.mockClient.getRasterDetectionArea(RASTER_ID), OUTLINE)
+  })
+  it('Should clear annotations', async () => {
+    assert.ok(await this.mockClient.clearAnnotations(DETECTOR_ID, RASTER_ID, 'training_area'))
+    assert.ok(clearScope.isDone())
+  })
+  it('Should remove a raster from a detector', async () => {
+    assert.ok(await this.mockClient.removeRasterFromDetector(OTHER_RASTER_ID, DETECTOR_ID))
+    assert.ok(removeScope.isDone())
+  })
+})
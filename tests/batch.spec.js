@@ -0,0 +1,109 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+const fs = require('fs')
+const path = require('path')
+const tmp = require('tmp')
+
+const APIClient = require('../dist/index.js').APIClient
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_API_KEY = '123456'
+const TEST_POLL_INTERVAL = 0.1
+const TEST_STORAGE_URL = 'http://batch.storage.example.com'
+const DETECTOR_ID = '4f1a9c2e-7b3d-4e8a-9c5f-1d6b2a8e4c7f'
+const FAILING_DETECTOR_ID = '5a2b8d3f-8c4e-4f9b-ad6a-2e7c3b9f5d8a'
+const RASTER_IDS = [
+  'a1f4c7e2-0b3d-4a6e-8f1c-4d7a0e3b6c9f',
+  'b2a5d8f3-1c4e-4b7f-9a2d-5e8b1f4c7d0a',
+  'c3b6e9a4-2d5f-4c8a-ab3e-6f9c2a5d8e1b'
+]
+const OPERATION_IDS = [
+  '0d1e2f3a-4b5c-4d6e-8f7a-8b9c0d1e2f3a',
+  '1e2f3a4b-5c6d-4e7f-9a8b-9c0d1e2f3a4b',
+  '2f3a4b5c-6d7e-4f8a-ab9c-0d1e2f3a4b5c'
+]
+const feature = name => ({type: 'Feature', properties: {name}, geometry: {type: 'Point', coordinates: [0, 0]}})
+
+describe('Batch detection', async () => {
+  // Three detections, the second one failing; each runs twice, once merged
+  // and once downloaded to a directory
+  const scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+  RASTER_IDS.forEach((rasterId, i) => {
+    scope
+      .post(`/detectors/${DETECTOR_ID}/run/`, {raster_id: rasterId})
+      .times(2)
+      .delay(50 * (3 - i))
+      .reply(201, {operation_id: OPERATION_IDS[i], poll_interval: TEST_POLL_INTERVAL})
+      .get(`/operations/${OPERATION_IDS[i]}/`)
+      .times(i === 1 ? 2 : 6)
+      .reply(200, i === 1
+        ? {status: 'failed', error: {message: 'Raster too large'}}
+        : {status: 'success', type: 'detector_prediction', results: {url: `${TEST_STORAGE_URL}/${i}`}})
+    if (i !== 1) {
+      nock(TEST_STORAGE_URL).get(`/${i}`).times(2).reply(200, {type: 'FeatureCollection', features: [feature(`object ${i}`)]})
+    }
+  })
+  // Detections that stop at the first failure
+  nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post(`/detectors/${FAILING_DETECTOR_ID}/run/`)
+    .reply(400, {detail: 'Detector not trained'})
+  beforeEach(() => {
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL)
+  })
+  it('Should run a detector on many rasters and merge the results', async () => {
+    const progress = []
+    let running = 0
+    let maxRunning = 0
+    const res = await this.mockClient.runDetectorOnRasters(DETECTOR_ID, RASTER_IDS, {
+      concurrency: 2,
+      merge: true,
+      onProgress: p => {
+        running += p.status === 'running' ? 1 : -1
+        maxRunning = Math.max(maxRunning, running)
+        progress.push(p)
+      }
+    })
+    assert.ok(maxRunning <= 2)
+    // The third detection only starts once another one has ended
+    const thirdStart = progress.findIndex(p => p.rasterId === RASTER_IDS[2])
+    const firstEnd = progress.findIndex(p => p.status !== 'running')
+    assert.ok(firstEnd !== -1 && firstEnd < thirdStart)
+    assert.equal(progress.length, 6)
+    assert.equal(progress[progress.length - 1].completed, 3)
+    assert.deepEqual(res.runs.map(r => r.status), ['success', 'failed', 'success'])
+    assert.deepEqual(res.runs.map(r => r.operationId), OPERATION_IDS)
+    assert.equal(res.runs[1].error.name, 'OperationFailedError')
+    assert.equal(res.succeeded, 2)
+    assert.equal(res.failed, 1)
+    assert.deepEqual(res.featureCollection.features.map(f => f.properties), [
+      {name: 'object 0', raster_id: RASTER_IDS[0]},
+      {name: 'object 2', raster_id: RASTER_IDS[2]}
+    ])
+  })
+  it('Should download the result of each raster to a directory', async () => {
+    const dir = tmp.dirSync({unsafeCleanup: true})
+    try {
+      const res = await this.mockClient.runDetectorOnRasters(DETECTOR_ID, RASTER_IDS, {outputDir: dir.name})
+      assert.equal(res.featureCollection, undefined)
+      assert.equal(res.runs[0].file, path.join(dir.name, `${RASTER_IDS[0]}.geojson`))
+      assert.equal(res.runs[1].file, null)
+      assert.deepEqual(fs.readdirSync(dir.name).sort(), [`${RASTER_IDS[0]}.geojson`, `${RASTER_IDS[2]}.geojson`].sort())
+    } finally {
+      dir.removeCallback()
+    }
+  })
+  it('Should stop at the first error unless told to continue', async () => {
+    await assert.rejects(
+      this.mockClient.runDetectorOnRasters(FAILING_DETECTOR_ID, RASTER_IDS, {concurrency: 1, continueOnError: false}),
+      {name: 'Validation Error', status: 400}
+    )
+  })
+  it('Should refuse an invalid concurrency', async () => {
+    await assert.rejects(
+      this.mockClient.runDetectorOnRasters(DETECTOR_ID, RASTER_IDS, {concurrency: 0}),
+      {name: 'Validation Error'}
+    )
+  })
+})
@@ -0,0 +1,71 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+
+const {main, EXIT_CODES} = require('../dist/cli.js')
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_API_KEY = '123456'
+const TEST_POLL_INTERVAL = 0.1
+const DETECTOR_ID = 'd1e2f3a4-b5c6-4d7e-8f9a-0b1c2d3e4f5a'
+const RASTER_ID = 'a9b8c7d6-e5f4-4a3b-9c1d-0e9f8a7b6c5d'
+const OPERATION_ID = 'c1d2e3f4-a5b6-4c7d-8e9f-0a1b2c3d4e5f'
+const GLOBAL_OPTIONS = ['--api-key', TEST_API_KEY, '--base-url', TEST_API_URL]
+
+// Runs the tool, capturing its output
+async function run (...argv) {
+  const output = {stdout: '', stderr: ''}
+  const io = {
+    stdout: {write: text => { output.stdout += text }},
+    stderr: {write: text => { output.stderr += text }}
+  }
+  output.code = await main(argv.concat(GLOBAL_OPTIONS), io)
+  return output
+}
+
+describe('Command-line tool', async () => {
+  let scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get('/rasters/?page_number=1&search=cli')
+    .reply(200, {count: 2, next: null, results: [{id: '1', name: 'first', status: 'ready'}, {id: '22', name: 'second', status: 'ready'}]})
+    .get(`/rasters/${RASTER_ID}/`)
+    .reply(404, {detail: 'Not found.'})
+    .post(`/detectors/${DETECTOR_ID}/run/`, {raster_id: RASTER_ID})
+    .reply(201, {operation_id: OPERATION_ID, poll_interval: TEST_POLL_INTERVAL})
+    .get(`/operations/${OPERATION_ID}/`)
+    .reply(200, {status: 'running'})
+    .get(`/operations/${OPERATION_ID}/`)
+    .reply(200, {status: 'success'})
+  scope.defaultReplyHeaders({'content-type': 'application/json'})
+  it('Should list rasters as a table', async () => {
+    const res = await run('rasters', 'list', '--search', 'cli', '--format=table')
+    assert.equal(res.code, EXIT_CODES.success)
+    assert.equal(res.stdout, 'id  name    status\n1   first   ready\n22  second  ready\n')
+  })
+  it('Should run a detector, reporting the polling progress', async () => {
+    const res = await run('detectors', 'run', DETECTOR_ID, RASTER_ID)
+    assert.equal(res.code, EXIT_CODES.success)
+    assert.deepEqual(JSON.parse(res.stdout), {operationId: OPERATION_ID, output: null})
+    assert.equal(res.stderr, 'Operation status: running\nOperation status: success\n')
+  })
+  it('Should exit with a specific code on API errors', async () => {
+    const res = await run('rasters', 'get', RASTER_ID)
+    assert.equal(res.code, EXIT_CODES.notFound)
+    assert.ok(res.stderr.startsWith('NotFoundError'))
+  })
+  it('Should exit with a specific code on invalid input', async () => {
+    const res = await run('detectors', 'create', '--detection-type', 'spam')
+    assert.equal(res.code, EXIT_CODES.validation)
+  })
+  it('Should exit with a specific code on invalid usage', async () => {
+    assert.equal((await run('rasters', 'spam')).code, EXIT_CODES.usage)
+    assert.equal((await run('rasters', 'get')).code, EXIT_CODES.usage)
+    assert.equal((await run('rasters', 'list', '--format', 'xml')).code, EXIT_CODES.usage)
+    assert.equal((await run('detectors', 'run-tiled', DETECTOR_ID, RASTER_ID, 'area.geojson')).code, EXIT_CODES.usage)
+    // Unknown options, e.g. typos, are not ignored
+    const res = await run('rasters', 'list', '--serach', 'cli')
+    assert.equal(res.code, EXIT_CODES.usage)
+    assert.ok(res.stderr.startsWith('UsageError: Unknown option --serach for "rasters list"'), res.stderr)
+    assert.equal((await run('rasters', 'get', RASTER_ID, '--output-dir', 'results')).code, EXIT_CODES.usage)
+  })
+})
@@ -0,0 +1,107 @@
+// Imports
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+const fs = require('fs')
+const path = require('path')
+const tmp = require('tmp')
+
+const {APIClient, APIError, ValidationError} = require('../dist/index.js')
+
+// CONSTANTS
+const ENV_VARIABLES = ['PICTERRA_API_KEY', 'PICTERRA_BASE_URL', 'PICTERRA_PROFILE', 'PICTERRA_CONFIG_FILE']
+const PROFILES = {
+  default: {apiKey: 'default-key', timeout: 600},
+  staging: {apiKey: 'staging-key', baseUrl: 'https://staging.picterra.ch/public/api/v2/'}
+}
+
+describe('Client configuration', async () => {
+  beforeEach(() => {
+    this.env = {}
+    for (const name of ENV_VARIABLES) {
+      this.env[name] = process.env[name]
+      delete process.env[name]
+    }
+    this.dir = tmp.dirSync({unsafeCleanup: true})
+    this.configFile = path.join(this.dir.name, 'config.json')
+    fs.writeFileSync(this.configFile, JSON.stringify({profiles: PROFILES}))
+  })
+  afterEach(() => {
+    for (const name of ENV_VARIABLES) {
+      if (this.env[name] === undefined) {
+        delete process.env[name]
+      } else {
+        process.env[name] = this.env[name]
+      }
+    }
+    this.dir.removeCallback()
+  })
+  // Start testing
+  it('Should take the settings from the options', async () => {
+    const client = new APIClient({apiKey: 'key', baseUrl: 'http://example.com/api/', timeout: 30})
+    assert.equal(client.apiKey, 'key')
+    assert.equal(client.baseUrl, 'http://example.com/api')
+    assert.equal(client._timeout, 30 * 1000)
+    assert.equal(client.profile, null)
+  })
+  it('Should keep the positional arguments working', async () => {
+    const client = new APIClient('key', 'http://example.com/api', 30, {retry: false})
+    assert.equal(client.apiKey, 'key')
+    assert.equal(client.baseUrl, 'http://example.com/api')
+    assert.equal(client._timeout, 30 * 1000)
+    process.env.PICTERRA_API_KEY = 'env-key'
+    assert.equal(new APIClient(undefined, 'http://example.com/api').apiKey, 'env-key')
+  })
+  it('Should fall back to the environment, then the default profile', async () => {
+    process.env.PICTERRA_API_KEY = 'env-key'
+    process.env.PICTERRA_BASE_URL = 'http://example.com/api'
+    let client = new APIClient({configFile: this.configFile})
+    assert.equal(client.apiKey, 'env-key')
+    assert.equal(client.baseUrl, 'http://example.com/api')
+    assert.equal(client._timeout, 600 * 1000)
+    delete process.env.PICTERRA_API_KEY
+    client = new APIClient({configFile: this.configFile})
+    assert.equal(client.apiKey, 'default-key')
+    assert.equal(client.profile, 'default')
+    // Operations are waited for 5 hours by default
+    fs.writeFileSync(this.configFile, JSON.stringify({profiles: {}}))
+    assert.equal(new APIClient({apiKey: 'key', configFile: this.configFile})._timeout, 5 * 60 * 60 * 1000)
+  })
+  it('Should prefer the selected profile to the environment', async () => {
+    process.env.PICTERRA_API_KEY = 'env-key'
+    process.env.PICTERRA_CONFIG_FILE = this.configFile
+    let client = new APIClient({profile: 'staging'})
+    assert.equal(client.apiKey, 'staging-key')
+    assert.equal(client.baseUrl, 'https://staging.picterra.ch/public/api/v2')
+    assert.equal(client.profile, 'staging')
+    // Settings missing in the profile come from the default one
+    assert.equal(client._timeout, 600 * 1000)
+    process.env.PICTERRA_PROFILE = 'staging'
+    client = new APIClient({apiKey: 'key'})
+    assert.equal(client.apiKey, 'key')
+    assert.equal(client.profile, 'staging')
+  })
+  it('Should reject an unknown profile', async () => {
+    assert.throws(() => new APIClient({configFile: this.configFile, profile: 'prod'}), err => {
+      assert.ok(err instanceof ValidationError)
+      assert.match(err.message, /Profile prod is not defined/)
+      return true
+    })
+  })
+  it('Should reject a missing or malformed config file', async () => {
+    const missing = path.join(this.dir.name, 'missing.json')
+    assert.throws(() => new APIClient({apiKey: 'key', configFile: missing}), ValidationError)
+    fs.writeFileSync(this.configFile, JSON.stringify({profiles: {default: {apiKey: 'key', password: 'x'}}}))
+    assert.throws(() => new APIClient({configFile: this.configFile}), /Invalid setting of profile default/)
+  })
+  it('Should reject invalid settings at construction', async () => {
+    assert.throws(() => new APIClient({apiKey: 'key', baseUrl: 'example.com/api'}), /Invalid base URL/)
+    assert.throws(() => new APIClient({apiKey: 'key', baseUrl: 'ftp://example.com/api'}), /Invalid base URL/)
+    assert.throws(() => new APIClient({apiKey: 'key', baseUrl: 'http://example.com/api?v=2'}), /Invalid base URL/)
+    assert.throws(() => new APIClient({apiKey: 'key', timeout: -1}), /Invalid timeout/)
+    assert.throws(() => new APIClient({apiKey: 'key', timout: 10}), /Invalid client option timout/)
+    assert.throws(() => new APIClient({baseUrl: 'http://example.com/api'}), err => {
+      assert.ok(err instanceof APIError)
+      assert.match(err.message, /apiKey is undefined/)
+      return true
+    })
+  })
+})
@@ -2,7 +2,7 @@
 const nock = require('nock') // // https://github.com/nock/nock
 const assert = require('assert').strict // https://nodejs.org/api/assert.html
 
-const APIClient = require('../dist/index.js').APIClient
+const {APIClient, ValidationError} = require('../dist/index.js')
 
 // CONSTANTS
 const TEST_API_URL = 'http://example.com/public/api/v2'
@@ -63,6 +63,29 @@ describe('/detectors/ endpoint', async () => {
     .put(`/detectors/${DETECTOR_ID}/`, {name: 'spam', configuration: {output_type: 'bbox'}})
     .reply(204)
     .log(console.log)
+  // createDetector and editDetector with settings
+  scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post('/detectors/', {
+      name: 'trees',
+      configuration: {
+        detection_type: 'segmentation',
+        output_type: 'polygon',
+        training_steps: 500,
+        backbone: 'resnet50',
+        tile_size: 512,
+        classes: [{name: 'oak'}, {name: 'pine'}]
+      }
+    })
+    .reply(201, {id: DETECTOR_ID})
+    .put(`/detectors/${DETECTOR_ID}/`, {configuration: {training_steps: 2000}})
+    .reply(204)
+    .put(`/detectors/${DETECTOR_ID}/`, {name: 'renamed'})
+    .reply(204)
+    .post('/detectors/', {
+      name: 'trees',
+      configuration: {detection_type: 'count', output_type: 'polygon', training_steps: 500, backbone: 'resnet101', tile_size: 640}
+    })
+    .reply(201, {id: DETECTOR_ID})
   // runDetector
   scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
     .post(`/detectors/${DETECTOR_ID}/run/`, {raster_id: RASTER_ID})
@@ -117,6 +140,32 @@ describe('/detectors/ endpoint', async () => {
 
     ].forEach(o => assert.rejects(async () => this.mockClient.editDetector('spamId', ...o)))
   })
+  it('Should create a detector from settings', async () => {
+    const res = await this.mockClient.createDetector({
+      name: 'trees',
+      detectionType: 'Segmentation',
+      backbone: 'resnet50',
+      tileSize: 512,
+      classes: ['oak', {name: 'pine'}]
+    })
+    assert.equal(res, DETECTOR_ID)
+  })
+  it('Should let the server check backbones and tile sizes', async () => {
+    assert.equal(await this.mockClient.createDetector({name: 'trees', backbone: 'ResNet101', tileSize: 640}), DETECTOR_ID)
+  })
+  it('Should only send the edited settings', async () => {
+    assert.ok(await this.mockClient.editDetector(DETECTOR_ID, {trainingSteps: 2000}))
+    assert.ok(await this.mockClient.editDetector(DETECTOR_ID, {name: 'renamed', outputType: null}))
+  })
+  it('Should reject invalid detector settings', async () => {
+    await assert.rejects(this.mockClient.createDetector({tileSize: 0}), /Invalid tile size: expected a positive number of pixels/)
+    await assert.rejects(this.mockClient.createDetector({backbone: 50}), /Invalid backbone 50: expected a string/)
+    await assert.rejects(this.mockClient.createDetector({backgroundSampleRatio: 2}), /outside range \[0, 1\]/)
+    await assert.rejects(this.mockClient.createDetector({trainingSteps: 1000.5}), /expected an integer/)
+    await assert.rejects(this.mockClient.createDetector({classes: ['oak', 'oak']}), /class oak is defined twice/)
+    await assert.rejects(this.mockClient.editDetector(DETECTOR_ID, {steps: 2000}), /Invalid detector setting steps/)
+    await assert.rejects(this.mockClient.editDetector(DETECTOR_ID, {}), ValidationError)
+  })
   it('Should run one detector', async () => {
     const res = await this.mockClient.runDetector(DETECTOR_ID, RASTER_ID)
     assert.ok(res)
@@ -0,0 +1,108 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+
+const {
+  APIClient,
+  APIError,
+  AuthenticationError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  ValidationError,
+  OperationFailedError
+} = require('../dist/index.js')
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_API_KEY = '123456'
+const TEST_POLL_INTERVAL = 0.1
+const TEST_STORAGE_URL = 'http://errors.storage.example.com'
+const RASTER_ID = '5e6f7a8b-9c0d-4e2f-a3b4-c5d6e7f8a9b0'
+const DETECTOR_ID = 'c9d8e7f6-a5b4-4c3d-9e1f-0a9b8c7d6e5f'
+const OPERATION_ID = '3a4b5c6d-7e8f-4a0b-9c2d-3e4f5a6b7c8d'
+
+describe('Errors', async () => {
+  let scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get(`/rasters/${RASTER_ID}/`)
+    .reply(401, {detail: 'Invalid API key.'})
+    .get(`/detectors/${DETECTOR_ID}/`)
+    .reply(404, {detail: 'Not found.'})
+    .post('/detectors/', body => body.name === 'too long')
+    .reply(400, {name: ['Ensure this field has no more than 100 characters.'], detail: 'Invalid input.'})
+    .delete(`/rasters/${RASTER_ID}/`)
+    .reply(429, {detail: 'Request was throttled.'}, {'Retry-After': '120'})
+    .get('/rasters/?page_number=1&search=spam')
+    .reply(500, 'Internal Server Error')
+    .post(`/detectors/${DETECTOR_ID}/run/`)
+    .reply(201, {operation_id: OPERATION_ID, poll_interval: TEST_POLL_INTERVAL})
+    .get(`/operations/${OPERATION_ID}/`)
+    .reply(200, {status: 'failed', error: {message: 'Raster has no detection area.'}})
+    .post(`/rasters/${RASTER_ID}/detection_areas/upload/file/`)
+    .reply(201, {upload_id: 'x', upload_url: `${TEST_STORAGE_URL}/area?Signature=secret&id=1`})
+  nock(TEST_STORAGE_URL).put('/area?Signature=secret&id=1').reply(403, 'Forbidden')
+  scope.defaultReplyHeaders({'content-type': 'application/json'})
+  beforeEach(() => {
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL, 300, {retry: false, storageRetry: false})
+  })
+  it('Should raise AuthenticationError on 401', async () => {
+    await assert.rejects(this.mockClient.getRasterById(RASTER_ID), err => {
+      assert.ok(err instanceof AuthenticationError)
+      assert.ok(err instanceof APIError)
+      assert.equal(err.status, 401)
+      assert.equal(err.method, 'GET')
+      assert.equal(err.url, `${TEST_API_URL}/rasters/${RASTER_ID}/`)
+      assert.deepEqual(err.data, {detail: 'Invalid API key.'})
+      return true
+    })
+  })
+  it('Should raise NotFoundError on 404', async () => {
+    await assert.rejects(this.mockClient.getDetectorById(DETECTOR_ID), NotFoundError)
+  })
+  it('Should raise ValidationError with per-field messages on 400', async () => {
+    await assert.rejects(this.mockClient.createDetector('too long'), err => {
+      assert.ok(err instanceof ValidationError)
+      assert.deepEqual(err.fieldErrors, {name: ['Ensure this field has no more than 100 characters.']})
+      return true
+    })
+  })
+  it('Should raise RateLimitError with the retry delay on 429', async () => {
+    await assert.rejects(this.mockClient.deleteRasterById(RASTER_ID), err => {
+      assert.ok(err instanceof RateLimitError)
+      assert.equal(err.retryAfter, 120)
+      return true
+    })
+  })
+  it('Should raise ServerError on 5xx', async () => {
+    await assert.rejects(this.mockClient.listRasters({search: 'spam'}), err => {
+      assert.ok(err instanceof ServerError)
+      assert.equal(err.body, 'Internal Server Error')
+      assert.equal(err.data, null)
+      return true
+    })
+  })
+  it('Should raise OperationFailedError with the failure reason', async () => {
+    await assert.rejects(this.mockClient.runDetector(DETECTOR_ID, RASTER_ID), err => {
+      assert.ok(err instanceof OperationFailedError)
+      assert.equal(err.operationId, OPERATION_ID)
+      assert.equal(err.reason, 'Raster has no detection area.')
+      return true
+    })
+  })
+  it('Should redact credentials from the URL of blobstore errors', async () => {
+    await assert.rejects(this.mockClient.setRasterDetectionAreaFromFile(Buffer.from('{"type": "FeatureCollection", "features": []}'), RASTER_ID), err => {
+      assert.ok(err instanceof AuthenticationError)
+      assert.equal(err.method, 'PUT')
+      assert.equal(err.url, `${TEST_STORAGE_URL}/area?Signature=REDACTED&id=1`)
+      assert.ok(!err.message.includes('secret'))
+      return true
+    })
+  })
+  it('Should raise ValidationError on invalid local input', async () => {
+    await assert.rejects(this.mockClient.createDetector('spam', 'spam'), err => {
+      assert.ok(err instanceof ValidationError)
+      assert.equal(err.status, null)
+      return true
+    })
+  })
+})
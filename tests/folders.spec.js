@@ -0,0 +1,65 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+
+const APIClient = require('../dist/index.js').APIClient
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_API_KEY = '123456'
+const FOLDER_ID = '0b3e4c84-61a5-4b8c-9e35-8a3fbb4c1f0e'
+
+// Complex object mocks
+const mockFolderList = [
+  {
+    'count': 3,
+    'next': `${TEST_API_URL}/folders/?page_number=2`,
+    'previous': null,
+    'results': [{id: FOLDER_ID, name: 'client A'}, {id: '2', name: 'client B'}],
+    'page_size': 2
+  },
+  {
+    'count': 3,
+    'next': null,
+    'previous': `${TEST_API_URL}/folders/?page_number=1`,
+    'results': [{id: '3', name: 'client C'}],
+    'page_size': 2
+  }
+]
+
+describe('/folders/ endpoints', async () => {
+  // Folder list
+  nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get('/folders/?page_number=1')
+    .reply(200, mockFolderList[0])
+    .get('/folders/?page_number=2')
+    .reply(200, mockFolderList[1])
+  // Folder list with filters
+  nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get('/folders/?page_number=1&search=client%20A')
+    .reply(200, {count: 1, next: null, previous: null, results: [mockFolderList[0].results[0]], page_size: 2})
+  // Folder creation
+  nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post('/folders/', {name: 'campaign 2020'})
+    .reply(201, {id: FOLDER_ID, name: 'campaign 2020'})
+  beforeEach(() => {
+    // Create API client
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL)
+  })
+  // Start testing
+  it('Should get the list of folders', async () => {
+    const res = await this.mockClient.listFolders()
+    assert.deepEqual(res.map(f => f.name), ['client A', 'client B', 'client C'])
+  })
+  it('Should search folders', async () => {
+    const res = await this.mockClient.listFolders({search: 'client A'})
+    assert.deepEqual(res.map(f => f.id), [FOLDER_ID])
+  })
+  it('Should create a folder', async () => {
+    const res = await this.mockClient.createFolder('campaign 2020')
+    assert.equal(res, FOLDER_ID)
+  })
+  it('Should refuse to create a folder without a name', async () => {
+    await assert.rejects(this.mockClient.createFolder(''), {name: 'Validation Error'})
+  })
+})
@@ -0,0 +1,141 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+const fs = require('fs')
+const path = require('path')
+const tmp = require('tmp')
+
+const {
+  APIClient,
+  ValidationError,
+  convertResults,
+  toCSV,
+  toKML,
+  toWKT,
+  toGeoJSONSeq,
+  toFlatGeobuf
+} = require('../dist/index.js')
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_API_KEY = '123456'
+const TEST_STORAGE_URL = 'http://formats.storage.example.com'
+const OPERATION_ID = '2d4f6a8c-0e1b-4d3f-a5c7-e9b1d3f5a7c9'
+const SQUARE = [[0, 0], [0.001, 0], [0.001, 0.001], [0, 0.001], [0, 0]]
+const HOLE = [[0.0004, 0.0004], [0.0004, 0.0006], [0.0006, 0.0006], [0.0006, 0.0004], [0.0004, 0.0004]]
+const RESULTS = {
+  type: 'FeatureCollection',
+  features: [
+    {type: 'Feature', properties: {label: 'oak, "big"', score: 0.9, checked: true}, geometry: {type: 'Polygon', coordinates: [SQUARE, HOLE]}},
+    {
+      type: 'Feature',
+      properties: {label: 'pine <2>', score: 0.5, tags: ['a']},
+      geometry: {type: 'MultiPolygon', coordinates: [[SQUARE], [SQUARE.map(([x, y]) => [x + 1, y + 1])]]}
+    },
+    // "bbox" output type
+    {type: 'Feature', properties: {label: 'box'}, bbox: [2, 2, 2.001, 2.001], geometry: null}
+  ]
+}
+
+/**
+ * Reads a FlatGeobuf file with the reference reader, an ES module
+ * @returns {Promise<Object>} `{header, features}`
+ */
+async function readFlatGeobuf (bytes) {
+  const {geojson} = await import('flatgeobuf')
+  let header
+  const {features} = geojson.deserialize(new Uint8Array(bytes), undefined, meta => { header = meta })
+  return {header, features}
+}
+// The reference reader needs Node 14
+const itWithReader = Number(process.versions.node.split('.')[0]) < 14 ? it.skip : it
+
+describe('Results export', async () => {
+  nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get(`/operations/${OPERATION_ID}/`)
+    .times(2)
+    .reply(200, {status: 'success', type: 'detector_prediction', results: {url: `${TEST_STORAGE_URL}/result`}})
+  nock(TEST_STORAGE_URL).get('/result').times(2).reply(200, RESULTS)
+  beforeEach(() => {
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL)
+    this.dir = tmp.dirSync({unsafeCleanup: true})
+  })
+  afterEach(() => {
+    this.dir.removeCallback()
+  })
+  // Start testing
+  it('Should convert results to CSV', async () => {
+    const lines = toCSV(RESULTS).trim().split('\n')
+    assert.equal(lines[0], 'longitude,latitude,area,label,score,checked,tags,wkt')
+    assert.equal(lines.length, 4)
+    const first = lines[1].split(',')
+    assert.ok(Math.abs(first[0] - 0.0005) < 1e-9 && Math.abs(first[1] - 0.0005) < 1e-9)
+    // 111 m wide square with a 22 m wide hole
+    assert.ok(Math.abs(first[2] - (111.3 ** 2 - 22.26 ** 2)) < 10, first[2])
+    assert.ok(lines[1].includes(',"oak, ""big""",0.9,true,,"POLYGON ((0 0, 0.001 0, '))
+    assert.ok(lines[2].includes(',"[""a""]",'))
+    const box = lines[3].split(',')
+    assert.ok(Math.abs(box[0] - 2.0005) < 1e-9 && Math.abs(box[1] - 2.0005) < 1e-9)
+    assert.ok(lines[3].endsWith(',box,,,,"POLYGON ((2 2, 2.001 2, 2.001 2.001, 2 2.001, 2 2))"'))
+    assert.equal(toCSV(RESULTS, {delimiter: ';', geometry: false}).split('\n')[0], 'longitude;latitude;area;label;score;checked;tags')
+  })
+  it('Should keep the CSV columns of properties apart from the computed ones', async () => {
+    const features = [{type: 'Feature', properties: {area: 'north', wkt: 'none', label: 'oak'}, geometry: {type: 'Point', coordinates: [1, 2]}}]
+    const lines = toCSV({type: 'FeatureCollection', features}).trim().split('\n')
+    assert.equal(lines[0], 'longitude,latitude,area,properties.area,properties.wkt,label,wkt')
+    assert.equal(lines[1], '1,2,0,north,none,oak,POINT (1 2)')
+  })
+  it('Should convert results to WKT', async () => {
+    const lines = toWKT(RESULTS).trim().split('\n')
+    assert.equal(lines[0], `POLYGON ((${SQUARE.map(p => p.join(' ')).join(', ')}), (${HOLE.map(p => p.join(' ')).join(', ')}))`)
+    assert.ok(lines[1].startsWith('MULTIPOLYGON (((0 0, 0.001 0,'))
+    assert.ok(lines[1].includes(')), ((1 1, 1.001 1,'))
+    assert.equal(lines[2], 'POLYGON ((2 2, 2.001 2, 2.001 2.001, 2 2.001, 2 2))')
+  })
+  it('Should convert results to KML', async () => {
+    const kml = toKML(RESULTS, {name: 'trees & co'})
+    assert.ok(kml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2">'))
+    assert.ok(kml.includes('<name>trees &amp; co</name>'))
+    assert.equal(kml.match(/<Placemark>/g).length, 3)
+    assert.ok(kml.includes('<Data name="label"><value>oak, &quot;big&quot;</value></Data>'))
+    assert.ok(kml.includes('<Data name="checked"><value>true</value></Data>'))
+    assert.ok(kml.includes('<innerBoundaryIs><LinearRing><coordinates>0.0004,0.0004 0.0004,0.0006'))
+    assert.ok(kml.includes('<MultiGeometry><Polygon>'))
+    assert.ok(kml.includes('<coordinates>2,2 2.001,2 2.001,2.001 2,2.001 2,2</coordinates>'))
+  })
+  it('Should convert results to GeoJSONSeq', async () => {
+    const lines = toGeoJSONSeq(RESULTS).split('\n')
+    assert.equal(lines.length, 4)
+    assert.deepEqual(lines.slice(0, 3).map(line => JSON.parse(line)), RESULTS.features)
+    assert.ok(toGeoJSONSeq(RESULTS, {recordSeparator: true}).startsWith('\x1e{"type":"Feature"'))
+  })
+  itWithReader('Should convert results to FlatGeobuf', async () => {
+    const {header, features} = await readFlatGeobuf(toFlatGeobuf(RESULTS, {name: 'trees'}))
+    assert.equal(header.featuresCount, 3)
+    assert.equal(header.indexNodeSize, 0)
+    assert.equal(header.crs.code, 4326)
+    // Mixed polygons and multipolygons
+    assert.equal(header.geometryType, 0)
+    assert.deepEqual(header.columns.map(({name, type}) => ({name, type})), [
+      {name: 'label', type: 11}, {name: 'score', type: 10}, {name: 'checked', type: 2}, {name: 'tags', type: 12}
+    ])
+    assert.deepEqual(features.map(({geometry, properties}) => ({geometry, properties})), [
+      RESULTS.features[0],
+      RESULTS.features[1],
+      {geometry: {type: 'Polygon', coordinates: [[[2, 2], [2.001, 2], [2.001, 2.001], [2, 2.001], [2, 2]]]}, properties: {label: 'box'}}
+    ].map(({geometry, properties}) => ({geometry, properties})))
+  })
+  it('Should reject unknown formats and invalid results', async () => {
+    assert.throws(() => convertResults(RESULTS, 'shapefile'), /Invalid export format shapefile/)
+    assert.throws(() => toCSV({type: 'Feature'}), ValidationError)
+  })
+  it('Should download results in another format', async () => {
+    const csv = path.join(this.dir.name, 'results.csv')
+    await this.mockClient.downloadResultToFile(OPERATION_ID, csv, {format: 'CSV', geometry: false})
+    assert.equal(fs.readFileSync(csv, 'utf8'), toCSV(RESULTS, {geometry: false}))
+    const fgb = path.join(this.dir.name, 'results.fgb')
+    await this.mockClient.downloadResultToFile(OPERATION_ID, fgb, {format: 'flatgeobuf'})
+    assert.deepEqual(fs.readFileSync(fgb), Buffer.from(toFlatGeobuf(RESULTS)))
+    await assert.rejects(this.mockClient.downloadResultToFile(OPERATION_ID, fgb, {format: 'shp'}), ValidationError)
+  })
+})
@@ -0,0 +1,112 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+
+const {APIClient, validateGeoJSON} = require('../dist/index.js')
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_API_KEY = '123456'
+const TEST_POLL_INTERVAL = 0.1
+const TEST_STORAGE_URL = 'http://geojson.storage.example.com'
+const RASTER_ID = '9c1e5d1a-3f0b-4d8e-a2c7-5b6f4e3d2c1b'
+const UPLOAD_ID = 'e4d3c2b1-a0f9-4e8d-b7c6-a5b4c3d2e1f0'
+const OPERATION_ID = '5f4e3d2c-1b0a-4f9e-8d7c-6b5a4f3e2d1c'
+
+// Counterclockwise unit square, and the same clockwise
+const SQUARE = [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]]
+const CW_SQUARE = [SQUARE[0].slice().reverse()]
+const feature = (geometry, properties = {}) => ({type: 'Feature', properties, geometry})
+const collection = (...features) => ({type: 'FeatureCollection', features})
+const polygon = coordinates => ({type: 'Polygon', coordinates})
+
+describe('GeoJSON validation', async () => {
+  // Detection area given as an object, rewound before the upload
+  nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post(`/rasters/${RASTER_ID}/detection_areas/upload/file/`)
+    .reply(201, {upload_id: UPLOAD_ID, upload_url: `${TEST_STORAGE_URL}/area`})
+    .post(`/rasters/${RASTER_ID}/detection_areas/upload/${UPLOAD_ID}/commit/`)
+    .reply(201, {poll_interval: TEST_POLL_INTERVAL, operation_id: OPERATION_ID})
+    .get(`/operations/${OPERATION_ID}/`)
+    .reply(200, {status: 'success'})
+  const uploadScope = nock(TEST_STORAGE_URL)
+    .put('/area', collection(feature(polygon(SQUARE))))
+    .reply(200)
+  beforeEach(() => {
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL)
+  })
+  it('Should accept valid polygons', () => {
+    const geojson = collection(
+      feature(polygon(SQUARE)),
+      feature({type: 'MultiPolygon', coordinates: [SQUARE, [[[2, 2], [3, 2], [3, 3], [2, 2]]]]})
+    )
+    assert.deepEqual(validateGeoJSON(geojson), geojson)
+  })
+  it('Should report every problem with the index of its feature', () => {
+    const geojson = collection(
+      feature(polygon([[[0, 0], [1, 0], [1, 1], [0, 1]]])),
+      feature(polygon([[[0, 0], [1, 1], [1, 0], [0, 1], [0, 0]]])),
+      feature(polygon(CW_SQUARE)),
+      feature(polygon([[[0, 0], [200, 0], [1, 1], [0, 0]]])),
+      feature({type: 'Point', coordinates: [0, 0]}),
+      feature(null),
+      {type: 'Polygon', coordinates: SQUARE}
+    )
+    try {
+      validateGeoJSON(geojson, {rewind: false})
+      assert.fail('Invalid GeoJSON accepted')
+    } catch (err) {
+      assert.equal(err.name, 'Validation Error')
+      assert.deepEqual(err.data.errors.map(e => e.feature), [0, 1, 2, 3, 4, 5, 6])
+      assert.match(err.data.errors[0].message, /not closed/)
+      assert.match(err.data.errors[1].message, /intersects itself/)
+      assert.match(err.data.errors[2].message, /counterclockwise/)
+      assert.match(err.data.errors[3].message, /out of the WGS84/)
+      assert.match(err.data.errors[4].message, /Point is not allowed/)
+      assert.match(err.data.errors[5].message, /empty geometry/)
+      assert.match(err.data.errors[6].message, /not a Feature/)
+      assert.match(err.message, /feature 0: exterior ring is not closed/)
+      assert.match(err.message, /and 2 more/)
+    }
+  })
+  it('Should reject other structures and CRS', () => {
+    assert.throws(() => validateGeoJSON({}), {name: 'Validation Error'})
+    assert.throws(() => validateGeoJSON(polygon(SQUARE)), {name: 'Validation Error'})
+    const projected = Object.assign(collection(), {crs: {type: 'name', properties: {name: 'urn:ogc:def:crs:EPSG::2056'}}})
+    assert.throws(() => validateGeoJSON(projected), /EPSG::2056 is not WGS84/)
+    const wgs84 = Object.assign(collection(), {crs: {type: 'name', properties: {name: 'urn:ogc:def:crs:OGC:1.3:CRS84'}}})
+    assert.deepEqual(validateGeoJSON(wgs84), wgs84)
+  })
+  it('Should apply the requested fixes without modifying the input', () => {
+    const geojson = collection(
+      feature(polygon(CW_SQUARE), {name: 'a'}),
+      feature({type: 'GeometryCollection', geometries: [polygon(CW_SQUARE), polygon(SQUARE)]}, {name: 'b'}),
+      feature({type: 'Polygon', coordinates: []})
+    )
+    const copy = JSON.parse(JSON.stringify(geojson))
+    const fixed = validateGeoJSON(geojson, {dropEmpty: true, explodeCollections: true})
+    assert.deepEqual(fixed, collection(
+      feature(polygon(SQUARE), {name: 'a'}),
+      feature(polygon(SQUARE), {name: 'b'}),
+      feature(polygon(SQUARE), {name: 'b'})
+    ))
+    assert.deepEqual(geojson, copy)
+  })
+  it('Should set a detection area from an object, fixing it on the way', async () => {
+    const res = await this.mockClient.setRasterDetectionAreaFromFile(collection(feature(polygon(CW_SQUARE))), RASTER_ID)
+    assert.ok(res)
+    assert.ok(uploadScope.isDone())
+  })
+  it('Should refuse an invalid detection area before any request', async () => {
+    await assert.rejects(
+      this.mockClient.setRasterDetectionAreaFromFile(Buffer.from('{"type": "Feature'), RASTER_ID),
+      {name: 'Validation Error'}
+    )
+    await assert.rejects(
+      this.mockClient.setRasterDetectionAreaFromFile(collection(feature(polygon(CW_SQUARE))), RASTER_ID, {
+        validate: {rewind: false}
+      }),
+      {name: 'Validation Error'}
+    )
+  })
+})
@@ -0,0 +1,107 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+const fs = require('fs')
+const {Readable} = require('stream')
+const tmp = require('tmp')
+
+const {APIClient} = require('../dist/index.js')
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_API_KEY = '123456'
+const TEST_POLL_INTERVAL = 0.1
+const TEST_STORAGE_URL = 'http://io.storage.example.com'
+const RASTER_ID = '4a5b6c7d-8e9f-4a1b-8c2d-3e4f5a6b7c8d'
+const UPLOAD_ID = '1d2c3b4a-5f6e-4d8c-9b0a-1f2e3d4c5b6a'
+const UPLOAD_OPERATION_ID = '7b8c9d0e-1f2a-4b4c-8d6e-7f8a9b0c1d2e'
+const RESULT_OPERATION_ID = '0e9d8c7b-6a5f-4e3d-8c1b-0a9f8e7d6c5b'
+const RESULT = {type: 'FeatureCollection', features: []}
+
+describe('Upload and download of in-memory data', async () => {
+  // Raster uploads from a Buffer, then from a stream
+  let scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post('/rasters/upload/file/')
+    .times(2)
+    .reply(201, {raster_id: RASTER_ID, upload_url: `${TEST_STORAGE_URL}/raster`})
+    .post(`/rasters/${RASTER_ID}/commit/`)
+    .times(2)
+    .reply(201, {poll_interval: TEST_POLL_INTERVAL, operation_id: UPLOAD_OPERATION_ID})
+    .get(`/operations/${UPLOAD_OPERATION_ID}/`)
+    .times(3)
+    .reply(200, {status: 'success'})
+  const bufferScope = nock(TEST_STORAGE_URL).put('/raster', 'buffer data').reply(200)
+  const streamScope = nock(TEST_STORAGE_URL).put('/raster', 'stream data').reply(200)
+  // Detection area from a Blob
+  scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post(`/rasters/${RASTER_ID}/detection_areas/upload/file/`)
+    .reply(201, {upload_id: UPLOAD_ID, upload_url: `${TEST_STORAGE_URL}/area`})
+    .post(`/rasters/${RASTER_ID}/detection_areas/upload/${UPLOAD_ID}/commit/`)
+    .reply(201, {poll_interval: TEST_POLL_INTERVAL, operation_id: UPLOAD_OPERATION_ID})
+  const blobScope = nock(TEST_STORAGE_URL).put('/area', RESULT).reply(200)
+  // Results download
+  scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get(`/operations/${RESULT_OPERATION_ID}/`)
+    .times(3)
+    .reply(200, {status: 'success', results: {url: `${TEST_STORAGE_URL}/result`}})
+  nock(TEST_STORAGE_URL).get('/result').times(3).reply(200, RESULT)
+  scope.defaultReplyHeaders({'content-type': 'application/json'})
+  beforeEach(() => {
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL)
+  })
+  it('Should upload a raster from a Buffer', async () => {
+    const progress = []
+    const res = await this.mockClient.uploadRaster(Buffer.from('buffer data'), '', '', {
+      onProgress: p => progress.push(p.bytesSent)
+    })
+    assert.equal(res, RASTER_ID)
+    assert.ok(bufferScope.isDone())
+    assert.deepEqual(progress, [11])
+  })
+  it('Should upload a raster from a stream', async () => {
+    const res = await this.mockClient.uploadRaster(Readable.from([Buffer.from('stream data')]))
+    assert.equal(res, RASTER_ID)
+    assert.ok(streamScope.isDone())
+  })
+  it('Should refuse a chunked upload from a stream', async () => {
+    await assert.rejects(
+      this.mockClient.uploadRaster(Readable.from([Buffer.from('data')]), '', '', {chunkSize: 2}),
+      {name: 'Validation Error'}
+    )
+  })
+  it('Should refuse unsupported inputs', async () => {
+    await assert.rejects(this.mockClient.uploadRaster(42), TypeError)
+  })
+  // Node only has a global Blob since version 18
+  const itWithBlob = typeof Blob === 'undefined' ? it.skip : it
+  itWithBlob('Should set a detection area from a Blob', async () => {
+    const blob = new Blob([JSON.stringify(RESULT)], {type: 'application/json'})
+    const res = await this.mockClient.setRasterDetectionAreaFromFile(blob, RASTER_ID)
+    assert.ok(res)
+    assert.ok(blobScope.isDone())
+  })
+  it('Should download results as an ArrayBuffer', async () => {
+    const res = await this.mockClient.downloadResult(RESULT_OPERATION_ID, {as: 'arrayBuffer'})
+    assert.deepEqual(JSON.parse(Buffer.from(res).toString()), RESULT)
+  })
+  it('Should download results as a stream', async () => {
+    const res = await this.mockClient.downloadResult(RESULT_OPERATION_ID)
+    const chunks = []
+    for await (const chunk of res) {
+      chunks.push(chunk)
+    }
+    assert.deepEqual(JSON.parse(Buffer.concat(chunks).toString()), RESULT)
+  })
+  it('Should download results to a file', async () => {
+    const file = tmp.fileSync()
+    try {
+      await this.mockClient.downloadResultToFile(RESULT_OPERATION_ID, file.name)
+      assert.deepEqual(JSON.parse(fs.readFileSync(file.name)), RESULT)
+    } finally {
+      file.removeCallback()
+    }
+  })
+  it('Should refuse unknown download types', async () => {
+    await assert.rejects(this.mockClient.downloadResult(RESULT_OPERATION_ID, {as: 'spam'}), {name: 'Validation Error'})
+  })
+})
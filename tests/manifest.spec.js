@@ -0,0 +1,110 @@
+// Imports
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+const fs = require('fs')
+const path = require('path')
+const {Readable} = require('stream')
+const tmp = require('tmp')
+
+const {ValidationError} = require('../dist/index.js')
+const {main} = require('../dist/cli.js')
+const {FakeServer} = require('../testing')
+
+// CONSTANTS
+const AREA = {
+  type: 'FeatureCollection',
+  features: [{type: 'Feature', properties: {}, geometry: {type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]}}]
+}
+const OTHER_AREA = {
+  type: 'FeatureCollection',
+  features: [{type: 'Feature', properties: {}, geometry: {type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 2], [0, 0]]]}}]
+}
+const uploads = server => server.requests.filter(r => r.method === 'POST' && /\/upload\/(file|bulk)\/$/.test(r.path)).length
+
+describe('Upload manifest', async () => {
+  before(async () => {
+    this.server = await new FakeServer({pollInterval: 0.01}).start()
+  })
+  after(async () => {
+    await this.server.stop()
+  })
+  beforeEach(() => {
+    this.client = this.server.createClient()
+    this.dir = tmp.dirSync({unsafeCleanup: true})
+    this.manifest = path.join(this.dir.name, 'uploads.json')
+    this.raster = path.join(this.dir.name, 'raster.tif')
+    fs.writeFileSync(this.raster, 'raster data')
+  })
+  afterEach(() => {
+    this.dir.removeCallback()
+  })
+  // Start testing
+  it('Should reuse the rasters already uploaded', async () => {
+    this.client.useUploadManifest(this.manifest)
+    const rasterId = await this.client.uploadRaster(this.raster, 'first')
+    const requests = uploads(this.server)
+    // Same data, from a file or in memory
+    assert.equal(await this.client.uploadRaster(this.raster, 'second'), rasterId)
+    assert.equal(await this.client.uploadRaster(Buffer.from('raster data'), 'third'), rasterId)
+    assert.equal(uploads(this.server), requests)
+    const manifest = JSON.parse(fs.readFileSync(this.manifest, 'utf8'))
+    assert.equal(manifest.version, 1)
+    assert.deepEqual(Object.values(manifest.rasters).map(({rasterId, name}) => ({rasterId, name})), [{rasterId, name: 'first'}])
+    // The manifest survives the client
+    const client = this.server.createClient()
+    client.useUploadManifest(this.manifest)
+    assert.equal(await client.uploadRaster(this.raster), rasterId)
+    // Other data, forced uploads and streams are uploaded
+    assert.notEqual(await client.uploadRaster(Buffer.from('other data')), rasterId)
+    assert.notEqual(await client.uploadRaster(this.raster, 'forced', '', {dedupe: false}), rasterId)
+    const streamed = await client.uploadRaster(Readable.from([Buffer.from('raster data')]))
+    assert.equal(uploads(this.server), requests + 3)
+    assert.notEqual(streamed, rasterId)
+  })
+  it('Should upload again the rasters deleted or not ready', async () => {
+    this.client.useUploadManifest(this.manifest)
+    const rasterId = await this.client.uploadRaster(this.raster)
+    await this.client.deleteRasterById(rasterId)
+    const reuploaded = await this.client.uploadRaster(this.raster)
+    assert.notEqual(reuploaded, rasterId)
+    this.server.state.rasters.get(reuploaded).status = 'failed'
+    assert.notEqual(await this.client.uploadRaster(this.raster), reuploaded)
+    assert.equal(Object.keys(JSON.parse(fs.readFileSync(this.manifest, 'utf8')).rasters).length, 1)
+  })
+  it('Should skip setting the same detection areas and annotations', async () => {
+    this.client.useUploadManifest(this.manifest)
+    const rasterId = await this.client.uploadRaster(this.raster)
+    const detectorId = await this.client.createDetector('trees')
+    await this.client.addRasterToDetector(rasterId, detectorId)
+    let requests = uploads(this.server)
+    assert.equal(await this.client.setRasterDetectionAreaFromFile(AREA, rasterId), true)
+    assert.equal(await this.client.setRasterDetectionAreaFromFile(AREA, rasterId), true)
+    assert.equal(uploads(this.server), requests + 1)
+    // Another area replaces the recorded one
+    await this.client.setRasterDetectionAreaFromFile(OTHER_AREA, rasterId)
+    await this.client.setRasterDetectionAreaFromFile(AREA, rasterId)
+    assert.equal(uploads(this.server), requests + 3)
+    assert.deepEqual(await this.client.getRasterDetectionArea(rasterId), AREA)
+    requests = uploads(this.server)
+    await this.client.setAnnotations(detectorId, rasterId, 'outline', AREA)
+    await this.client.setAnnotations(detectorId, rasterId, 'outline', AREA)
+    // Per detector, raster and annotation type
+    await this.client.setAnnotations(detectorId, rasterId, 'training_area', AREA)
+    assert.equal(uploads(this.server), requests + 2)
+    await this.client.clearAnnotations(detectorId, rasterId, 'outline')
+    assert.equal(uploads(this.server), requests + 3)
+  })
+  it('Should reject invalid manifests', async () => {
+    fs.writeFileSync(this.manifest, '{"version": 2}')
+    assert.throws(() => this.client.useUploadManifest(this.manifest), /Invalid upload manifest .*: expected version 1/)
+    fs.writeFileSync(this.manifest, 'not json')
+    assert.throws(() => this.client.useUploadManifest(this.manifest), ValidationError)
+  })
+  it('Should use a manifest from the command line', async () => {
+    const io = {stdout: {write: () => null}, stderr: {write: () => null}}
+    const argv = ['--api-key', this.server.apiKey, '--base-url', this.server.baseUrl, '--quiet', '--manifest', this.manifest]
+    assert.equal(await main(['rasters', 'upload', this.raster].concat(argv), io), 0)
+    const requests = uploads(this.server)
+    assert.equal(await main(['rasters', 'upload', this.raster].concat(argv), io), 0)
+    assert.equal(uploads(this.server), requests)
+  })
+})
@@ -0,0 +1,86 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+
+const APIClient = require('../dist/index.js').APIClient
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_PROXY_URL = 'http://proxy.example.com/picterra'
+const TEST_API_KEY = '123456'
+const TEST_STORAGE_URL = 'http://middleware.storage.example.com'
+const RASTER_ID = '3d8f1a6c-5b2e-4c9a-8f3d-7e1b4a9c2f5d'
+const DETECTOR_ID = '6e2a9d4f-8c1b-4e7a-9d3f-2b5c8e1a4f7d'
+const OPERATION_ID = '9b4e7c2a-1d5f-4a8e-b3c6-5f8a2d7e1c4b'
+
+describe('Middleware hooks', async () => {
+  // Raster detail, with a tracing header
+  nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY, 'X-Request-Id': 'trace-1'}})
+    .get(`/rasters/${RASTER_ID}/`)
+    .reply(200, {id: RASTER_ID})
+  // Detector detail through a proxy, failing once
+  nock(TEST_PROXY_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get(`/detectors/${DETECTOR_ID}/`)
+    .reply(503, {}, {'Retry-After': '0'})
+    .get(`/detectors/${DETECTOR_ID}/`)
+    .reply(200, {id: DETECTOR_ID})
+  // Results download from the blobstore, then a network error
+  nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get(`/operations/${OPERATION_ID}/`)
+    .times(2)
+    .reply(200, {status: 'success', results: {url: `${TEST_STORAGE_URL}/results?signature=secret`}})
+  nock(TEST_STORAGE_URL)
+    .get('/results?signature=secret')
+    .reply(200, {type: 'FeatureCollection', features: []})
+    .get('/results?signature=secret')
+    .replyWithError({code: 'EPROTO', message: 'protocol error'})
+  beforeEach(() => {
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL, 300, {retry: {baseDelay: 0.01}, storageRetry: false})
+  })
+  it('Should let hooks add headers, with the API key redacted', async () => {
+    const seen = []
+    this.mockClient.use({
+      onRequest: request => {
+        seen.push(Object.assign({}, request.headers))
+        request.headers['X-Request-Id'] = 'trace-1'
+      }
+    })
+    assert.deepEqual(await this.mockClient.getRasterById(RASTER_ID), {id: RASTER_ID})
+    assert.deepEqual(seen, [{'X-Api-Key': 'REDACTED'}])
+  })
+  it('Should let hooks rewrite URLs, and report every attempt', async () => {
+    const responses = []
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL, 300, {
+      retry: {baseDelay: 0.01},
+      middleware: [{
+        onRequest: request => Object.assign({}, request, {url: request.url.replace(TEST_API_URL, TEST_PROXY_URL)})
+      }, {
+        onResponse: ({request, status, duration, attempt}) => {
+          assert.ok(duration >= 0)
+          responses.push([request.method, request.url, status, attempt, request.headers['X-Api-Key']])
+        }
+      }]
+    })
+    assert.deepEqual(await this.mockClient.getDetectorById(DETECTOR_ID), {id: DETECTOR_ID})
+    assert.deepEqual(responses, [
+      ['GET', `${TEST_PROXY_URL}/detectors/${DETECTOR_ID}/`, 503, 1, 'REDACTED'],
+      ['GET', `${TEST_PROXY_URL}/detectors/${DETECTOR_ID}/`, 200, 2, 'REDACTED']
+    ])
+  })
+  it('Should cover blobstore requests and network errors', async () => {
+    const calls = []
+    const unregister = this.mockClient.use({
+      onResponse: ({request, status}) => calls.push([request.internal, status]),
+      onError: ({request, error}) => calls.push([request.internal, error.code])
+    })
+    await this.mockClient.getResults(OPERATION_ID)
+    await assert.rejects(this.mockClient.getResults(OPERATION_ID))
+    assert.deepEqual(calls, [[true, 200], [false, 200], [true, 200], [false, 'EPROTO']])
+    unregister()
+    assert.equal(this.mockClient._middlewares.length, 0)
+  })
+  it('Should refuse invalid middlewares', () => {
+    assert.throws(() => this.mockClient.use({}), TypeError)
+    assert.throws(() => this.mockClient.use({onRequest: 'spam'}), TypeError)
+  })
+})
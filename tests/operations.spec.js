@@ -0,0 +1,109 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+
+const {APIClient, Operation, ValidationError, OperationTimeoutError, OperationCancelledError} = require('../dist/index.js')
+// Node only has AbortController since version 15
+const AbortController = global.AbortController || require('abort-controller')
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_API_KEY = '123456'
+const TEST_POLL_INTERVAL = 0.1
+const DETECTOR_ID = '5b0e3a4d-4c0f-4a39-8a0e-9a3d1b7e2c11'
+const RASTER_ID = '0c7a2f0e-9d55-4d8b-8f57-4b1fd2b1e6a3'
+const TIMEOUT_OPERATION_ID = 'e1f8e5a0-2a7c-4a57-9f0a-3ad0a9b5a0c1'
+const CANCEL_OPERATION_ID = '9b7d7c4e-0f1e-4a63-b2a4-1f0c4a0bb7d2'
+const RESUMED_OPERATION_ID = '4d3c2b1a-6f5e-4b7a-8d9c-0b1a2f3e4d5c'
+const RESULTS = {url: 'http://storage.example.com/results.geojson'}
+
+describe('Operation polling', async () => {
+  // Detection that never finishes, used for the timeout
+  let scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post(`/detectors/${DETECTOR_ID}/run/`, {raster_id: RASTER_ID})
+    .times(2)
+    .reply(201, {operation_id: TIMEOUT_OPERATION_ID, poll_interval: TEST_POLL_INTERVAL})
+    .get(`/operations/${TIMEOUT_OPERATION_ID}/`)
+    .times(20)
+    .reply(200, {status: 'running'})
+  // Training that never finishes, used for the cancellation
+  scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post(`/detectors/${DETECTOR_ID}/train/`)
+    .reply(201, {operation_id: CANCEL_OPERATION_ID, poll_interval: TEST_POLL_INTERVAL})
+    .get(`/operations/${CANCEL_OPERATION_ID}/`)
+    .times(20)
+    .reply(200, {status: 'running'})
+  // Detection started by one client and resumed by another
+  scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post(`/detectors/${DETECTOR_ID}/run/`, {raster_id: 'resumed'})
+    .reply(201, {operation_id: RESUMED_OPERATION_ID, poll_interval: TEST_POLL_INTERVAL})
+    .get(`/operations/${RESUMED_OPERATION_ID}/`)
+    .times(2)
+    .reply(200, {status: 'running', type: 'detector_prediction'})
+    .get(`/operations/${RESUMED_OPERATION_ID}/`)
+    .times(2)
+    .reply(200, {status: 'success', type: 'detector_prediction', results: RESULTS})
+  scope.defaultReplyHeaders({'content-type': 'application/json'})
+  beforeEach(() => {
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL)
+  })
+  it('Should time out when the operation does not complete in time', async () => {
+    await assert.rejects(
+      this.mockClient.runDetector(DETECTOR_ID, RASTER_ID, {timeout: 0.3}),
+      err => {
+        assert.ok(err instanceof OperationTimeoutError)
+        assert.equal(err.operationId, TIMEOUT_OPERATION_ID)
+        assert.equal(err.operationStatus, 'running')
+        return true
+      }
+    )
+  })
+  it('Should time out after the client timeout, in seconds too', async () => {
+    const start = Date.now()
+    await assert.rejects(new APIClient(TEST_API_KEY, TEST_API_URL, 0.3).runDetector(DETECTOR_ID, RASTER_ID), OperationTimeoutError)
+    assert.ok(Date.now() - start < 2000)
+  })
+  it('Should stop polling when the signal is aborted', async () => {
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(), 300)
+    await assert.rejects(
+      this.mockClient.trainDetector(DETECTOR_ID, {signal: controller.signal}),
+      err => {
+        assert.ok(err instanceof OperationCancelledError)
+        assert.equal(err.operationId, CANCEL_OPERATION_ID)
+        assert.equal(err.operationStatus, 'running')
+        return true
+      }
+    )
+  })
+  it('Should start an operation and resume it from its JSON representation', async () => {
+    const operation = await this.mockClient.startRunDetector(DETECTOR_ID, 'resumed')
+    assert.ok(operation instanceof Operation)
+    assert.equal(operation.id, RESUMED_OPERATION_ID)
+    const saved = JSON.parse(JSON.stringify(operation))
+    assert.deepEqual(saved, {
+      id: RESUMED_OPERATION_ID,
+      pollInterval: TEST_POLL_INTERVAL,
+      type: null,
+      meta: {detectorId: DETECTOR_ID, rasterId: 'resumed'}
+    })
+    const resumed = await new APIClient(TEST_API_KEY, TEST_API_URL).getOperation(saved)
+    assert.equal(await resumed.status(), 'running')
+    await assert.rejects(resumed.result(), ValidationError)
+    assert.deepEqual(await resumed.wait(), RESULTS)
+    assert.equal(resumed.type, 'detector_prediction')
+  })
+  it('Should rebuild an operation from its id', async () => {
+    const operation = await this.mockClient.getOperation(RESUMED_OPERATION_ID)
+    assert.equal(operation.data.status, 'success')
+    assert.deepEqual(await operation.result(), RESULTS)
+  })
+  it('Should not send anything when the signal is already aborted', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    await assert.rejects(
+      this.mockClient.runDetector(DETECTOR_ID, RASTER_ID, {signal: controller.signal}),
+      OperationCancelledError
+    )
+  })
+})
@@ -0,0 +1,185 @@
+// Imports
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+const fs = require('fs')
+const path = require('path')
+const tmp = require('tmp')
+
+const {loadPipeline, ValidationError, OperationFailedError} = require('../dist/index.js')
+const {main} = require('../dist/cli.js')
+const {FakeServer} = require('../testing')
+
+// CONSTANTS
+const AREA = {
+  type: 'FeatureCollection',
+  features: [{type: 'Feature', properties: {}, geometry: {type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]}}]
+}
+const DETECTED = {
+  type: 'FeatureCollection',
+  features: [{type: 'Feature', properties: {}, geometry: {type: 'Polygon', coordinates: [[[0, 0], [0.1, 0], [0.1, 0.1], [0, 0]]]}}]
+}
+const SPEC = `
+name: trees
+stateFile: state.json
+steps:
+  - id: raster
+    action: uploadRaster
+    with: {file: raster.tif, name: "\${env.RASTER_NAME}"}
+  - action: setDetectionArea
+    with: {raster: "\${steps.raster.rasterId}", file: area.geojson}
+  - id: detector
+    action: createDetector
+    with: {name: trees, detectionType: count, trainingSteps: 1000}
+  - action: addRasterToDetector
+    with: {raster: "\${steps.raster.rasterId}", detector: "\${steps.detector.detectorId}"}
+  - action: setAnnotations
+    with: {detector: "\${steps.detector.detectorId}", raster: "\${steps.raster.rasterId}", type: outline, file: area.geojson}
+  - id: train
+    action: trainDetector
+    with: {detector: "\${steps.detector.detectorId}"}
+  - id: detect
+    action: runDetector
+    with: {detector: "\${steps.detector.detectorId}", raster: "\${steps.raster.rasterId}"}
+  - action: downloadResults
+    with: {operation: "\${steps.detect.operationId}", file: results.csv}
+`
+
+describe('Pipelines', async () => {
+  before(async () => {
+    this.server = await new FakeServer({pollInterval: 0.01, detect: () => DETECTED}).start()
+  })
+  after(async () => {
+    await this.server.stop()
+  })
+  beforeEach(() => {
+    this.server.clearFailures()
+    this.client = this.server.createClient()
+    this.dir = tmp.dirSync({unsafeCleanup: true})
+    this.spec = path.join(this.dir.name, 'pipeline.yaml')
+    fs.writeFileSync(this.spec, SPEC)
+    fs.writeFileSync(path.join(this.dir.name, 'raster.tif'), 'raster data')
+    fs.writeFileSync(path.join(this.dir.name, 'area.geojson'), JSON.stringify(AREA))
+  })
+  afterEach(() => {
+    this.dir.removeCallback()
+  })
+  // Start testing
+  it('Should run a pipeline, passing ids between steps', async () => {
+    const steps = []
+    const report = await this.client.runPipeline(this.spec, {
+      env: {RASTER_NAME: 'orchard'},
+      onStep: ({id, status}) => steps.push(`${id} ${status}`)
+    })
+    assert.equal(report.status, 'success')
+    assert.equal(report.name, 'trees')
+    assert.equal(report.error, null)
+    assert.deepEqual(report.steps.map(s => s.status), Array(8).fill('success'))
+    assert.deepEqual(steps.slice(0, 3), ['raster running', 'raster success', 'step2 running'])
+    const {rasterId} = report.steps[0].outputs
+    assert.equal(this.server.state.rasters.get(rasterId).name, 'orchard')
+    assert.deepEqual(await this.client.getRasterDetectionArea(rasterId), AREA)
+    const {detectorId} = report.steps[2].outputs
+    assert.deepEqual((await this.client.listTrainingRasters(detectorId)).map(r => r.id), [rasterId])
+    assert.deepEqual(report.steps[5].outputs, {detectorId, metrics: null})
+    const results = path.join(this.dir.name, 'results.csv')
+    assert.deepEqual(report.steps[7].outputs, {file: results})
+    assert.ok(fs.readFileSync(results, 'utf8').startsWith('longitude,latitude,area,wkt\n'))
+    // A rerun skips all the steps
+    const requests = this.server.requests.length
+    const rerun = await this.client.runPipeline(this.spec, {env: {RASTER_NAME: 'orchard'}})
+    assert.deepEqual(rerun.steps.map(s => s.status), Array(8).fill('skipped'))
+    assert.deepEqual(rerun.steps[6].outputs, report.steps[6].outputs)
+    assert.equal(this.server.requests.length, requests)
+    // Unless forced
+    const forced = await this.client.runPipeline(this.spec, {env: {RASTER_NAME: 'orchard'}, force: true})
+    assert.notEqual(forced.steps[0].outputs.rasterId, rasterId)
+  })
+  it('Should resume a failed pipeline from its state file', async () => {
+    this.server.injectOperationFailure({type: 'training', error: 'Not enough annotations'})
+    const report = await this.client.runPipeline(this.spec, {env: {}})
+    assert.equal(report.status, 'failed')
+    assert.ok(report.error instanceof OperationFailedError)
+    assert.deepEqual(report.steps.map(s => s.status), [
+      'success', 'success', 'success', 'success', 'success', 'failed', 'pending', 'pending'
+    ])
+    assert.equal(report.steps[5].error, report.error)
+    const state = JSON.parse(fs.readFileSync(path.join(this.dir.name, 'state.json'), 'utf8'))
+    assert.equal(report.stateFile, path.join(this.dir.name, 'state.json'))
+    assert.equal(state.steps.train.status, 'failed')
+    assert.equal(state.steps.train.error, report.error.message)
+    const resumed = await this.client.runPipeline(this.spec, {env: {}})
+    assert.equal(resumed.status, 'success')
+    assert.deepEqual(resumed.steps.map(s => s.status), [
+      'skipped', 'skipped', 'skipped', 'skipped', 'skipped', 'success', 'success', 'success'
+    ])
+    assert.equal(resumed.steps[6].outputs.operationId.length, 36)
+  })
+  it('Should rerun the pipeline from the first changed step', async () => {
+    const spec = loadPipeline(this.spec)
+    const stateFile = path.join(this.dir.name, 'other-state.json')
+    await this.client.runPipeline(spec, {stateFile, env: {}})
+    spec.steps[7].with.file = 'results.kml'
+    let rerun = await this.client.runPipeline(spec, {stateFile, env: {}})
+    assert.deepEqual(rerun.steps.map(s => s.status), Array(7).fill('skipped').concat(['success']))
+    assert.ok(fs.readFileSync(path.join(this.dir.name, 'results.kml'), 'utf8').includes('<Placemark>'))
+    rerun = await this.client.runPipeline(spec, {stateFile, env: {RASTER_NAME: 'renamed'}})
+    assert.deepEqual(rerun.steps.map(s => s.status), Array(8).fill('success'))
+  })
+  it('Should reject invalid pipelines', async () => {
+    assert.throws(() => loadPipeline({steps: []}), /expected an object with a non-empty "steps" array/)
+    assert.throws(() => loadPipeline(path.join(this.dir.name, 'missing.yaml')), /Cannot read pipeline/)
+    fs.writeFileSync(path.join(this.dir.name, 'broken.json'), '{"steps": [')
+    assert.throws(() => loadPipeline(path.join(this.dir.name, 'broken.json')), ValidationError)
+    assert.throws(() => loadPipeline({
+      steps: [
+        {id: 'raster', action: 'uploadRaster', with: {name: 'a', spam: 1}},
+        {action: 'deleteEverything'},
+        {action: 'runDetector', with: {detector: '${steps.raster.detectorId}', raster: '${steps.later.rasterId}'}},
+        {id: 'raster', action: 'trainDetector', with: {detector: 'd'}, retries: 2}
+      ]
+    }), err => {
+      assert.deepEqual(err.data.errors, [
+        'step raster: unknown parameter spam of uploadRaster; allowed values: file, name, folderId',
+        'step raster: missing parameter file of uploadRaster',
+        'step step2: invalid action deleteEverything; allowed values: uploadRaster, setDetectionArea, createDetector, ' +
+          'addRasterToDetector, setAnnotations, trainDetector, runDetector, downloadResults',
+        'step step3: step raster (uploadRaster) has no output detectorId',
+        'step step3: invalid reference ${steps.later.rasterId}; expected ${steps.<id>.<output>} of a previous step, or ${env.<NAME>}',
+        'step raster: unknown field retries',
+        'step raster: duplicate id'
+      ])
+      return err instanceof ValidationError
+    })
+  })
+  it('Should run pipelines from the command line', async () => {
+    const output = {stdout: '', stderr: ''}
+    const io = {
+      stdout: {write: text => { output.stdout += text }},
+      stderr: {write: text => { output.stderr += text }}
+    }
+    const argv = ['--api-key', this.server.apiKey, '--base-url', this.server.baseUrl, '--quiet']
+    assert.equal(await main(['pipeline', 'validate', this.spec].concat(argv), io), 0)
+    assert.equal(JSON.parse(output.stdout).steps[1].id, 'step2')
+    this.server.injectOperationFailure({type: 'detector_prediction'})
+    const report = path.join(this.dir.name, 'report.json')
+    assert.equal(await main(['pipeline', 'run', this.spec, '--report', report].concat(argv), io), 7)
+    assert.equal(JSON.parse(fs.readFileSync(report, 'utf8')).steps[6].error.endsWith('failed: Injected failure'), true)
+    output.stdout = ''
+    assert.equal(await main(['pipeline', 'run', this.spec].concat(argv), io), 0)
+    assert.equal(JSON.parse(output.stdout).steps[5].status, 'skipped')
+    // Paths given on the command line are relative to the current directory
+    const cwd = process.cwd()
+    const other = tmp.dirSync({unsafeCleanup: true})
+    try {
+      process.chdir(other.name)
+      output.stdout = ''
+      assert.equal(await main(['pipeline', 'run', this.spec, '--state', 'run.json', '--report', 'report.json'].concat(argv), io), 0)
+      assert.equal(JSON.parse(output.stdout).steps[0].status, 'success')
+      assert.equal(JSON.parse(fs.readFileSync(path.join(other.name, 'run.json'), 'utf8')).steps.raster.status, 'success')
+      assert.ok(fs.existsSync(path.join(other.name, 'report.json')))
+      assert.ok(!fs.existsSync(path.join(this.dir.name, 'run.json')))
+    } finally {
+      process.chdir(cwd)
+      other.removeCallback()
+    }
+  })
+})
@@ -82,11 +82,21 @@ describe('/rasters/ endpoints', async () => {
     .reply(200, mockRasterList[1])
     .log(console.log)
     .log(console.log)
+  // Raster iteration with filters
+  const filteredScope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get(`/rasters/?page_number=1&folder=${FOLDER_ID}&status=ready&page_size=2`)
+    .reply(200, mockRasterList[0])
+    .get(`/rasters/?page_number=2&folder=${FOLDER_ID}&status=ready&page_size=2`)
+    .reply(200, mockRasterList[1])
   // Raster detail
   scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
     .get(`/rasters/${RASTER_ID}/`)
     .reply(200, mockRasterList[0]['results'].find(r => r.id === RASTER_ID))
     .log(console.log)
+  // Raster edit
+  scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .put(`/rasters/${RASTER_ID}/`, {name: 'renamed', folder_id: FOLDER_ID})
+    .reply(200, {id: RASTER_ID, name: 'renamed', folder_id: FOLDER_ID})
   // Raster removal
   scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
     .delete(`/rasters/${RASTER_ID}/`)
@@ -112,6 +122,24 @@ describe('/rasters/ endpoints', async () => {
     const res = await this.mockClient.listRasters()
     assert.ok(res)
   })
+  it('Should lazily iterate over filtered rasters', async () => {
+    const iterator = this.mockClient.iterRasters({folderId: FOLDER_ID, status: 'ready', pageSize: 2})
+    assert.equal(iterator.count, null)
+    const ids = []
+    for await (const raster of iterator) {
+      ids.push(raster.id)
+      if (ids.length === 2) {
+        // Second page not requested until the first one is consumed
+        assert.ok(!filteredScope.isDone())
+        assert.equal(iterator.count, 4)
+      }
+    }
+    assert.deepEqual(ids, [RASTER_ID, '2', '1', '2'])
+    assert.ok(filteredScope.isDone())
+  })
+  it('Should reject unknown raster filters', async () => {
+    assert.throws(() => this.mockClient.iterRasters({spam: 'eggs'}), {name: 'Validation Error'})
+  })
   it('Should get one raster', async () => {
     const res = await this.mockClient.getRasterById(RASTER_ID)
     assert.ok(res)
@@ -120,6 +148,14 @@ describe('/rasters/ endpoints', async () => {
     const res = await this.mockClient.setRasterDetectionAreaFromFile(FILEPATH, RASTER_ID)
     assert.ok(res)
   })
+  it('Should edit one raster', async () => {
+    const res = await this.mockClient.editRaster(RASTER_ID, {name: 'renamed', folderId: FOLDER_ID})
+    assert.ok(res)
+  })
+  it('Should reject unknown or missing raster fields', async () => {
+    await assert.rejects(this.mockClient.editRaster(RASTER_ID, {folder: FOLDER_ID}), {name: 'Validation Error'})
+    await assert.rejects(this.mockClient.editRaster(RASTER_ID, {}), {name: 'Validation Error'})
+  })
   it('Should delete one raster', async () => {
     const res = await this.mockClient.deleteRasterById(RASTER_ID)
     assert.ok(res)
@@ -0,0 +1,68 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+const {Readable} = require('stream')
+
+const {APIClient, APIError, ValidationError} = require('../dist/index.js')
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_API_KEY = '123456'
+const TEST_STORAGE_URL = 'http://results.storage.example.com'
+const DETECTION_OPERATION_ID = '8e7d6c5b-4a3f-4e1d-9c0b-a9f8e7d6c5b4'
+const TRAINING_OPERATION_ID = '1b2c3d4e-5f6a-4b8c-9d0e-1f2a3b4c5d6e'
+const RUNNING_OPERATION_ID = '6f5e4d3c-2b1a-4c9d-8e7f-6a5b4c3d2e1f'
+const RESULT = {
+  type: 'FeatureCollection',
+  features: [
+    {type: 'Feature', properties: {label: 'a {tricky} "name" ]'}, geometry: {type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]}},
+    {type: 'Feature', properties: {label: 'é\\\\'}, geometry: {type: 'Polygon', coordinates: [[[2, 2], [3, 2], [3, 3], [2, 2]]]}}
+  ],
+  bbox: [0, 0, 3, 3]
+}
+
+describe('Detection results', async () => {
+  let scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get(`/operations/${DETECTION_OPERATION_ID}/`)
+    .times(2)
+    .reply(200, {status: 'success', type: 'detector_prediction', results: {url: `${TEST_STORAGE_URL}/result`}})
+    .get(`/operations/${TRAINING_OPERATION_ID}/`)
+    .reply(200, {status: 'success', type: 'training'})
+    .get(`/operations/${RUNNING_OPERATION_ID}/`)
+    .reply(200, {status: 'running', type: 'detector_prediction'})
+  nock(TEST_STORAGE_URL).get('/result').reply(200, RESULT)
+  // Results sent in small chunks, splitting features and multi-byte characters
+  nock(TEST_STORAGE_URL).get('/result').reply(200, () => {
+    const data = Buffer.from(JSON.stringify(RESULT))
+    const chunks = []
+    for (let i = 0; i < data.length; i += 7) {
+      chunks.push(data.slice(i, i + 7))
+    }
+    return Readable.from(chunks)
+  })
+  scope.defaultReplyHeaders({'content-type': 'application/json'})
+  beforeEach(() => {
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL)
+  })
+  it('Should get the results as a FeatureCollection', async () => {
+    const res = await this.mockClient.getResults(DETECTION_OPERATION_ID)
+    assert.deepEqual(res, RESULT)
+  })
+  it('Should stream the features of the results', async () => {
+    const features = []
+    for await (const feature of this.mockClient.iterResultFeatures(DETECTION_OPERATION_ID)) {
+      features.push(feature)
+    }
+    assert.deepEqual(features, RESULT.features)
+  })
+  it('Should refuse operations that are not detections', async () => {
+    await assert.rejects(this.mockClient.getResults(TRAINING_OPERATION_ID), ValidationError)
+  })
+  it('Should refuse unfinished detections', async () => {
+    await assert.rejects(this.mockClient.getResults(RUNNING_OPERATION_ID), err => {
+      assert.ok(err instanceof APIError)
+      assert.equal(err.operationId, RUNNING_OPERATION_ID)
+      return true
+    })
+  })
+})
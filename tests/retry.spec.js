@@ -0,0 +1,86 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+const tmp = require('tmp')
+
+const {APIClient, APIError, ValidationError} = require('../dist/index.js')
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_API_KEY = '123456'
+const TEST_POLL_INTERVAL = 0.1
+const TEST_STORAGE_URL = 'http://retry.storage.example.com'
+const TEST_RETRY = {baseDelay: 0.01, jitter: 0}
+const RASTER_ID = '3f9d6c1a-51f5-4c57-bd0a-2f8f8d2f0c6e'
+const DETECTOR_ID = 'b1a4c7e2-8f3d-4e61-9a2b-6c5d4e3f2a1b'
+const OPERATION_ID = '6a2b1c3d-4e5f-4a7b-8c9d-0e1f2a3b4c5d'
+
+describe('Retries', async () => {
+  // Transient failures on an idempotent API request
+  let scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get(`/rasters/${RASTER_ID}/`)
+    .reply(503)
+    .get(`/rasters/${RASTER_ID}/`)
+    .replyWithError({code: 'ECONNRESET', message: 'socket hang up'})
+    .get(`/rasters/${RASTER_ID}/`)
+    .reply(429, '', {'Retry-After': '0'})
+    .get(`/rasters/${RASTER_ID}/`)
+    .reply(200, {id: RASTER_ID, status: 'ready'})
+  // Persisting failure
+  scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get(`/detectors/${DETECTOR_ID}/`)
+    .times(2)
+    .reply(502)
+  // Non-idempotent request
+  scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post(`/detectors/${DETECTOR_ID}/train/`)
+    .reply(503)
+  // Raster upload whose blobstore PUT fails once
+  scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post('/rasters/upload/file/')
+    .reply(201, {raster_id: RASTER_ID, upload_url: TEST_STORAGE_URL})
+    .post(`/rasters/${RASTER_ID}/commit/`)
+    .reply(201, {poll_interval: TEST_POLL_INTERVAL, operation_id: OPERATION_ID})
+    .get(`/operations/${OPERATION_ID}/`)
+    .reply(503)
+    .get(`/operations/${OPERATION_ID}/`)
+    .reply(200, {status: 'success'})
+  const storageScope = nock(TEST_STORAGE_URL)
+    .put('/', 'raster data')
+    .reply(503)
+    .put('/', 'raster data')
+    .reply(200)
+  scope.defaultReplyHeaders({'content-type': 'application/json'})
+  beforeEach(() => {
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL, 300, {
+      retry: Object.assign({maxAttempts: 4}, TEST_RETRY),
+      storageRetry: TEST_RETRY
+    })
+  })
+  it('Should retry idempotent requests on transient failures', async () => {
+    const res = await this.mockClient.getRasterById(RASTER_ID)
+    assert.equal(res.id, RASTER_ID)
+  })
+  it('Should give up after the max number of attempts', async () => {
+    const client = new APIClient(TEST_API_KEY, TEST_API_URL, 300, {retry: Object.assign({maxAttempts: 2}, TEST_RETRY)})
+    await assert.rejects(client.getDetectorById(DETECTOR_ID), APIError)
+  })
+  it('Should not retry non-idempotent requests', async () => {
+    await assert.rejects(this.mockClient.trainDetector(DETECTOR_ID), APIError)
+  })
+  it('Should reject invalid retry policies', async () => {
+    assert.throws(() => new APIClient(TEST_API_KEY, TEST_API_URL, 300, {retry: {maxAttempts: 0}}), ValidationError)
+    assert.throws(() => new APIClient(TEST_API_KEY, TEST_API_URL, 300, {storageRetry: {jitter: 2}}), /Invalid retry jitter 2/)
+  })
+  it('Should retry blobstore uploads and operation polling', async () => {
+    const file = tmp.fileSync()
+    require('fs').writeFileSync(file.name, 'raster data')
+    try {
+      const res = await this.mockClient.uploadRaster(file.name)
+      assert.equal(res, RASTER_ID)
+      assert.ok(storageScope.isDone())
+    } finally {
+      file.removeCallback()
+    }
+  })
+})
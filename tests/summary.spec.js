@@ -0,0 +1,65 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+
+const {APIClient, ValidationError, summarizeResults} = require('../dist/index.js')
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_API_KEY = '123456'
+const TEST_STORAGE_URL = 'http://summary.storage.example.com'
+const OPERATION_ID = '2f3e4d5c-6b7a-4c9d-8e0f-1a2b3c4d5e6f'
+// Area of a 0.001° square at the equator, in m²
+const SQUARE_AREA = 6378137 ** 2 * (0.001 * Math.PI / 180) * Math.sin(0.001 * Math.PI / 180)
+
+// Builds a 0.001° square whose south-west corner is at the given position
+const square = (x, y) => [[[x, y], [x + 0.001, y], [x + 0.001, y + 0.001], [x, y + 0.001], [x, y]]]
+const RESULTS = {
+  type: 'FeatureCollection',
+  features: [
+    {type: 'Feature', properties: {}, geometry: {type: 'Polygon', coordinates: square(0, 0)}},
+    {type: 'Feature', properties: {}, geometry: {type: 'MultiPolygon', coordinates: [square(0.002, 0), square(0.004, 0)]}},
+    // Detection in "bbox" output type
+    {type: 'Feature', properties: {}, geometry: null, bbox: [1, 0, 1.001, 0.001]}
+  ]
+}
+const DETECTION_AREA = {
+  type: 'FeatureCollection',
+  features: [
+    {type: 'Feature', properties: {name: 'west'}, geometry: {type: 'Polygon', coordinates: [[[-1, -1], [0.5, -1], [0.5, 1], [-1, 1], [-1, -1]]]}},
+    {type: 'Feature', properties: {name: 'east'}, geometry: {type: 'Polygon', coordinates: [[[0.5, -1], [3, -1], [3, 1], [0.5, 1], [0.5, -1]]]}}
+  ]
+}
+
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < expected * 1e-6, `${actual} != ${expected}`)
+
+describe('Results summary', async () => {
+  let scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .get(`/operations/${OPERATION_ID}/`)
+    .reply(200, {status: 'success', results: {url: `${TEST_STORAGE_URL}/result`}})
+  nock(TEST_STORAGE_URL).get('/result').reply(200, RESULTS)
+  scope.defaultReplyHeaders({'content-type': 'application/json'})
+  beforeEach(() => {
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL)
+  })
+  it('Should summarize a FeatureCollection', async () => {
+    const res = summarizeResults(RESULTS)
+    assert.equal(res.count, 3)
+    assertClose(res.totalArea, 4 * SQUARE_AREA)
+    assertClose(res.meanArea, 4 * SQUARE_AREA / 3)
+    assert.deepEqual(res.extent, [0, 0, 1.001, 0.001])
+    assert.equal(res.detectionAreas, undefined)
+  })
+  it('Should count the objects per detection area polygon', async () => {
+    const res = summarizeResults(RESULTS, {detectionArea: DETECTION_AREA})
+    assert.deepEqual(res.detectionAreas.map(a => [a.properties.name, a.count]), [['west', 2], ['east', 1]])
+    assert.ok(res.detectionAreas[1].area > res.detectionAreas[0].area)
+  })
+  it('Should summarize the results of an operation', async () => {
+    const res = await this.mockClient.summarizeResults(OPERATION_ID)
+    assert.equal(res.count, 3)
+  })
+  it('Should refuse what is not a FeatureCollection', async () => {
+    assert.throws(() => summarizeResults({type: 'Feature'}), ValidationError)
+  })
+})
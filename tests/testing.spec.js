@@ -0,0 +1,93 @@
+// Imports
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+
+const {FakeServer} = require('../testing')
+
+// CONSTANTS
+const OUTLINE = {
+  type: 'FeatureCollection',
+  features: [{type: 'Feature', properties: {}, geometry: {type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]}}]
+}
+const DETECTED = {
+  type: 'FeatureCollection',
+  features: [{type: 'Feature', properties: {}, geometry: {type: 'Polygon', coordinates: [[[0, 0], [0.1, 0], [0.1, 0.1], [0, 0]]]}}]
+}
+const FAST_RETRY = {retry: {baseDelay: 0.01}, storageRetry: {baseDelay: 0.01}}
+
+describe('Fake Picterra server', async () => {
+  before(async () => {
+    this.server = await new FakeServer({operationLatency: 0.1, pollInterval: 0.02, detect: () => DETECTED}).start()
+  })
+  after(async () => {
+    await this.server.stop()
+  })
+  beforeEach(() => {
+    this.server.clearFailures()
+    this.client = this.server.createClient(FAST_RETRY)
+  })
+  it('Should go through the whole training and detection workflow', async () => {
+    const folderId = await this.client.createFolder('campaign')
+    const polls = []
+    const rasterId = await this.client.uploadRaster(Buffer.from('raster data'), 'raster', folderId, {
+      onPoll: data => polls.push(data.status)
+    })
+    assert.equal(polls[0], 'running')
+    assert.equal(polls[polls.length - 1], 'success')
+    assert.deepEqual((await this.client.listRasters({folderId})).map(r => r.id), [rasterId])
+    assert.equal((await this.client.getRasterById(rasterId)).status, 'ready')
+    await this.client.setRasterDetectionAreaFromFile(OUTLINE, rasterId)
+    assert.deepEqual(await this.client.getRasterDetectionArea(rasterId), OUTLINE)
+    const detectorId = await this.client.createDetector('trees')
+    await this.client.addRasterToDetector(rasterId, detectorId)
+    await this.client.setAnnotations(detectorId, rasterId, 'outline', OUTLINE)
+    assert.deepEqual(await this.client.getAnnotations(detectorId, rasterId, 'outline'), OUTLINE)
+    assert.deepEqual(await this.client.trainDetector(detectorId), {metrics: null})
+    await this.client.setAnnotations(detectorId, rasterId, 'validation_area', OUTLINE)
+    const {metrics} = await this.client.trainDetector(detectorId)
+    assert.equal(metrics.f_score, 1)
+    assert.deepEqual((await this.client.getDetectorTrainingHistory(detectorId)).map(t => t.metrics), [metrics, null])
+    assert.equal((await this.client.getTrainingMetrics(detectorId)).fScore, 1)
+    const operationId = await this.client.runDetector(detectorId, rasterId)
+    assert.deepEqual(await this.client.getResults(operationId), DETECTED)
+    await this.client.removeRasterFromDetector(rasterId, detectorId)
+    assert.deepEqual(await this.client.listTrainingRasters(detectorId), [])
+  })
+  it('Should support chunked uploads', async () => {
+    const data = Buffer.from('0123456789')
+    const rasterId = await this.client.uploadRaster(data, 'chunked', '', {chunkSize: 4})
+    const raster = this.server.state.rasters.get(rasterId)
+    assert.deepEqual(this.server.state.blobs.get(raster.uploadBlob).data, data)
+  })
+  it('Should validate input like the API', async () => {
+    await assert.rejects(this.client.runDetector('9f0c3b1e-0000-4000-8000-000000000000', 'spam'), {name: 'NotFoundError'})
+    await assert.rejects(this.client.editRaster('9f0c3b1e-0000-4000-8000-000000000000', {name: 'a'}), {name: 'NotFoundError'})
+    const wrongKey = new (require('../dist/index.js').APIClient)({apiKey: 'wrong', baseUrl: this.server.baseUrl})
+    await assert.rejects(wrongKey.listRasters(), {name: 'AuthenticationError'})
+  })
+  it('Should fail operations of untrained detectors', async () => {
+    const rasterId = await this.client.uploadRaster(Buffer.from('data'))
+    const detectorId = await this.client.createDetector()
+    await assert.rejects(this.client.runDetector(detectorId, rasterId), {
+      name: 'OperationFailedError',
+      reason: 'The detector is not trained.'
+    })
+  })
+  it('Should inject HTTP failures, retried by the client', async () => {
+    this.server.injectFailure({method: 'GET', path: '/rasters/', status: 503, headers: {'Retry-After': '0'}, times: 2})
+    this.server.injectFailure({method: 'GET', path: /^\/folders\//, reset: true})
+    await this.client.listRasters()
+    await this.client.listFolders()
+    const attempts = this.server.requests.filter(r => r.path === '/rasters/')
+    assert.ok(attempts.length >= 3)
+    this.server.injectFailure({method: 'POST', path: '/detectors/', status: 400, body: {name: ['Too long.']}})
+    await assert.rejects(this.client.createDetector('name'), err => {
+      assert.deepEqual(err.fieldErrors, {name: ['Too long.']})
+      return true
+    })
+  })
+  it('Should inject operation failures', async () => {
+    this.server.injectOperationFailure({type: 'raster_upload', error: 'Corrupted file'})
+    await assert.rejects(this.client.uploadRaster(Buffer.from('data')), {name: 'OperationFailedError', reason: 'Corrupted file'})
+    assert.ok(await this.client.uploadRaster(Buffer.from('data')))
+  })
+})
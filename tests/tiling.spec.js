@@ -0,0 +1,164 @@
+// Imports
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+
+const {tileGrid, mergeTiledResults, ValidationError} = require('../dist/index.js')
+const {FakeServer} = require('../testing')
+
+// CONSTANTS
+const METERS_PER_DEGREE = 6378137 * Math.PI / 180
+const rectangle = ([minX, minY, maxX, maxY]) => [[[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]]]
+const feature = (bbox, properties = {}) => ({type: 'Feature', properties, geometry: {type: 'Polygon', coordinates: rectangle(bbox)}})
+const collection = features => ({type: 'FeatureCollection', features})
+const bboxOf = f => {
+  const xs = f.geometry.coordinates[0].map(p => p[0])
+  const ys = f.geometry.coordinates[0].map(p => p[1])
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+}
+const assertBbox = (actual, expected) => {
+  assert.ok(actual.every((v, i) => Math.abs(v - expected[i]) < 1e-9), `${actual} != ${expected}`)
+}
+// L-shaped area: a square of 0.01 degrees without its north-east quarter
+const L_AREA = {
+  type: 'Polygon',
+  coordinates: [[[0, 0], [0.01, 0], [0.01, 0.005], [0.005, 0.005], [0.005, 0.01], [0, 0.01], [0, 0]]]
+}
+// Results of two tiles overlapping between longitudes 0.001 and 0.0015
+const TILE_RESULTS = [
+  collection([
+    feature([0.0011, 0, 0.0012, 0.0001], {id: 'in overlap'}),
+    feature([0.0008, 0.001, 0.0015, 0.0011], {id: 'cut, west'}),
+    feature([0, 0.002, 0.0002, 0.0022], {id: 'west'}),
+    feature([0.0001, 0.002, 0.0003, 0.0022], {id: 'west, same tile'})
+  ]),
+  collection([
+    feature([0.0011, 0, 0.0012, 0.0001], {id: 'in overlap, again'}),
+    feature([0.001, 0.001, 0.0017, 0.0011], {id: 'cut, east'}),
+    {type: 'Feature', properties: {id: 'east'}, bbox: [0.002, 0, 0.0021, 0.0001], geometry: null}
+  ])
+]
+
+describe('Tiled detection', async () => {
+  // Start testing
+  it('Should generate a grid of overlapping tiles', async () => {
+    const square = {type: 'Polygon', coordinates: rectangle([0, 0, 0.01, 0.01])}
+    const {features} = tileGrid(square, {tileSize: 600, overlap: 100})
+    // 1113 m wide: 3 tiles of 600 m with a step of 500 m
+    assert.equal(features.length, 9)
+    assert.deepEqual(features.map(f => f.properties.tile), [0, 1, 2, 3, 4, 5, 6, 7, 8])
+    assert.deepEqual(features[1].properties, {tile: 1, row: 0, column: 1})
+    const size = 600 / METERS_PER_DEGREE
+    assertBbox(features[0].bbox, [0, 0, size, size])
+    assertBbox(features[1].bbox, [500 / METERS_PER_DEGREE, 0, 1100 / METERS_PER_DEGREE, size])
+    // Tiles are clipped to the area
+    assertBbox(bboxOf(features[0]), features[0].bbox)
+    assertBbox(bboxOf(features[8]), [1000 / METERS_PER_DEGREE, 1000 / METERS_PER_DEGREE, 0.01, 0.01])
+  })
+  it('Should clip the tiles to a concave area', async () => {
+    const {features} = tileGrid({type: 'Feature', properties: {}, geometry: L_AREA}, {tileSize: 600})
+    // The north-east tile is outside of the area
+    assert.deepEqual(features.map(f => [f.properties.row, f.properties.column]), [[0, 0], [0, 1], [1, 0]])
+    assertBbox(bboxOf(features[1]), [600 / METERS_PER_DEGREE, 0, 0.01, 0.005])
+    const {features: [corner]} = tileGrid(L_AREA, {tileSize: 1000})
+    assert.equal(corner.geometry.coordinates[0].length, 7)
+  })
+  it('Should reject invalid grids', async () => {
+    assert.throws(() => tileGrid(L_AREA, {}), /Invalid tile size undefined/)
+    assert.throws(() => tileGrid(L_AREA, {tileSize: 100, overlap: 100}), /Invalid overlap 100/)
+    assert.throws(() => tileGrid(L_AREA, {tileSize: 100, maxTiles: 10}), /into 144 tiles, more than 10/)
+    assert.throws(() => tileGrid({type: 'Point', coordinates: [0, 0]}, {tileSize: 100}), ValidationError)
+  })
+  it('Should deduplicate the objects found on several tiles', async () => {
+    const {features} = mergeTiledResults(TILE_RESULTS)
+    assert.deepEqual(features.map(f => [f.properties.id, f.properties.tiles]), [
+      ['in overlap', [0, 1]],
+      ['cut, west', [0, 1]],
+      ['west', [0]],
+      ['west, same tile', [0]],
+      ['east', [1]]
+    ])
+    assertBbox(bboxOf(features[1]), [0.0008, 0.001, 0.0015, 0.0011])
+    // The halves of the cut object have an IoU of 0.56
+    assert.equal(mergeTiledResults(TILE_RESULTS, {iouThreshold: 0.6}).features.length, 6)
+  })
+  it('Should union the objects found on several tiles', async () => {
+    const {features} = mergeTiledResults(TILE_RESULTS, {strategy: 'union'})
+    assert.equal(features.length, 5)
+    assert.deepEqual(features[0].geometry, TILE_RESULTS[0].features[0].geometry)
+    assertBbox(bboxOf(features[1]), [0.0008, 0.001, 0.0017, 0.0011])
+    assert.equal(features[1].geometry.type, 'Polygon')
+    // Bbox-only features stay so
+    const boxes = [0, 1].map(i => collection([{type: 'Feature', properties: {}, bbox: [i, 0, i + 2, 1], geometry: null}]))
+    const [box] = mergeTiledResults(boxes, {strategy: 'union', iouThreshold: 0.3}).features
+    assert.deepEqual(box.bbox, [0, 0, 3, 1])
+    assert.equal(box.geometry, null)
+    assert.throws(() => mergeTiledResults(TILE_RESULTS, {strategy: 'intersection'}), /Invalid merge strategy intersection/)
+    assert.throws(() => mergeTiledResults(TILE_RESULTS, {iouThreshold: 0}), /Invalid IoU threshold 0/)
+  })
+  it('Should run a detector tile by tile', async () => {
+    // Objects cut by the detection areas
+    const objects = [[0.001, 0.001, 0.0012, 0.0012], [0.0044, 0.002, 0.005, 0.0022], [0.0052, 0.003, 0.0058, 0.0032]]
+    const detect = (detector, raster, detectionArea) => {
+      const [minX, minY, maxX, maxY] = bboxOf(detectionArea.features[0])
+      return collection(objects
+        .map(([x1, y1, x2, y2]) => [Math.max(x1, minX), Math.max(y1, minY), Math.min(x2, maxX), Math.min(y2, maxY)])
+        .filter(([x1, y1, x2, y2]) => x1 < x2 && y1 < y2)
+        .map(bbox => feature(bbox)))
+    }
+    const server = await new FakeServer({pollInterval: 0.01, detect}).start()
+    try {
+      const client = server.createClient()
+      const rasterId = await client.uploadRaster(Buffer.from('raster data'), 'large raster')
+      const detectorId = await client.createDetector('trees')
+      server.state.detectors.get(detectorId).is_trained = true
+      const previousArea = collection([feature([0, 0, 1, 1])])
+      await client.setRasterDetectionAreaFromFile(previousArea, rasterId)
+      const progress = []
+      const area = {type: 'Polygon', coordinates: rectangle([0, 0, 0.01, 0.005])}
+      const {tiles, runs, featureCollection} = await client.runDetectorOnTiles(detectorId, rasterId, area, {
+        tileSize: 600,
+        overlap: 100,
+        strategy: 'union',
+        iouThreshold: 0.3,
+        onProgress: ({tile, completed, total}) => progress.push([tile, completed, total])
+      })
+      assert.equal(tiles.features.length, 3)
+      assert.deepEqual(runs.map(r => r.tile), [0, 1, 2])
+      assert.deepEqual(progress, [[0, 1, 3], [1, 2, 3], [2, 3, 3]])
+      assert.equal(featureCollection.features.length, 3)
+      featureCollection.features.forEach((f, i) => assertBbox(bboxOf(f), objects[i]))
+      assert.deepEqual(featureCollection.features.map(f => f.properties.tiles), [[0], [0, 1], [0, 1]])
+      // The detection area is set back
+      assert.deepEqual(await client.getRasterDetectionArea(rasterId), previousArea)
+      // Or removed when there was none
+      await client.setRasterDetectionAreaFromFile(collection([]), rasterId)
+      assert.equal(await client.getRasterDetectionArea(rasterId), null)
+      await client.runDetectorOnTiles(detectorId, rasterId, area, {tileSize: 600})
+      assert.equal(await client.getRasterDetectionArea(rasterId), null)
+      await assert.rejects(client.runDetectorOnTiles(detectorId, rasterId, L_AREA, {tileSize: 600, strategy: 'spam'}), ValidationError)
+    } finally {
+      await server.stop()
+    }
+  })
+  it('Should keep the error of a tile when the restore fails too', async () => {
+    const detect = () => {
+      // The next upload of a detection area is the restore
+      server.injectOperationFailure({type: 'detection_areas_upload', error: 'Restore failure'})
+      throw new Error('Tile failure')
+    }
+    const server = await new FakeServer({pollInterval: 0.01, detect}).start()
+    try {
+      const client = server.createClient()
+      const rasterId = await client.uploadRaster(Buffer.from('raster data'), 'large raster')
+      const detectorId = await client.createDetector('trees')
+      server.state.detectors.get(detectorId).is_trained = true
+      const area = {type: 'Polygon', coordinates: rectangle([0, 0, 0.01, 0.005])}
+      await assert.rejects(client.runDetectorOnTiles(detectorId, rasterId, area, {tileSize: 600}), err => {
+        assert.ok(err.message.endsWith('Tile failure'), err.message)
+        assert.ok(err.restoreError.message.endsWith('Restore failure'), err.restoreError.message)
+        return true
+      })
+    } finally {
+      await server.stop()
+    }
+  })
+})
@@ -3,7 +3,7 @@ const nock = require('nock')  // // https://github.com/nock/nock
 const assert = require('assert').strict  // https://nodejs.org/api/assert.html
 const tmp = require('tmp')
 
-const APIClient = require("../dist/index.js").APIClient
+const {APIClient, compareTrainingMetrics} = require("../dist/index.js")
 
 // CONSTANTS
 const TEST_API_URL = 'http://example.com/public/api/v2'
@@ -12,10 +12,15 @@ const TEST_POLL_INTERVAL = 0.1
 const TEST_STORAGE_URL = 'http://storage.example.com'
 const DETECTOR_ID = '123e4567-e89b-12d3-a456-426655440000'
 const OPERATION_ID = '7fa216e4-12ea-4bc3-bc58-0cc72c0187c9'
+const TRAINING_OPERATION_ID = '3c1f5a0e-9b7d-4e2a-8f61-2d4b7c9e0a15'
+const PREVIOUS_TRAINING_OPERATION_ID = 'b8e2d4f6-1a3c-4e5b-9d7f-0c2e4a6b8d10'
+const METRICS = {accuracy: 0.92, precision: 0.88, recall: 0.81, f_score: 0.84}
+const PREVIOUS_METRICS = {accuracy: 0.9, precision: 0.9, recall: 0.75, f_score: 0.82}
 const RASTER_ID = 'f1de9a34-07f3-4ebc-989b-fe1e8e140183'
 const RASTER_NAME = 'example_raster.tif'
 const UPLOAD_URL = 'https://www.upload.example.com'
 const UPLOAD_ID = 'spam'
+const OUTLINE = JSON.parse(require('fs').readFileSync('examples/data/outline1.geojson'))
 
 describe('Training endpoints', async () => {
     // Detector creation
@@ -48,16 +53,31 @@ describe('Training endpoints', async () => {
     // Detector training
     scope = nock(TEST_API_URL, { reqheaders: {'X-Api-Key': TEST_API_KEY}})
         .post(`/detectors/${DETECTOR_ID}/train/`)
-        .reply(201, {'operation_id': OPERATION_ID, 'poll_interval': TEST_POLL_INTERVAL})
+        .reply(201, {'operation_id': TRAINING_OPERATION_ID, 'poll_interval': TEST_POLL_INTERVAL})
         .log(console.log)
-        .get(`/operations/${OPERATION_ID}/`)
-        .reply(200, {'status': 'success'})
+        .get(`/operations/${TRAINING_OPERATION_ID}/`)
+        .reply(200, {'status': 'success', 'results': {'metrics': METRICS}})
+    // Training history, latest first
+    scope = nock(TEST_API_URL, { reqheaders: {'X-Api-Key': TEST_API_KEY}})
+        .get(`/detectors/${DETECTOR_ID}/training_history/?page_number=1`)
+        .times(2)
+        .reply(200, {
+            'count': 3,
+            'next': null,
+            'previous': null,
+            'page_size': 10,
+            'results': [
+                {'operation_id': 'failed', 'created_at': '2020-03-03T00:00:00Z', 'status': 'failed', 'metrics': null},
+                {'operation_id': TRAINING_OPERATION_ID, 'created_at': '2020-03-02T00:00:00Z', 'status': 'success', 'metrics': METRICS},
+                {'operation_id': PREVIOUS_TRAINING_OPERATION_ID, 'created_at': '2020-03-01T00:00:00Z', 'status': 'success', 'metrics': PREVIOUS_METRICS}
+            ]
+        })
     // Annotations
     scope = nock(TEST_API_URL, { reqheaders: {'X-Api-Key': TEST_API_KEY}})
         .post(`/detectors/${DETECTOR_ID}/training_rasters/${RASTER_ID}/outline/upload/bulk/`)
         .reply(201, {'upload_url': UPLOAD_URL, 'upload_id': UPLOAD_ID})
         .log(console.log)
-    scope = nock(UPLOAD_URL).put('/').reply(200)
+    scope = nock(UPLOAD_URL).put('/', OUTLINE).reply(200)
     scope = nock(TEST_API_URL, { reqheaders: {'X-Api-Key': TEST_API_KEY}})
         .post(`/detectors/${DETECTOR_ID}/training_rasters/${RASTER_ID}/outline/upload/bulk/${UPLOAD_ID}/commit/`)
         .reply(201, {'operation_id': OPERATION_ID, 'poll_interval': TEST_POLL_INTERVAL})
@@ -81,12 +101,38 @@ describe('Training endpoints', async () => {
         assert.ok(res)
     })
     it('Should annotate a raster of a detector', async () => {
-        const res = await this.mockClient.setAnnotations(DETECTOR_ID, RASTER_ID, 'outline', {})
+        const res = await this.mockClient.setAnnotations(DETECTOR_ID, RASTER_ID, 'outline', OUTLINE)
         assert.ok(res)
     })
+    it('Should refuse invalid annotations before uploading them', async () => {
+        await assert.rejects(
+            this.mockClient.setAnnotations(DETECTOR_ID, RASTER_ID, 'outline', {}),
+            {name: 'Validation Error'}
+        )
+    })
     it('Should train a detector', async () => {
         const res = await this.mockClient.trainDetector(DETECTOR_ID)
-        assert.ok(res)
+        assert.deepEqual(res, {metrics: METRICS})
+    })
+    it('Should get the training history of a detector', async () => {
+        const res = await this.mockClient.getDetectorTrainingHistory(DETECTOR_ID)
+        assert.deepEqual(res.map(t => t.operation_id), ['failed', TRAINING_OPERATION_ID, PREVIOUS_TRAINING_OPERATION_ID])
+    })
+    it('Should get the metrics of the latest successful training', async () => {
+        const res = await this.mockClient.getTrainingMetrics(DETECTOR_ID)
+        assert.deepEqual(res, {accuracy: 0.92, precision: 0.88, recall: 0.81, fScore: 0.84})
+    })
+    it('Should compare the metrics of two trainings', async () => {
+        const res = compareTrainingMetrics({metrics: PREVIOUS_METRICS}, METRICS)
+        assert.deepEqual(res.regressions, ['precision'])
+        assert.deepEqual(res.improvements, ['accuracy', 'recall', 'fScore'])
+        assert.ok(res.regressed)
+        assert.equal(res.metrics.precision.baseline, 0.9)
+        assert.ok(Math.abs(res.metrics.precision.delta + 0.02) < 1e-9)
+        assert.ok(!compareTrainingMetrics(PREVIOUS_METRICS, METRICS, {tolerance: 0.05}).regressed)
+        assert.ok(!compareTrainingMetrics(PREVIOUS_METRICS, METRICS, {metrics: ['fScore']}).regressed)
+        assert.throws(() => compareTrainingMetrics(null, METRICS), {name: 'Validation Error'})
+        assert.throws(() => compareTrainingMetrics(PREVIOUS_METRICS, METRICS, {metrics: ['iou']}), /Invalid metric iou/)
     })
 })
 
@@ -0,0 +1,58 @@
+// Imports
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+const fs = require('fs')
+const path = require('path')
+
+const { APIClient, Operation } = require('../dist/index.js')
+const index = require('../dist/index.js')
+const { FakeServer } = require('../testing')
+
+// CONSTANTS
+const TYPES_FILE = path.join(__dirname, '..', 'types', 'index.d.ts')
+const TESTING_TYPES_FILE = path.join(__dirname, '..', 'types', 'testing.d.ts')
+
+/**
+ * Public methods of a class, i.e. the ones not starting with an underscore
+ */
+function publicMethods (cls) {
+  return Object.getOwnPropertyNames(cls.prototype)
+    .filter(name => name !== 'constructor' && !name.startsWith('_'))
+}
+
+/**
+ * Body of the declaration of a class in the type definitions
+ */
+function classDeclaration (source, name) {
+  const match = source.match(new RegExp(`export class ${name} \\{([\\s\\S]*?)\\n\\}`))
+  assert.ok(match, `${name} is not declared`)
+  return match[1]
+}
+
+describe('Type definitions', function () {
+  before(function () {
+    this.source = fs.readFileSync(TYPES_FILE, 'utf8')
+  })
+  it('should declare every export', function () {
+    for (const name of Object.keys(index)) {
+      assert.match(this.source, new RegExp(`export (class|const|function) ${name}\\b`), `${name} is not declared`)
+    }
+  })
+  it('should declare every public method of APIClient', function () {
+    const declaration = classDeclaration(this.source, 'APIClient')
+    for (const method of publicMethods(APIClient)) {
+      assert.match(declaration, new RegExp(`\\n  ${method} \\(`), `APIClient.${method} is not declared`)
+    }
+  })
+  it('should declare every public method of Operation', function () {
+    const declaration = classDeclaration(this.source, 'Operation')
+    for (const method of publicMethods(Operation)) {
+      assert.match(declaration, new RegExp(`\\n  ${method} \\(`), `Operation.${method} is not declared`)
+    }
+  })
+  it('should declare every public method of the fake server', function () {
+    const declaration = classDeclaration(fs.readFileSync(TESTING_TYPES_FILE, 'utf8'), 'FakeServer')
+    for (const method of publicMethods(FakeServer)) {
+      assert.match(declaration, new RegExp(`\\n  (readonly )?${method}\\b`), `FakeServer.${method} is not declared`)
+    }
+  })
+})
@@ -0,0 +1,263 @@
+// Type-level tests of types/index.d.ts, checked with `npm run test:types`:
+// the file only needs to compile, it is never run
+import {
+  APIClient,
+  APIError,
+  Detector,
+  Feature,
+  FeatureCollection,
+  Operation,
+  OperationFailedError,
+  Raster,
+  RateLimitError,
+  ResultsSummary,
+  summarizeResults,
+  validateGeoJSON,
+  compareTrainingMetrics,
+  convertResults,
+  toCSV,
+  toFlatGeobuf,
+  tileGrid,
+  mergeTiledResults,
+  loadPipeline,
+  PIPELINE_ACTIONS,
+  WebhookReceiver,
+  signWebhook,
+  verifyWebhookSignature,
+  EXPORT_FORMATS,
+  DEFAULT_RETRY_POLICY
+} from 'picterra'
+import { FakeServer } from 'picterra/testing'
+import { createServer } from 'http'
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false
+function expectType<T> (value: T): T { return value }
+function assertEqual<A, B> (check: Equal<A, B>): void {}
+
+const client = new APIClient({
+  apiKey: 'key',
+  baseUrl: 'https://app.picterra.ch/public/api/v2/',
+  timeout: 60,
+  retry: { maxAttempts: 3 },
+  storageRetry: false
+})
+const legacyClient = new APIClient('key', 'https://app.picterra.ch/public/api/v2/', 60, { retry: false })
+const profileClient = new APIClient({ profile: 'staging', configFile: 'config.json' })
+expectType<string | null>(profileClient.profile)
+expectType<string>(legacyClient.baseUrl)
+const unregister = client.use({
+  onRequest: request => {
+    request.headers['X-Request-Id'] = '42'
+  },
+  onResponse: ({ request, status, duration }) => { expectType<string>(request.url) },
+  onError: ({ error }) => { expectType<Error>(error) }
+})
+unregister()
+const annotations: FeatureCollection = { type: 'FeatureCollection', features: [] }
+
+async function rasters (): Promise<void> {
+  const rasterId = await client.uploadRaster('raster.tif', 'name', '', {
+    timeout: 60,
+    chunkSize: 8 * 1024 * 1024,
+    onProgress: ({ bytesSent, totalBytes }) => { expectType<number | null>(totalBytes) },
+    onPoll: operation => { expectType<'running' | 'success' | 'failed'>(operation.status) }
+  })
+  expectType<string>(rasterId)
+  await client.uploadRaster(Buffer.from(''))
+  const operation = await client.startUploadRaster(new Blob([]))
+  expectType<string | undefined>(operation.meta.rasterId)
+  const rasters = await client.listRasters({ folderId: 'folder', status: 'ready' })
+  assertEqual<typeof rasters, Raster[]>(true)
+  const iterator = client.iterRasters()
+  expectType<number | null>(iterator.count)
+  for await (const raster of iterator) {
+    expectType<string>(raster.name)
+  }
+  expectType<boolean>(await client.deleteRasterById(rasterId))
+  const folderId = await client.createFolder('campaign')
+  await client.editRaster(rasterId, { name: 'renamed', folderId })
+  // @ts-expect-error unknown field
+  await client.editRaster(rasterId, { folder: folderId })
+  const folders = await client.listFolders({ search: 'campaign' })
+  expectType<string>(folders[0].name)
+  // @ts-expect-error unknown filter
+  client.listRasters({ folder: 'folder' })
+}
+
+async function detectors (): Promise<void> {
+  const detectorId = await client.createDetector('name', 'segmentation', 'bbox', 1000)
+  // @ts-expect-error not a detection type
+  await client.createDetector('name', 'classification')
+  await client.editDetector(detectorId, null, null, 'polygon')
+  const multiClassId = await client.createDetector({
+    name: 'trees',
+    detectionType: 'segmentation',
+    backbone: 'resnet50',
+    tileSize: 512,
+    classes: ['oak', { name: 'pine' }]
+  })
+  await client.editDetector(multiClassId, { trainingSteps: 2000, backgroundSampleRatio: 0.5 })
+  // Backbones and tile sizes are checked by the server
+  await client.createDetector({ backbone: 'resnet101', tileSize: 640 })
+  // @ts-expect-error not a tile size
+  await client.createDetector({ tileSize: '512' })
+  // @ts-expect-error unknown setting
+  await client.editDetector(multiClassId, { steps: 2000 })
+  await client.addRasterToDetector('raster', detectorId)
+  await client.setAnnotations(detectorId, 'raster', 'training_area', annotations)
+  await client.setAnnotations(detectorId, 'raster', 'outline', annotations, { validate: { rewind: true } })
+  await client.setRasterDetectionAreaFromFile(validateGeoJSON(annotations, { dropEmpty: true }), 'raster')
+  await client.setRasterDetectionAreaFromFile('area.geojson', 'raster', { validate: false })
+  // @ts-expect-error not an annotation type
+  await client.setAnnotations(detectorId, 'raster', 'area', annotations)
+  const outline = await client.getAnnotations(detectorId, 'raster', 'outline')
+  if (outline !== null) {
+    expectType<FeatureCollection>(outline)
+  }
+  await client.clearAnnotations(detectorId, 'raster', 'testing_area')
+  const trainingRasters = await client.listTrainingRasters(detectorId)
+  await client.removeRasterFromDetector(trainingRasters[0].id, detectorId)
+  expectType<FeatureCollection | null>(await client.getRasterDetectionArea('raster'))
+  const detector: Detector = await client.getDetectorById(detectorId)
+  expectType<'count' | 'segmentation'>(detector.configuration.detection_type)
+  const controller = new AbortController()
+  const operation = await client.startTrainDetector(detectorId, { signal: controller.signal })
+  await operation.wait({ timeout: 3600 })
+  const trained = await client.trainDetector(detectorId)
+  const history = await client.getDetectorTrainingHistory(detectorId, { pageSize: 10 })
+  expectType<string>(history[0].created_at)
+  const metrics = await client.getTrainingMetrics(detectorId)
+  expectType<number | null>(metrics !== null ? metrics.fScore : null)
+  const comparison = compareTrainingMetrics(history[1], trained, { metrics: ['fScore', 'recall'], tolerance: 0.01 })
+  expectType<boolean>(comparison.regressed)
+  // @ts-expect-error unknown metric
+  compareTrainingMetrics(metrics, trained, { metrics: ['iou'] })
+}
+
+async function results (): Promise<void> {
+  const operationId = await client.runDetector('detector', 'raster')
+  const fc = await client.getResults(operationId)
+  assertEqual<typeof fc, FeatureCollection>(true)
+  for await (const feature of client.iterResultFeatures(operationId)) {
+    assertEqual<typeof feature, Feature>(true)
+  }
+  const summary = await client.summarizeResults(operationId, { detectionArea: annotations })
+  assertEqual<typeof summary, ResultsSummary>(true)
+  assertEqual<ReturnType<typeof summarizeResults>, ResultsSummary>(true)
+  expectType<ArrayBuffer>(await client.downloadResult(operationId, { as: 'arrayBuffer' }))
+  expectType<Blob>(await client.downloadResult(operationId, { as: 'blob' }))
+  await client.downloadResultToFile(operationId, 'results.geojson')
+  await client.downloadResultToFile(operationId, 'results.csv', { format: 'csv', delimiter: ';' })
+  // @ts-expect-error unknown format
+  await client.downloadResultToFile(operationId, 'results.shp', { format: 'shapefile' })
+  expectType<string>(toCSV(fc, { geometry: false }))
+  expectType<Uint8Array>(toFlatGeobuf(fc, { name: 'trees' }))
+  expectType<Uint8Array>(convertResults(fc, 'flatgeobuf'))
+  expectType<string>(convertResults(fc, 'kml', { name: 'trees' }))
+  expectType<string>(EXPORT_FORMATS.geojsonseq)
+}
+
+async function batch (): Promise<void> {
+  const { runs, featureCollection } = await client.runDetectorOnRasters('detector', ['a', 'b'], {
+    concurrency: 2,
+    merge: true,
+    outputDir: 'results',
+    format: 'kml',
+    onProgress: ({ rasterId, status, completed, total }) => {
+      expectType<'running' | 'success' | 'failed' | 'skipped'>(status)
+    }
+  })
+  expectType<string | null>(runs[0].operationId)
+  expectType<FeatureCollection | undefined>(featureCollection)
+}
+
+async function tiling (): Promise<void> {
+  const area = { type: 'Polygon' as const, coordinates: [[[0, 0], [0.01, 0], [0.01, 0.01], [0, 0]]] }
+  const tiles = tileGrid(area, { tileSize: 500, overlap: 50 })
+  expectType<FeatureCollection>(mergeTiledResults([annotations, annotations], { strategy: 'union', iouThreshold: 0.3 }))
+  const { runs, featureCollection } = await client.runDetectorOnTiles('detector', 'raster', tiles.features[0], {
+    tileSize: 200,
+    onProgress: ({ tile, completed, total }) => {}
+  })
+  expectType<string>(runs[0].operationId)
+  expectType<FeatureCollection>(featureCollection)
+  // @ts-expect-error the tile size is required
+  tileGrid(area, { overlap: 50 })
+  // @ts-expect-error unknown strategy
+  mergeTiledResults([annotations], { strategy: 'intersection' })
+}
+
+async function pipelines (): Promise<void> {
+  const report = await client.runPipeline({
+    name: 'trees',
+    steps: [
+      { id: 'raster', action: 'uploadRaster', with: { file: 'raster.tif' } },
+      { action: 'runDetector', with: { detector: 'detector', raster: '${steps.raster.rasterId}' } }
+    ]
+  }, { stateFile: 'state.json', onStep: ({ id, status }) => {} })
+  expectType<'success' | 'failed'>(report.status)
+  expectType<Error | null>(report.steps[0].error)
+  expectType<string>(loadPipeline('pipeline.yaml').steps[0].id)
+  expectType<string[]>(PIPELINE_ACTIONS.uploadRaster.outputs)
+  // @ts-expect-error unknown action
+  await client.runPipeline({ steps: [{ action: 'deleteEverything' }] })
+}
+
+async function manifest (): Promise<void> {
+  const uploads = client.useUploadManifest('uploads.json')
+  expectType<string | undefined>(uploads.get('rasters', 'hash')?.rasterId)
+  await client.uploadRaster('raster.tif', 'raster', '', { dedupe: false })
+  await client.setRasterDetectionAreaFromFile('area.geojson', 'raster', { dedupe: true })
+  expectType<null>(client.useUploadManifest(null))
+  // @ts-expect-error unknown kind
+  uploads.get('detectors', 'detector')
+}
+
+async function webhooks (): Promise<void> {
+  const receiver = client.useWebhooks({ secret: 'secret', fallbackAfter: 30 })
+  assertEqual<typeof receiver, WebhookReceiver>(true)
+  client.useWebhooks(new WebhookReceiver({ secret: 'secret' }))
+  expectType<null>(client.useWebhooks(null))
+  createServer(receiver.handler)
+  expectType<boolean>(verifyWebhookSignature('{}', signWebhook('{}', 'secret'), 'secret'))
+  const operation = await client.getOperation('operation')
+  await operation.wait({ fallbackAfter: 0 })
+  // @ts-expect-error the secret is required
+  client.useWebhooks({ fallbackAfter: 30 })
+}
+
+async function operations (): Promise<void> {
+  const operation = await client.getOperation({ id: 'operation', meta: { detectorId: 'detector' } })
+  assertEqual<typeof operation, Operation>(true)
+  const saved = JSON.stringify(operation.toJSON())
+  await client.getOperation(JSON.parse(saved), { pollInterval: 1 })
+  expectType<'running' | 'success' | 'failed'>(await operation.status())
+}
+
+async function testing (): Promise<void> {
+  const server = await new FakeServer({ operationLatency: 0.1, webhook: { url: 'http://localhost:8000/', secret: 'secret' }, detect: (detector, raster, detectionArea) => detectionArea || annotations }).start()
+  server.injectFailure({ method: 'GET', path: /^\/rasters\//, status: 503, times: 2 })
+  server.injectOperationFailure({ type: 'training', error: 'No annotations' })
+  const fakeClient: APIClient = server.createClient({ timeout: 60, retry: { baseDelay: 0.01 } })
+  expectType<string>(server.baseUrl)
+  await fakeClient.listRasters()
+  expectType<number | undefined>(server.webhookCalls[0].responseStatus)
+  await server.stop()
+}
+
+function errors (err: unknown): void {
+  if (err instanceof RateLimitError) {
+    expectType<number | null>(err.retryAfter)
+  }
+  if (err instanceof OperationFailedError) {
+    expectType<string | null>(err.reason)
+    expectType<string | null>(err.operationId)
+  }
+  if (err instanceof APIError) {
+    expectType<number | null>(err.status)
+    expectType<{ [field: string]: string[] }>(err.fieldErrors)
+  }
+  expectType<number>(DEFAULT_RETRY_POLICY.maxAttempts)
+}
+
+export { rasters, detectors, results, batch, manifest, webhooks, operations, testing, errors }
@@ -0,0 +1,99 @@
+// Imports
+const nock = require('nock') // // https://github.com/nock/nock
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+const fs = require('fs')
+const tmp = require('tmp')
+
+const {APIClient} = require('../dist/index.js')
+
+// CONSTANTS
+const TEST_API_URL = 'http://example.com/public/api/v2'
+const TEST_API_KEY = '123456'
+const TEST_POLL_INTERVAL = 0.1
+const TEST_STORAGE_URL = 'http://chunks.storage.example.com'
+const RASTER_ID = '8d1e5b2a-7c3f-4e9a-b6d0-1f2e3a4b5c6d'
+const RESUMED_RASTER_ID = 'f0e1d2c3-b4a5-4968-8776-655443322110'
+const OPERATION_ID = '2c4e6a8b-0d1f-4a3b-9c5d-7e9f1a3b5c7d'
+const FILE_CONTENT = '0123456789'
+
+describe('Chunked raster upload', async () => {
+  // Fresh upload in chunks of 4 bytes
+  let scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post('/rasters/upload/file/')
+    .reply(201, {raster_id: RASTER_ID, upload_url: `${TEST_STORAGE_URL}/fresh`})
+    .post(`/rasters/${RASTER_ID}/commit/`)
+    .reply(201, {poll_interval: TEST_POLL_INTERVAL, operation_id: OPERATION_ID})
+    .get(`/operations/${OPERATION_ID}/`)
+    .reply(200, {status: 'success'})
+  nock(TEST_STORAGE_URL, {reqheaders: {'Content-Range': 'bytes 0-3/10'}})
+    .put('/fresh', '0123')
+    .reply(308, '', {Range: 'bytes=0-3'})
+  nock(TEST_STORAGE_URL, {reqheaders: {'Content-Range': 'bytes 4-7/10'}})
+    .put('/fresh', '4567')
+    .reply(308, '', {Range: 'bytes=0-7'})
+  nock(TEST_STORAGE_URL, {reqheaders: {'Content-Range': 'bytes 8-9/10'}})
+    .put('/fresh', '89')
+    .reply(200)
+  // Resumed upload, of which the blobstore already persisted 6 bytes
+  scope = nock(TEST_API_URL, {reqheaders: {'X-Api-Key': TEST_API_KEY}})
+    .post(`/rasters/${RESUMED_RASTER_ID}/commit/`)
+    .reply(201, {poll_interval: TEST_POLL_INTERVAL, operation_id: OPERATION_ID})
+    .get(`/operations/${OPERATION_ID}/`)
+    .reply(200, {status: 'success'})
+  nock(TEST_STORAGE_URL, {reqheaders: {'Content-Range': 'bytes */10'}})
+    .put('/resumed')
+    .reply(308, '', {Range: 'bytes=0-5'})
+  const resumedScope = nock(TEST_STORAGE_URL, {reqheaders: {'Content-Range': 'bytes 6-9/10'}})
+    .put('/resumed', '6789')
+    .reply(201)
+  scope.defaultReplyHeaders({'content-type': 'application/json'})
+  beforeEach(() => {
+    this.mockClient = new APIClient(TEST_API_KEY, TEST_API_URL)
+    this.tmp = tmp.fileSync()
+    fs.writeFileSync(this.tmp.name, FILE_CONTENT)
+  })
+  afterEach(() => {
+    this.tmp.removeCallback()
+  })
+  it('Should upload a raster in chunks, reporting progress and state', async () => {
+    const progress = []
+    const states = []
+    const res = await this.mockClient.uploadRaster(this.tmp.name, '', '', {
+      chunkSize: 4,
+      onProgress: p => progress.push(p),
+      onUploadState: s => states.push(s)
+    })
+    assert.equal(res, RASTER_ID)
+    assert.deepEqual(states.map(s => s.bytesSent), [0, 4, 8, 10])
+    assert.deepEqual(states[0], {
+      rasterId: RASTER_ID,
+      uploadUrl: `${TEST_STORAGE_URL}/fresh`,
+      totalBytes: 10,
+      chunkSize: 4,
+      bytesSent: 0
+    })
+    assert.equal(progress[progress.length - 1].bytesSent, 10)
+    assert.ok(progress.every(p => p.totalBytes === 10 && p.rate >= 0))
+  })
+  it('Should resume an interrupted upload from its state', async () => {
+    const res = await this.mockClient.uploadRaster(this.tmp.name, '', '', {
+      uploadState: {
+        rasterId: RESUMED_RASTER_ID,
+        uploadUrl: `${TEST_STORAGE_URL}/resumed`,
+        totalBytes: 10,
+        chunkSize: 4,
+        bytesSent: 4
+      }
+    })
+    assert.equal(res, RESUMED_RASTER_ID)
+    assert.ok(resumedScope.isDone())
+  })
+  it('Should refuse to resume with the state of another file', async () => {
+    await assert.rejects(
+      this.mockClient.uploadRaster(this.tmp.name, '', '', {
+        uploadState: {rasterId: RESUMED_RASTER_ID, uploadUrl: TEST_STORAGE_URL, totalBytes: 42, chunkSize: 4, bytesSent: 4}
+      }),
+      {name: 'Validation Error'}
+    )
+  })
+})
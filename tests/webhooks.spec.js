@@ -0,0 +1,115 @@
+// Imports
+const assert = require('assert').strict // https://nodejs.org/api/assert.html
+const http = require('http')
+
+const {
+  WebhookReceiver,
+  SIGNATURE_HEADER,
+  signWebhook,
+  verifyWebhookSignature,
+  ValidationError,
+  OperationFailedError
+} = require('../dist/index.js')
+const {FakeServer} = require('../testing')
+
+// CONSTANTS
+const SECRET = 'webhook secret'
+const polls = server => server.requests.filter(r => r.method === 'GET' && r.path.startsWith('/operations/')).length
+// Calls the handler like a framework having parsed the body with `express.raw()`
+const callHandler = async (receiver, {method = 'POST', body, signature}) => {
+  const req = {method, headers: signature ? {[SIGNATURE_HEADER.toLowerCase()]: signature} : {}, body}
+  const res = {headers: {}, setHeader (name, value) { this.headers[name] = value }, end (text) { this.text = text }}
+  await receiver.handler(req, res)
+  return res
+}
+
+describe('Webhooks', async () => {
+  beforeEach(async () => {
+    this.receiver = new WebhookReceiver({secret: SECRET})
+    this.callbacks = http.createServer(this.receiver.handler)
+    await new Promise(resolve => this.callbacks.listen(0, '127.0.0.1', resolve))
+    const webhook = {url: `http://127.0.0.1:${this.callbacks.address().port}/`, secret: SECRET}
+    this.server = await new FakeServer({pollInterval: 0.05, operationLatency: 0.1, webhook}).start()
+    this.client = this.server.createClient()
+  })
+  afterEach(async () => {
+    await this.server.stop()
+    await new Promise(resolve => this.callbacks.close(resolve))
+  })
+  // Start testing
+  it('Should sign and verify callbacks', async () => {
+    const body = '{"id": "1", "status": "success"}'
+    const signature = signWebhook(body, SECRET)
+    assert.ok(/^sha256=[0-9a-f]{64}$/.test(signature))
+    assert.equal(verifyWebhookSignature(Buffer.from(body), signature, SECRET), true)
+    assert.equal(verifyWebhookSignature(body, signature, 'other secret'), false)
+    assert.equal(verifyWebhookSignature(body + ' ', signature, SECRET), false)
+    assert.equal(verifyWebhookSignature(body, undefined, SECRET), false)
+    assert.throws(() => new WebhookReceiver({}), ValidationError)
+    assert.throws(() => new WebhookReceiver({secret: SECRET, fallbackAfter: -1}), /Invalid fallbackAfter -1/)
+  })
+  it('Should wait for operations through their callbacks', async () => {
+    assert.equal(this.client.useWebhooks(this.receiver), this.receiver)
+    const statuses = []
+    const rasterId = await this.client.uploadRaster(Buffer.from('raster data'), 'raster', '', {
+      onPoll: data => statuses.push(data.status)
+    })
+    assert.equal(this.server.state.rasters.get(rasterId).status, 'ready')
+    assert.deepEqual(statuses, ['success'])
+    assert.equal(polls(this.server), 0)
+    // Failures come through callbacks too
+    this.server.injectOperationFailure({type: 'detection_areas_upload', error: 'Invalid area'})
+    const area = {type: 'FeatureCollection', features: []}
+    await assert.rejects(this.client.setRasterDetectionAreaFromFile(area, rasterId), err => {
+      assert.ok(err instanceof OperationFailedError)
+      return err.message.endsWith('Invalid area')
+    })
+    assert.equal(polls(this.server), 0)
+    // The server records the calls once the receiver replied
+    await new Promise(resolve => setTimeout(resolve, 50))
+    assert.deepEqual(this.server.webhookCalls.map(c => [c.status, c.responseStatus]), [['success', 204], ['failed', 204]])
+  })
+  it('Should match callbacks arriving before the wait', async () => {
+    this.client.useWebhooks(this.receiver)
+    const operation = await this.client.startUploadRaster(Buffer.from('raster data'), 'raster')
+    await new Promise(resolve => setTimeout(resolve, 300))
+    assert.equal(this.server.webhookCalls.length, 1)
+    await operation.wait()
+    assert.equal(polls(this.server), 0)
+  })
+  it('Should fall back to polling without callback', async () => {
+    this.client.useWebhooks({secret: SECRET, fallbackAfter: 0.2})
+    // The callbacks go to another receiver
+    await this.client.uploadRaster(Buffer.from('raster data'), 'raster')
+    assert.ok(polls(this.server) > 0)
+    // Unless told otherwise for a call
+    const operation = await this.client.startUploadRaster(Buffer.from('raster data'), 'raster')
+    const start = Date.now()
+    await operation.wait({fallbackAfter: 0})
+    assert.ok(Date.now() - start < 200)
+    // Without receiver
+    this.client.useWebhooks(null)
+    const requests = polls(this.server)
+    await this.client.uploadRaster(Buffer.from('raster data'), 'raster')
+    assert.ok(polls(this.server) > requests)
+  })
+  it('Should reject invalid callbacks', async () => {
+    const body = Buffer.from(JSON.stringify({id: 'operation', status: 'success'}))
+    let res = await callHandler(this.receiver, {body, signature: signWebhook(body, SECRET)})
+    assert.equal(res.statusCode, 204)
+    assert.equal(await this.receiver._waitFor('operation', 0), this.receiver._received.get('operation'))
+    res = await callHandler(this.receiver, {body, signature: signWebhook(body, 'other secret')})
+    assert.equal(res.statusCode, 401)
+    res = await callHandler(this.receiver, {method: 'GET'})
+    assert.equal(res.statusCode, 405)
+    assert.equal(res.headers.Allow, 'POST')
+    // Parsed bodies cannot be verified
+    res = await callHandler(this.receiver, {body: {id: 'operation', status: 'success'}, signature: signWebhook(body, SECRET)})
+    assert.equal(res.statusCode, 400)
+    assert.ok(JSON.parse(res.text).detail.startsWith('The raw body is needed'))
+    for (const invalid of ['not json', '{"status": "success"}']) {
+      res = await callHandler(this.receiver, {body: invalid, signature: signWebhook(invalid, SECRET)})
+      assert.equal(res.statusCode, 400)
+    }
+  })
+})
@@ -0,0 +1,790 @@
+/// <reference types="node" />
+/**
+ * Type definitions for the Picterra JavaScript API Client
+ * @see https://app.picterra.ch/public/apidocs/v2/
+ */
+import { Readable } from 'stream'
+import { IncomingMessage, ServerResponse } from 'http'
+
+// GeoJSON, restricted to what the client reads and writes
+
+export type Position = number[]
+
+export interface Point { type: 'Point'; coordinates: Position }
+export interface MultiPoint { type: 'MultiPoint'; coordinates: Position[] }
+export interface LineString { type: 'LineString'; coordinates: Position[] }
+export interface MultiLineString { type: 'MultiLineString'; coordinates: Position[][] }
+export interface Polygon { type: 'Polygon'; coordinates: Position[][] }
+export interface MultiPolygon { type: 'MultiPolygon'; coordinates: Position[][][] }
+export interface GeometryCollection { type: 'GeometryCollection'; geometries: Geometry[] }
+
+export type Geometry =
+  | Point
+  | MultiPoint
+  | LineString
+  | MultiLineString
+  | Polygon
+  | MultiPolygon
+  | GeometryCollection
+
+export interface Feature<G extends Geometry | null = Geometry | null> {
+  type: 'Feature'
+  geometry: G
+  properties: { [key: string]: any } | null
+  id?: string | number
+  bbox?: number[]
+}
+
+export interface FeatureCollection<G extends Geometry | null = Geometry | null> {
+  type: 'FeatureCollection'
+  features: Array<Feature<G>>
+  bbox?: number[]
+  crs?: { type: string; properties: { [key: string]: any } }
+}
+
+// Literal unions
+
+export type DetectionType = 'count' | 'segmentation'
+export type OutputType = 'polygon' | 'bbox'
+export type AnnotationType = 'outline' | 'training_area' | 'testing_area' | 'validation_area'
+export type OperationStatus = 'running' | 'success' | 'failed'
+export type RasterStatus = 'pending' | 'processing' | 'ready' | 'failed'
+
+// API payloads
+
+export interface Raster {
+  id: string
+  name: string
+  status: RasterStatus
+  folder_id?: string
+  [key: string]: unknown
+}
+
+export interface Folder {
+  id: string
+  name: string
+  [key: string]: unknown
+}
+
+/** Name of a backbone, e.g. "resnet50", checked by the server */
+export type Backbone = string
+/** Size of the tiles in pixels, e.g. 512, checked by the server */
+export type TileSize = number
+
+export interface DetectorClass {
+  name: string
+  [key: string]: unknown
+}
+
+export interface DetectorConfiguration {
+  detection_type: DetectionType
+  output_type: OutputType
+  training_steps: number
+  backbone?: Backbone
+  tile_size?: TileSize
+  background_sample_ratio?: number
+  classes?: DetectorClass[]
+  [key: string]: unknown
+}
+
+/** Settings of `createDetector` and `editDetector` */
+export interface DetectorSettings {
+  name?: string | null
+  detectionType?: DetectionType | null
+  outputType?: OutputType | null
+  /** Between 500 and 40000 */
+  trainingSteps?: number | null
+  backbone?: Backbone | null
+  tileSize?: TileSize | null
+  /** Between 0 and 1 */
+  backgroundSampleRatio?: number | null
+  /** Classes of a multi-class detector, by name or as objects */
+  classes?: Array<string | DetectorClass> | null
+}
+
+export interface Detector {
+  id: string
+  name: string
+  configuration: DetectorConfiguration
+  [key: string]: unknown
+}
+
+/** Metrics of a training as returned by the API, computed on the validation areas */
+export interface APITrainingMetrics {
+  accuracy?: number
+  precision?: number
+  recall?: number
+  f_score?: number
+  [key: string]: unknown
+}
+
+/** Results of a training operation */
+export interface TrainingResults {
+  metrics: APITrainingMetrics | null
+  [key: string]: unknown
+}
+
+/** Entry of the training history of a detector */
+export interface Training {
+  operation_id: string
+  created_at: string
+  status: OperationStatus
+  metrics: APITrainingMetrics | null
+  [key: string]: unknown
+}
+
+export interface TrainingMetrics {
+  accuracy: number | null
+  precision: number | null
+  recall: number | null
+  fScore: number | null
+}
+
+export type TrainingMetricName = keyof TrainingMetrics
+
+export interface CompareTrainingMetricsOptions {
+  /** Defaults to all */
+  metrics?: TrainingMetricName[]
+  /** Decrease tolerated before a metric counts as a regression, defaults to 0 */
+  tolerance?: number
+}
+
+export interface MetricComparison {
+  baseline: number | null
+  candidate: number | null
+  delta: number | null
+}
+
+export interface TrainingMetricsComparison {
+  metrics: Partial<Record<TrainingMetricName, MetricComparison>>
+  regressions: TrainingMetricName[]
+  improvements: TrainingMetricName[]
+  regressed: boolean
+}
+
+/** Payload of the `/operations/{id}/` endpoint */
+export interface OperationPayload {
+  id?: string
+  status: OperationStatus
+  type?: string
+  results?: { url?: string; [key: string]: unknown }
+  error?: string | { message?: string; [key: string]: unknown }
+  [key: string]: unknown
+}
+
+/** Payload of the paginated list endpoints */
+export interface PaginatedResponse<T> {
+  count: number
+  next: string | null
+  previous: string | null
+  results: T[]
+  page_size: number
+}
+
+// Options
+
+export interface RetryPolicy {
+  maxAttempts: number
+  baseDelay: number
+  maxDelay: number
+  jitter: number
+  respectRetryAfter: boolean
+  methods: string[]
+  statusCodes: number[]
+  errorCodes: string[]
+}
+
+export interface ClientOptions {
+  apiKey?: string
+  baseUrl?: string
+  /** Max number of seconds to wait for operations, defaults to 5 hours */
+  timeout?: number
+  /** Profile of the config file, defaults to the PICTERRA_PROFILE environment variable */
+  profile?: string
+  /** Defaults to the PICTERRA_CONFIG_FILE environment variable, or ~/.picterra/config.json */
+  configFile?: string
+  retry?: Partial<RetryPolicy> | false
+  storageRetry?: Partial<RetryPolicy> | false
+  middleware?: Middleware[]
+}
+
+export interface MiddlewareRequest {
+  method: string
+  url: string
+  /** The API key is replaced by "REDACTED" */
+  headers: { [name: string]: string }
+  /** Whether the request goes to the API, rather than to the blobstore */
+  internal: boolean
+  /** Starts at 1, incremented when the request is retried */
+  attempt: number
+}
+
+export interface MiddlewareResponse {
+  request: MiddlewareRequest
+  response: Response
+  status: number
+  /** Milliseconds */
+  duration: number
+  attempt: number
+}
+
+export interface MiddlewareError {
+  request: MiddlewareRequest
+  error: Error
+  /** Milliseconds */
+  duration: number
+  attempt: number
+}
+
+export interface Middleware {
+  /** May change the URL and headers, by modifying the request or returning a new one */
+  onRequest?: (request: MiddlewareRequest) => MiddlewareRequest | void | Promise<MiddlewareRequest | void>
+  onResponse?: (context: MiddlewareResponse) => void | Promise<void>
+  /** Called when a request fails without response */
+  onError?: (context: MiddlewareError) => void | Promise<void>
+}
+
+export interface LongRunningOptions {
+  /** Max number of seconds to wait for the operation */
+  timeout?: number
+  signal?: AbortSignal
+  onPoll?: (operation: OperationPayload) => void
+  /** With webhooks, seconds to wait for the callback before polling */
+  fallbackAfter?: number
+}
+
+export interface UploadProgress {
+  bytesSent: number
+  /** null when uploading a stream */
+  totalBytes: number | null
+  /** Bytes per second */
+  rate: number
+}
+
+export interface UploadState {
+  rasterId: string
+  uploadUrl: string
+  totalBytes: number
+  chunkSize: number
+  bytesSent: number
+}
+
+export interface UploadRasterOptions extends LongRunningOptions {
+  onProgress?: (progress: UploadProgress) => void
+  chunkSize?: number
+  onUploadState?: (state: UploadState) => void
+  uploadState?: UploadState
+  /** With an upload manifest, whether to reuse a raster uploaded with the same data, defaults to true */
+  dedupe?: boolean
+}
+
+/** A local file path (Node only) or the data itself */
+export type UploadInput = string | Buffer | Uint8Array | Blob | Readable
+
+export interface GeoJSONUploadOptions extends LongRunningOptions {
+  /** Whether to validate the GeoJSON before uploading it (default), or how to fix it */
+  validate?: boolean | ValidateGeoJSONOptions
+  /** With an upload manifest, whether to skip the upload of the GeoJSON already set, defaults to true */
+  dedupe?: boolean
+}
+
+export interface UploadManifestEntry {
+  uploadedAt: string
+  /** Of the rasters */
+  rasterId?: string
+  name?: string
+  /** Of the detection areas and annotations */
+  hash?: string
+}
+
+export type UploadManifestKind = 'rasters' | 'detectionAreas' | 'annotations'
+
+/** Uploads by hash for rasters, by raster id for detection areas, by "detectorId/rasterId/type" for annotations */
+export interface UploadManifest {
+  fileName: string
+  get (kind: UploadManifestKind, key: string): UploadManifestEntry | null
+  set (kind: UploadManifestKind, key: string, entry: Omit<UploadManifestEntry, 'uploadedAt'>): void
+  delete (kind: UploadManifestKind, key: string): void
+}
+
+export interface RasterFilters {
+  folderId?: string
+  search?: string
+  status?: RasterStatus
+  pageSize?: number
+}
+
+export interface DetectorFilters {
+  search?: string
+  pageSize?: number
+}
+
+export type FolderFilters = DetectorFilters
+
+export interface TrainingRasterFilters {
+  pageSize?: number
+}
+
+export type TrainingHistoryFilters = TrainingRasterFilters
+
+export interface RasterFields {
+  name?: string
+  folderId?: string
+  /** ISO 8601 date */
+  capturedAt?: string
+  identityKey?: string
+  cloudCoverage?: number
+  userTag?: string
+}
+
+export type RunStatus = 'running' | 'success' | 'failed' | 'skipped'
+
+export interface DetectionRun {
+  rasterId: string
+  status: RunStatus
+  operationId: string | null
+  error: Error | null
+  /** Where the results were downloaded, with the `outputDir` option */
+  file: string | null
+}
+
+export interface BatchProgress extends DetectionRun {
+  completed: number
+  total: number
+}
+
+export interface BatchDetectionOptions extends LongRunningOptions {
+  /** Max number of detections running at once, defaults to 4 */
+  concurrency?: number
+  onProgress?: (progress: BatchProgress) => void
+  /** Whether to go on after a failure (default), or to cancel the pending detections and reject */
+  continueOnError?: boolean
+  /** Directory where to download the results of each raster, as `<rasterId>.geojson` (or the extension of `format`) */
+  outputDir?: string
+  /** Format of the downloaded results, defaults to "geojson" */
+  format?: ExportFormat
+  /** Whether to merge the results into one FeatureCollection tagged with `raster_id` */
+  merge?: boolean
+}
+
+export interface BatchDetectionResult {
+  runs: DetectionRun[]
+  succeeded: number
+  failed: number
+  featureCollection?: FeatureCollection
+}
+
+export interface TileGridOptions {
+  /** Width and height of the tiles, in meters */
+  tileSize: number
+  /** Overlap between neighbouring tiles, in meters, defaults to 0 */
+  overlap?: number
+  /** Max number of tiles, defaults to 1000 */
+  maxTiles?: number
+}
+
+export interface TileProperties {
+  tile: number
+  row: number
+  column: number
+}
+
+export type MergeStrategy = 'dedupe' | 'union'
+
+export interface MergeTiledResultsOptions {
+  /** Keep the largest of the same objects ("dedupe", default) or their union */
+  strategy?: MergeStrategy
+  /** Min IoU of the objects found on several tiles to merge them, defaults to 0.5 */
+  iouThreshold?: number
+}
+
+export interface TileProgress {
+  tile: number
+  operationId: string
+  completed: number
+  total: number
+}
+
+export interface TiledDetectionOptions extends LongRunningOptions, TileGridOptions, MergeTiledResultsOptions {
+  onProgress?: (progress: TileProgress) => void
+}
+
+export interface TiledDetectionResult {
+  tiles: FeatureCollection<Polygon | MultiPolygon>
+  runs: Array<{ tile: number, operationId: string }>
+  /** Merged results, each feature having a `tiles` property */
+  featureCollection: FeatureCollection
+}
+
+export type PipelineActionName =
+  | 'uploadRaster'
+  | 'setDetectionArea'
+  | 'createDetector'
+  | 'addRasterToDetector'
+  | 'setAnnotations'
+  | 'trainDetector'
+  | 'runDetector'
+  | 'downloadResults'
+
+export interface PipelineAction {
+  required?: string[]
+  optional?: string[]
+  /** Parameters which are paths of local files, relative to the spec */
+  files?: string[]
+  outputs: string[]
+}
+
+export const PIPELINE_ACTIONS: Readonly<Record<PipelineActionName, PipelineAction>>
+
+export interface PipelineStep {
+  /** Defaults to "step<N>" */
+  id?: string
+  action: PipelineActionName
+  /** Parameters of the action, which may contain `${steps.<id>.<output>}` and `${env.<NAME>}` references */
+  with?: Record<string, unknown>
+}
+
+export interface PipelineSpec {
+  name?: string
+  stateFile?: string
+  steps: PipelineStep[]
+  /** Directory relative paths are resolved from */
+  baseDir?: string
+}
+
+export interface LoadedPipeline extends PipelineSpec {
+  name: string
+  steps: Array<PipelineStep & { id: string }>
+  baseDir: string
+}
+
+export type PipelineStepStatus = 'running' | 'success' | 'skipped' | 'failed' | 'pending'
+
+export interface PipelineStepReport {
+  id: string
+  action: PipelineActionName
+  status: PipelineStepStatus
+  outputs: Record<string, unknown> | null
+  error: Error | null
+  /** In seconds, null for skipped and pending steps */
+  duration: number | null
+}
+
+export interface PipelineOptions extends LongRunningOptions {
+  /**
+   * Path of the state file, relative to the current directory, defaults to
+   * the `stateFile` of the spec (relative to the spec file)
+   */
+  stateFile?: string
+  /** Whether to run every step, ignoring the state */
+  force?: boolean
+  /** Values of the `${env.<NAME>}` references, defaults to the environment variables */
+  env?: Record<string, string | undefined>
+  onStep?: (step: PipelineStepReport) => void
+}
+
+export interface PipelineReport {
+  name: string
+  status: 'success' | 'failed'
+  startedAt: string
+  finishedAt: string
+  /** In seconds */
+  duration: number
+  stateFile: string | null
+  steps: PipelineStepReport[]
+  error: Error | null
+}
+
+export function loadPipeline (spec: PipelineSpec | string): LoadedPipeline
+
+// Webhooks
+
+export interface WebhookReceiverOptions {
+  /** Secret shared with Picterra to sign the callbacks */
+  secret: string
+  /** Seconds to wait for a callback before polling, defaults to 60 */
+  fallbackAfter?: number
+}
+
+export class WebhookReceiver {
+  constructor (options: WebhookReceiverOptions)
+  fallbackAfter: number
+  /** Usable with `http.createServer` or as an Express/Connect middleware, given the raw body */
+  handler (req: IncomingMessage, res: ServerResponse, next?: (err?: unknown) => void): Promise<void>
+  deliver (data: OperationPayload): void
+}
+
+export const SIGNATURE_HEADER: 'X-Picterra-Signature'
+export function signWebhook (body: string | Buffer, secret: string): string
+export function verifyWebhookSignature (body: string | Buffer, signature: string | undefined, secret: string): boolean
+
+// Results
+
+export interface DetectionAreaSummary {
+  index: number
+  properties: { [key: string]: any }
+  area: number
+  count: number
+}
+
+export interface ResultsSummary {
+  count: number
+  totalArea: number
+  meanArea: number
+  extent: [number, number, number, number] | null
+  detectionAreas?: DetectionAreaSummary[]
+}
+
+export interface SummarizeOptions {
+  detectionArea?: FeatureCollection | Feature | Geometry
+}
+
+export type ExportFormat = 'geojson' | 'geojsonseq' | 'csv' | 'kml' | 'wkt' | 'flatgeobuf'
+
+/** File extension of each export format */
+export const EXPORT_FORMATS: Readonly<Record<ExportFormat, string>>
+
+export interface CSVOptions {
+  /** Defaults to "," */
+  delimiter?: string
+  /** Whether to add the "wkt" column, defaults to true */
+  geometry?: boolean
+}
+
+export interface KMLOptions {
+  /** Name of the KML document */
+  name?: string
+}
+
+export interface GeoJSONSeqOptions {
+  /** Whether to start each line with the RS character (RFC 8142), defaults to false */
+  recordSeparator?: boolean
+}
+
+export interface FlatGeobufOptions {
+  /** Name of the dataset */
+  name?: string
+}
+
+export type ExportOptions = CSVOptions & KMLOptions & GeoJSONSeqOptions & FlatGeobufOptions
+
+export function toCSV (featureCollection: FeatureCollection, options?: CSVOptions): string
+export function toKML (featureCollection: FeatureCollection, options?: KMLOptions): string
+export function toWKT (featureCollection: FeatureCollection): string
+export function toGeoJSONSeq (featureCollection: FeatureCollection, options?: GeoJSONSeqOptions): string
+export function toFlatGeobuf (featureCollection: FeatureCollection, options?: FlatGeobufOptions): Uint8Array
+export function convertResults (featureCollection: FeatureCollection, format: 'flatgeobuf', options?: ExportOptions): Uint8Array
+export function convertResults (
+  featureCollection: FeatureCollection,
+  format: Exclude<ExportFormat, 'flatgeobuf'>,
+  options?: ExportOptions
+): string
+export function convertResults (featureCollection: FeatureCollection, format: ExportFormat, options?: ExportOptions): string | Uint8Array
+
+export function tileGrid (
+  area: Geometry | Feature | FeatureCollection,
+  options: TileGridOptions
+): FeatureCollection<Polygon | MultiPolygon>
+export function mergeTiledResults (results: FeatureCollection[], options?: MergeTiledResultsOptions): FeatureCollection
+
+export function summarizeResults (featureCollection: FeatureCollection, options?: SummarizeOptions): ResultsSummary
+
+export interface ValidateGeoJSONOptions {
+  /** Allowed geometry types, defaults to Polygon and MultiPolygon */
+  geometryTypes?: Array<Geometry['type']>
+  /** Reverse the rings with a wrong winding order (default), rather than report them */
+  rewind?: boolean
+  /** Remove the features without geometry or coordinates */
+  dropEmpty?: boolean
+  /** Replace GeometryCollection features by one feature per member geometry */
+  explodeCollections?: boolean
+  checkSelfIntersections?: boolean
+}
+
+/** Problem reported in the `data.errors` of the ValidationError thrown by `validateGeoJSON` */
+export interface GeoJSONProblem {
+  /** Index of the feature in the input, null for problems of the collection itself */
+  feature: number | null
+  message: string
+}
+
+export function validateGeoJSON (geojson: unknown, options?: ValidateGeoJSONOptions): FeatureCollection
+
+/** Metrics can be given as returned by the API, as training results, history entries or as `getTrainingMetrics` returns them */
+export type TrainingMetricsSource = APITrainingMetrics | TrainingResults | Training | TrainingMetrics | null
+
+export function compareTrainingMetrics (
+  baseline: TrainingMetricsSource,
+  candidate: TrainingMetricsSource,
+  options?: CompareTrainingMetricsOptions
+): TrainingMetricsComparison
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy
+
+// Classes
+
+export interface PaginatedIterator<T> extends AsyncIterableIterator<T> {
+  /** Total number of items, null until the first page is fetched */
+  count: number | null
+  getCount (): Promise<number>
+}
+
+export interface OperationJSON {
+  id: string
+  pollInterval?: number
+  type?: string | null
+  meta?: { [key: string]: any }
+}
+
+export class Operation {
+  constructor (client: APIClient, properties: OperationJSON)
+  id: string
+  pollInterval: number
+  type: string | null
+  meta: { rasterId?: string; detectorId?: string; [key: string]: any }
+  data: OperationPayload | null
+  status (): Promise<OperationStatus>
+  wait (options?: LongRunningOptions): Promise<any>
+  result (): Promise<any>
+  toJSON (): Required<OperationJSON>
+}
+
+export class APIClient {
+  constructor (options?: ClientOptions)
+  /** @deprecated Use the options object */
+  constructor (
+    apiKey?: string,
+    baseUrl?: string,
+    timeoutSeconds?: number,
+    options?: Omit<ClientOptions, 'apiKey' | 'baseUrl' | 'timeout'>
+  )
+  apiKey: string
+  /** Without trailing slash */
+  baseUrl: string
+  /** Name of the profile of the config file in use, if any */
+  profile: string | null
+  use (middleware: Middleware): () => void
+  useWebhooks (options: WebhookReceiverOptions | WebhookReceiver): WebhookReceiver
+  useWebhooks (options: null): null
+  useUploadManifest (fileName: string): UploadManifest
+  useUploadManifest (fileName: null): null
+  getOperation (operation: string | OperationJSON, options?: { pollInterval?: number }): Promise<Operation>
+  uploadRaster (input: UploadInput, rasterName?: string, folderId?: string, options?: UploadRasterOptions): Promise<string>
+  startUploadRaster (input: UploadInput, rasterName?: string, folderId?: string, options?: UploadRasterOptions): Promise<Operation>
+  iterRasters (filters?: RasterFilters): PaginatedIterator<Raster>
+  listRasters (filters?: RasterFilters): Promise<Raster[]>
+  getRasterById (rasterId: string): Promise<Raster>
+  editRaster (rasterId: string, fields: RasterFields): Promise<boolean>
+  setRasterDetectionAreaFromFile (
+    input: FeatureCollection | UploadInput,
+    rasterId: string,
+    options?: GeoJSONUploadOptions
+  ): Promise<boolean>
+  getRasterDetectionArea (rasterId: string): Promise<FeatureCollection | null>
+  deleteRasterById (rasterId: string): Promise<boolean>
+  iterFolders (filters?: FolderFilters): PaginatedIterator<Folder>
+  listFolders (filters?: FolderFilters): Promise<Folder[]>
+  createFolder (name: string): Promise<string>
+  createDetector (settings?: DetectorSettings): Promise<string>
+  /** @deprecated Use the settings object */
+  createDetector (name?: string, detectionType?: DetectionType, outputType?: OutputType, trainingSteps?: number): Promise<string>
+  editDetector (detectorId: string, settings: DetectorSettings): Promise<boolean>
+  /** @deprecated Use the settings object */
+  editDetector (
+    detectorId: string,
+    name?: string | null,
+    detectionType?: DetectionType | null,
+    outputType?: OutputType | null,
+    trainingSteps?: number | null
+  ): Promise<boolean>
+  addRasterToDetector (rasterId: string, detectorId: string): Promise<boolean>
+  removeRasterFromDetector (rasterId: string, detectorId: string): Promise<boolean>
+  iterTrainingRasters (detectorId: string, filters?: TrainingRasterFilters): PaginatedIterator<Raster>
+  listTrainingRasters (detectorId: string, filters?: TrainingRasterFilters): Promise<Raster[]>
+  getAnnotations (detectorId: string, rasterId: string, annotationType: AnnotationType): Promise<FeatureCollection | null>
+  clearAnnotations (
+    detectorId: string,
+    rasterId: string,
+    annotationType: AnnotationType,
+    options?: LongRunningOptions
+  ): Promise<boolean>
+  setAnnotations (
+    detectorId: string,
+    rasterId: string,
+    annotationType: AnnotationType,
+    annotationsGeoJSon: FeatureCollection,
+    options?: GeoJSONUploadOptions
+  ): Promise<boolean>
+  trainDetector (detectorId: string, options?: LongRunningOptions): Promise<TrainingResults | null>
+  startTrainDetector (detectorId: string, options?: { signal?: AbortSignal }): Promise<Operation>
+  iterDetectorTrainingHistory (detectorId: string, filters?: TrainingHistoryFilters): PaginatedIterator<Training>
+  getDetectorTrainingHistory (detectorId: string, filters?: TrainingHistoryFilters): Promise<Training[]>
+  getTrainingMetrics (detectorId: string): Promise<TrainingMetrics | null>
+  iterDetectors (filters?: DetectorFilters): PaginatedIterator<Detector>
+  listDetectors (filters?: DetectorFilters): Promise<Detector[]>
+  getDetectorById (detectorId: string): Promise<Detector>
+  runDetector (detectorId: string, rasterId: string, options?: LongRunningOptions): Promise<string>
+  runDetectorOnRasters (detectorId: string, rasterIds: string[], options?: BatchDetectionOptions): Promise<BatchDetectionResult>
+  runDetectorOnTiles (
+    detectorId: string,
+    rasterId: string,
+    area: Geometry | Feature | FeatureCollection,
+    options: TiledDetectionOptions
+  ): Promise<TiledDetectionResult>
+  startRunDetector (detectorId: string, rasterId: string, options?: { signal?: AbortSignal }): Promise<Operation>
+  getResults (operationId: string): Promise<FeatureCollection>
+  iterResultFeatures (operationId: string): AsyncGenerator<Feature, void, undefined>
+  summarizeResults (results: string | FeatureCollection, options?: SummarizeOptions): Promise<ResultsSummary>
+  downloadResult (operationId: string, options?: { as?: 'stream' }): Promise<Readable | ReadableStream<Uint8Array>>
+  downloadResult (operationId: string, options: { as: 'arrayBuffer' }): Promise<ArrayBuffer>
+  downloadResult (operationId: string, options: { as: 'blob' }): Promise<Blob>
+  downloadResultToFile (operationId: string, fileName: string, options?: ExportOptions & { format?: ExportFormat }): Promise<void>
+  runPipeline (spec: PipelineSpec | string, options?: PipelineOptions): Promise<PipelineReport>
+}
+
+// Errors
+
+export interface APIErrorDetails {
+  status?: number
+  data?: any
+  method?: string
+  url?: string
+  operationId?: string
+}
+
+export class APIError extends Error {
+  constructor (message: string, body?: string, details?: APIErrorDetails)
+  /** Raw body of the response */
+  body: string
+  status: number | null
+  /** Body of the response parsed as JSON */
+  data: any
+  method: string | null
+  /** URL of the request, with credentials redacted */
+  url: string | null
+  operationId: string | null
+  /** Messages by field name, for validation errors */
+  fieldErrors: { [field: string]: string[] }
+}
+export class AuthenticationError extends APIError {}
+export class NotFoundError extends APIError {}
+export class RateLimitError extends APIError {
+  constructor (message: string, body?: string, details?: APIErrorDetails, retryAfter?: number | null)
+  /** Seconds to wait before retrying */
+  retryAfter: number | null
+}
+export class ServerError extends APIError {}
+export class ValidationError extends APIError {}
+export class OperationFailedError extends APIError {
+  constructor (operationId: string, operation?: OperationPayload)
+  operation: OperationPayload
+  reason: string | null
+}
+export class OperationTimeoutError extends APIError {
+  constructor (operationId: string, operationStatus?: OperationStatus | null)
+  operationStatus: OperationStatus | null
+}
+export class OperationCancelledError extends APIError {
+  constructor (operationId?: string | null, operationStatus?: OperationStatus | null)
+  operationStatus: OperationStatus | null
+}
@@ -0,0 +1,94 @@
+/// <reference types="node" />
+/**
+ * Type definitions of `picterra/testing`, the in-process fake Picterra server
+ */
+import { APIClient, APITrainingMetrics, ClientOptions, Detector, FeatureCollection, Raster } from './index'
+
+export type FakeOperationType =
+  | 'raster_upload'
+  | 'detection_areas_upload'
+  | 'annotations_upload'
+  | 'training'
+  | 'detector_prediction'
+
+export interface FakeServerOptions {
+  /** API key accepted by the server, defaults to "fake-api-key" */
+  apiKey?: string
+  /** Seconds during which operations stay "running", defaults to 0 */
+  operationLatency?: number
+  /** Poll interval in seconds returned to the client, defaults to 0.05 */
+  pollInterval?: number
+  /** Default page size of the list endpoints */
+  pageSize?: number
+  /** Results of the detections, defaults to no objects */
+  detect?: (detector: Detector, raster: Raster, detectionArea: FeatureCollection | null) => FeatureCollection
+  /** Metrics of the trainings, defaults to perfect scores when there are validation areas */
+  evaluate?: (detector: Detector, validationAreas: FeatureCollection[]) => APITrainingMetrics | null
+  /** Webhook to call when operations end */
+  webhook?: FakeWebhook | null
+}
+
+export interface FakeWebhook {
+  url: string
+  secret: string
+}
+
+export interface FakeWebhookCall {
+  operationId: string
+  status: string
+  /** Status of the reply of the webhook */
+  responseStatus?: number
+  /** Error of the call, when it got no reply */
+  error?: string
+}
+
+export interface InjectedFailure {
+  method?: string
+  /** Path relative to the API root, or starting with "/blobstore/" */
+  path?: string | RegExp
+  /** Defaults to 500 */
+  status?: number
+  body?: unknown
+  headers?: { [name: string]: string }
+  /** Close the connection without reply */
+  reset?: boolean
+  /** Defaults to 1 */
+  times?: number
+}
+
+export interface InjectedOperationFailure {
+  type?: FakeOperationType
+  error?: string
+  /** Defaults to 1 */
+  times?: number
+}
+
+export class FakeServer {
+  constructor (options?: FakeServerOptions)
+  apiKey: string
+  operationLatency: number
+  pollInterval: number
+  pageSize: number
+  webhook: FakeWebhook | null
+  /** URL of the fake API, available once started */
+  readonly baseUrl: string
+  /** In-memory state, by id */
+  state: {
+    rasters: Map<string, Raster>
+    folders: Map<string, { id: string; name: string }>
+    detectors: Map<string, Detector>
+    operations: Map<string, { id: string; type: FakeOperationType; status: string; [key: string]: unknown }>
+    blobs: Map<string, { data: Buffer; contentType: string; complete: boolean }>
+    uploads: Map<string, unknown>
+  }
+  /** Every request received */
+  requests: Array<{ method: string; path: string }>
+  /** Every webhook call, once replied */
+  webhookCalls: FakeWebhookCall[]
+  start (): Promise<this>
+  stop (): Promise<void>
+  createClient (options?: ClientOptions): APIClient
+  injectFailure (failure: InjectedFailure): void
+  injectOperationFailure (failure?: InjectedOperationFailure): void
+  clearFailures (): void
+}